@@ -0,0 +1,23 @@
+#!/usr/bin/env node
+/**
+ * Aventora admin CLI
+ *
+ * Usage: aventora-admin <command> [options]   (see lib/admin-cli.js)
+ *
+ *   npx aventora-admin verify
+ *   npm run admin -- tenants check --all --json
+ */
+
+require('dotenv').config();
+
+// Settings as configured, before the log level is changed below
+const env = Object.assign({}, process.env);
+// lib/ modules log info lines to stdout; only let warnings and errors
+// through (on stderr) so stdout carries just the command output
+process.env.LOG_LEVEL = 'warn';
+
+const { run } = require('../lib/admin-cli');
+
+run(process.argv.slice(2), { env: env }).then(code => {
+  process.exitCode = code;
+});
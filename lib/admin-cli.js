@@ -0,0 +1,521 @@
+/**
+ * Admin CLI
+ *
+ * Commands behind bin/aventora-admin.js:
+ *
+ *   verify          [--tenant <domain>] [--key <key>] [--api-url <url>]
+ *   hash            [--tenant <domain>] [--key <key>]
+ *   tenants list
+ *   tenants check   --all | --tenant <domain>
+ *   token issue     --tenant <domain> [--language en] [--username <name>] [--hours 24]
+ *   config doctor
+ *
+ * Common options: --json (one JSON document on stdout), --config <file>
+ * (CONFIG_FILE), --registry <file> (TENANT_REGISTRY_FILE), --api-url <url>
+ * (overrides every tenant's API URL, e.g. a local mock upstream),
+ * --key <key> (overrides the tenant's API key), --timeout <ms>.
+ *
+ * Settings are read like the server does (see lib/config.js). API keys are
+ * never printed, only their prefix, suffix and SHA256 hash.
+ *
+ * Exit codes: 0 success, 1 a check failed, 2 usage or configuration error.
+ */
+
+const crypto = require('crypto');
+const { parseArgs } = require('util');
+const { loadConfig, validateTenants, checkApiKeyFormat, SETTINGS } = require('./config');
+const { loadTenantRegistry, createTenantRegistry } = require('./tenant-registry');
+const { createUpstreamClient } = require('./upstream-client');
+const { createReadinessChecker } = require('./readiness');
+const { checkApiKey } = require('./api-key-check');
+
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+const OPTIONS = {
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+  all: { type: 'boolean' },
+  tenant: { type: 'string', short: 't' },
+  key: { type: 'string' },
+  'api-url': { type: 'string' },
+  config: { type: 'string' },
+  registry: { type: 'string' },
+  language: { type: 'string' },
+  username: { type: 'string' },
+  hours: { type: 'string' },
+  timeout: { type: 'string' }
+};
+
+function usageError(message) {
+  const error = new Error(message);
+  error.code = 'USAGE';
+  return error;
+}
+
+// "avk_abcd...wxyz" like the server logs; short keys are not shown at all
+function maskKey(apiKey) {
+  const key = String(apiKey || '');
+  return key.length > 12 ? `${key.substring(0, 8)}...${key.substring(key.length - 4)}` : '***';
+}
+
+function describeKey(apiKey) {
+  const key = String(apiKey || '').trim();
+  return {
+    masked: maskKey(key),
+    prefix: key.substring(0, 8),
+    length: key.length,
+    sha256: crypto.createHash('sha256').update(key).digest('hex'),
+    problems: checkApiKeyFormat(apiKey)
+  };
+}
+
+function describeError(error) {
+  const code = error.code || (error.cause && error.cause.code);
+  return code ? `${error.message} (${code})` : error.message;
+}
+
+function sqlString(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Settings, registry and upstream client for one CLI run, with the
+ * command line overrides applied
+ */
+function createContext(options, env) {
+  if (options.config) env.CONFIG_FILE = options.config;
+  if (options.registry) env.TENANT_REGISTRY_FILE = options.registry;
+  if (options['api-url']) env.DOMAIN_CHATBOT_API_URL = options['api-url'];
+
+  const timeoutMs = options.timeout !== undefined ? Number(options.timeout) : DEFAULT_TIMEOUT_MS;
+  if (!Number.isInteger(timeoutMs) || timeoutMs <= 0) {
+    throw usageError(`--timeout must be a positive number of milliseconds (got "${options.timeout}")`);
+  }
+
+  const config = loadConfig(env);
+  const tenantRegistry = loadTenantRegistry(env);
+  // One attempt per call and no breaker, so every command reports what it saw
+  const upstreamClient = createUpstreamClient({ timeoutMs: timeoutMs, retries: 0, breakerEnabled: false });
+
+  function applyOverrides(tenant) {
+    return Object.assign({}, tenant, {
+      chatbotApiKey: options.key !== undefined ? options.key : tenant.chatbotApiKey,
+      apiUrl: options['api-url'] ? options['api-url'].replace(/\/$/, '') : tenant.apiUrl
+    });
+  }
+
+  /**
+   * The tenant named by --tenant. Without it, single-tenant mode uses the
+   * env tenant, and --key alone checks a key without any registry.
+   */
+  async function resolveTenant({ required = false } = {}) {
+    if (options.tenant) {
+      const tenant = await tenantRegistry.resolve(options.tenant);
+      if (!tenant) {
+        throw usageError(`No tenant configured for domain: ${options.tenant} (registry: ${tenantRegistry.source})`);
+      }
+      return applyOverrides(tenant);
+    }
+    if (required && tenantRegistry.source !== 'env') {
+      throw usageError('--tenant <domain> is required with a tenant registry');
+    }
+    if (tenantRegistry.source === 'env' || options.key !== undefined) {
+      return applyOverrides((await tenantRegistry.resolve(env.DEFAULT_TENANT_DOMAIN || '')) ||
+        { domainName: 'default', chatbotBaseUrl: '', apiUrl: config.values.DOMAIN_CHATBOT_API_URL, isActive: true });
+    }
+    throw usageError('--tenant <domain> (or --key <key>) is required with a tenant registry');
+  }
+
+  async function listTenants() {
+    return (await tenantRegistry.list()).map(applyOverrides);
+  }
+
+  return { options, env, config, timeoutMs, tenantRegistry, upstreamClient, resolveTenant, listTenants };
+}
+
+/**
+ * verify: validate an API key with a token request
+ */
+async function verifyCommand(context) {
+  const tenant = await context.resolveTenant();
+  if (!tenant.chatbotApiKey) {
+    throw usageError(`No API key configured for ${tenant.domainName}; set DOMAIN_CHATBOT_API_KEY or pass --key`);
+  }
+
+  const result = await checkApiKey({
+    apiUrl: tenant.apiUrl,
+    apiKey: tenant.chatbotApiKey,
+    request: context.upstreamClient.request
+  });
+  const data = result.data || {};
+  return {
+    ok: result.valid,
+    tenant: tenant.domainName,
+    apiUrl: tenant.apiUrl,
+    key: describeKey(tenant.chatbotApiKey),
+    status: result.status,
+    latencyMs: result.latencyMs,
+    token: result.valid ? { issued: !!data.token, expiresAt: data.expires_at || null, domain: data.domain || null } : null,
+    error: result.error ? describeError(result.error) : (result.valid ? null : result.errorText)
+  };
+}
+
+function printVerify(result, print) {
+  print(`API key check for ${result.tenant}`);
+  print(`  API URL: ${result.apiUrl}`);
+  print(`  Key:     ${result.key.masked} (${result.key.length} chars)`);
+  print(`  SHA256:  ${result.key.sha256.substring(0, 16)}...`);
+  result.key.problems.forEach(problem => print(`  ${problem.level === 'error' ? '❌' : '⚠️ '} API key ${problem.message}`));
+  if (result.ok) {
+    print(`✅ API key is valid (${result.status}, ${result.latencyMs} ms)`);
+    print(`  Token issued: ${result.token.issued ? 'yes' : 'no'}, expires at ${result.token.expiresAt}`);
+    return;
+  }
+  if (result.status === null) {
+    print(`❌ Could not reach the token API: ${result.error}`);
+    print('  Check network connectivity, the API URL, and that the API server is running');
+    return;
+  }
+  print(`❌ API key validation failed (${result.status}): ${result.error}`);
+  if (result.status === 401) {
+    print('  The key is unknown, inactive, expired, or belongs to another environment.');
+    print('  Compare its hash with the database: aventora-admin hash' + (result.tenant !== 'default' ? ` --tenant ${result.tenant}` : ''));
+  }
+}
+
+/**
+ * hash: the SHA256 hash stored for the key, and the query to compare it
+ */
+async function hashCommand(context) {
+  const tenant = await context.resolveTenant();
+  if (!tenant.chatbotApiKey) {
+    throw usageError(`No API key configured for ${tenant.domainName}; set DOMAIN_CHATBOT_API_KEY or pass --key`);
+  }
+
+  const key = describeKey(tenant.chatbotApiKey);
+  const domain = context.options.tenant || context.env.DEFAULT_TENANT_DOMAIN;
+  const sql = 'SELECT api_key_hash FROM domain_api_keys WHERE api_key_prefix = ' + sqlString(key.prefix) +
+    (domain ? ` AND domain = ${sqlString(tenant.domainName)}` : '') + ';';
+  return { ok: true, tenant: tenant.domainName, key: key, sha256: key.sha256, sql: sql };
+}
+
+function printHash(result, print) {
+  print(`API key for ${result.tenant}: ${result.key.masked} (${result.key.length} chars)`);
+  result.key.problems.forEach(problem => print(`  ${problem.level === 'error' ? '❌' : '⚠️ '} API key ${problem.message}`));
+  print(`SHA256: ${result.sha256}`);
+  print('');
+  print('Compare with the hash stored in the database:');
+  print(`  ${result.sql}`);
+  print('');
+  print('If they differ, the configured key is not the one in the database (regenerated key,');
+  print('wrong key copied, or another environment). Copy the key again from the Admin Panel.');
+}
+
+/**
+ * tenants list: registry entries without their keys
+ */
+async function tenantsListCommand(context) {
+  const tenants = await context.listTenants();
+  return {
+    ok: true,
+    tenantRegistry: context.tenantRegistry.source,
+    tenants: tenants.map(tenant => ({
+      domain: tenant.domainName,
+      active: tenant.isActive,
+      apiKey: tenant.chatbotApiKey ? maskKey(tenant.chatbotApiKey) : null,
+      chatbotBaseUrl: tenant.chatbotBaseUrl || null,
+      apiUrl: tenant.apiUrl,
+      defaultLanguage: tenant.defaultLanguage,
+      allowedOrigins: tenant.allowedOrigins
+    }))
+  };
+}
+
+function printTenantsList(result, print) {
+  print(`Tenant registry: ${result.tenantRegistry} (${result.tenants.length} tenant${result.tenants.length === 1 ? '' : 's'})`);
+  result.tenants.forEach(tenant => {
+    print('');
+    print(`${tenant.domain}${tenant.active ? '' : ' (inactive)'}`);
+    print(`  API key:     ${tenant.apiKey || 'not configured'}`);
+    print(`  Chatbot URL: ${tenant.chatbotBaseUrl || 'not configured'}`);
+    print(`  API URL:     ${tenant.apiUrl}`);
+    print(`  Language:    ${tenant.defaultLanguage}`);
+    if (tenant.allowedOrigins) {
+      print(`  Origins:     ${tenant.allowedOrigins.join(', ')}`);
+    }
+  });
+}
+
+/**
+ * tenants check: configuration and readiness checks per tenant
+ */
+async function tenantsCheckCommand(context) {
+  const { options } = context;
+  if (!options.all && !options.tenant) {
+    throw usageError('tenants check needs --all or --tenant <domain>');
+  }
+
+  const tenants = options.all ? await context.listTenants() : [await context.resolveTenant()];
+  const registry = createTenantRegistry({
+    store: {
+      source: context.tenantRegistry.source,
+      getTenant: async domain => tenants.find(tenant => tenant.domainName === domain) || null,
+      listTenants: async () => tenants
+    }
+  });
+  const checker = createReadinessChecker({
+    tenantRegistry: registry,
+    upstreamClient: context.upstreamClient,
+    timeoutMs: context.timeoutMs
+  });
+
+  const [issues, report] = await Promise.all([validateTenants(registry), checker.check()]);
+  const results = report.tenants.map(tenant => {
+    const errors = issues.errors.filter(issue => issue.setting === `tenants.${tenant.domain}`).map(issue => issue.message);
+    return {
+      domain: tenant.domain,
+      // Configuration errors fail a tenant even when its key works
+      status: errors.length > 0 && tenant.status !== 'inactive' ? 'fail' : tenant.status,
+      checks: tenant.checks,
+      errors: errors,
+      warnings: issues.warnings.filter(issue => issue.setting === `tenants.${tenant.domain}`).map(issue => issue.message)
+    };
+  });
+
+  return {
+    ok: results.every(tenant => tenant.status === 'ok' || tenant.status === 'inactive') && issues.errors.length === 0,
+    // Readiness of the checked tenants as /health/ready would report it
+    tenantRegistry: context.tenantRegistry.source,
+    status: report.status,
+    tenants: results
+  };
+}
+
+function printTenantsCheck(result, print) {
+  print(`Tenant registry: ${result.tenantRegistry}`);
+  result.tenants.forEach(tenant => {
+    const icon = { ok: '✅', degraded: '⚠️ ', fail: '❌', inactive: '⏸️ ' }[tenant.status] || '❓';
+    print('');
+    print(`${icon} ${tenant.domain}: ${tenant.status}`);
+    Object.keys(tenant.checks).forEach(name => {
+      const check = tenant.checks[name];
+      const detail = check.error || `${check.statusCode}, ${check.latencyMs} ms`;
+      print(`  ${name.padEnd(15)} ${check.status.padEnd(5)} ${detail}`);
+    });
+    tenant.errors.forEach(message => print(`  ❌ ${message}`));
+    tenant.warnings.forEach(message => print(`  ⚠️  ${message}`));
+  });
+  print('');
+  const failed = result.tenants.filter(tenant => tenant.status === 'fail' || tenant.status === 'degraded');
+  print(result.ok ? '✅ All checked tenants are healthy' : `❌ ${failed.length} tenant${failed.length === 1 ? '' : 's'} failed their checks`);
+}
+
+/**
+ * token issue: request a real token for a tenant
+ */
+async function tokenIssueCommand(context) {
+  const { options } = context;
+  const tenant = await context.resolveTenant({ required: true });
+  if (!tenant.chatbotApiKey) {
+    throw usageError(`No API key configured for ${tenant.domainName}; pass --key`);
+  }
+  const hours = options.hours !== undefined ? Number(options.hours) : 24;
+  if (!(hours > 0)) {
+    throw usageError(`--hours must be a positive number (got "${options.hours}")`);
+  }
+  const language = options.language || tenant.defaultLanguage;
+
+  const startedAt = Date.now();
+  let response;
+  try {
+    response = await context.upstreamClient.request(`${tenant.apiUrl}/auth/api/v1/tokens/generate`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${tenant.chatbotApiKey.trim()}`,
+      },
+      body: JSON.stringify({
+        username: options.username || 'anonymous',
+        language: language,
+        expires_in_hours: hours
+      })
+    });
+  } catch (error) {
+    return { ok: false, tenant: tenant.domainName, apiUrl: tenant.apiUrl, status: null, error: describeError(error) };
+  }
+
+  const latencyMs = Date.now() - startedAt;
+  if (!response.ok) {
+    return { ok: false, tenant: tenant.domainName, apiUrl: tenant.apiUrl, status: response.status, latencyMs, error: await response.text() };
+  }
+
+  const data = await response.json();
+  const chatbotUrl = tenant.chatbotBaseUrl
+    ? `${tenant.chatbotBaseUrl}/autoconnect?token=${encodeURIComponent(data.token)}&lang=${encodeURIComponent(language)}`
+    : null;
+  return {
+    ok: true,
+    tenant: tenant.domainName,
+    apiUrl: tenant.apiUrl,
+    status: response.status,
+    latencyMs: latencyMs,
+    token: data.token,
+    expiresAt: data.expires_at || null,
+    language: language,
+    chatbotUrl: chatbotUrl
+  };
+}
+
+function printTokenIssue(result, print) {
+  if (!result.ok) {
+    print(`❌ Token request for ${result.tenant} failed${result.status ? ` (${result.status})` : ''}: ${result.error}`);
+    return;
+  }
+  print(`✅ Token issued for ${result.tenant} (${result.latencyMs} ms)`);
+  print(`  Token:      ${result.token}`);
+  print(`  Expires at: ${result.expiresAt}`);
+  if (result.chatbotUrl) {
+    print(`  Open:       ${result.chatbotUrl}`);
+  }
+}
+
+/**
+ * config doctor: every configured setting with its source, plus all
+ * configuration errors and warnings
+ */
+async function configDoctorCommand(context) {
+  const { config } = context;
+  const tenantIssues = await validateTenants(context.tenantRegistry);
+  const errors = config.errors.concat(tenantIssues.errors);
+  const warnings = config.warnings.concat(tenantIssues.warnings);
+
+  const settings = Object.keys(SETTINGS)
+    .filter(name => config.sources[name])
+    .map(name => {
+      const definition = SETTINGS[name];
+      const raw = config.env[name] !== undefined && config.env[name] !== '' ? config.env[name] : definition.default;
+      let value = raw;
+      if (definition.type === 'apiKey') {
+        value = maskKey(raw);
+      } else if (definition.secret) {
+        value = '[REDACTED]';
+      }
+      return { name: name, value: value, source: config.sources[name] };
+    });
+
+  return {
+    ok: errors.length === 0,
+    configFile: config.file,
+    strict: config.strict,
+    tenantRegistry: context.tenantRegistry.source,
+    settings: settings,
+    errors: errors,
+    warnings: warnings
+  };
+}
+
+function printConfigDoctor(result, print) {
+  print(`Config file:     ${result.configFile || 'none'}`);
+  print(`Tenant registry: ${result.tenantRegistry}`);
+  print(`Strict mode:     ${result.strict ? 'on' : 'off'}`);
+  print('');
+  print('Settings:');
+  result.settings.forEach(setting => print(`  ${setting.name.padEnd(34)} ${String(setting.value).padEnd(30)} (${setting.source})`));
+  print('');
+  result.warnings.forEach(issue => print(`⚠️  ${issue.setting}: ${issue.message}`));
+  result.errors.forEach(issue => print(`❌ ${issue.setting}: ${issue.message}`));
+  print(result.ok
+    ? `✅ Configuration is valid${result.warnings.length ? ` (${result.warnings.length} warning${result.warnings.length === 1 ? '' : 's'})` : ''}`
+    : `❌ ${result.errors.length} configuration error${result.errors.length === 1 ? '' : 's'}`);
+}
+
+const COMMANDS = {
+  'verify': { run: verifyCommand, print: printVerify, description: 'Validate an API key with a token request' },
+  'hash': { run: hashCommand, print: printHash, description: 'Show the API key hash and the SQL query to compare it' },
+  'tenants list': { run: tenantsListCommand, print: printTenantsList, description: 'List registry tenants (keys masked)' },
+  'tenants check': { run: tenantsCheckCommand, print: printTenantsCheck, description: 'Check tenant keys, URLs and reachability (--all or --tenant)' },
+  'token issue': { run: tokenIssueCommand, print: printTokenIssue, description: 'Issue a chatbot token (--tenant, --language, --username, --hours)' },
+  'config doctor': { run: configDoctorCommand, print: printConfigDoctor, description: 'Show settings with their source and validate them' }
+};
+
+function usage() {
+  return [
+    'Usage: aventora-admin <command> [options]',
+    '',
+    'Commands:',
+    ...Object.keys(COMMANDS).map(name => `  ${name.padEnd(16)} ${COMMANDS[name].description}`),
+    '',
+    'Options:',
+    '  --json              Print one JSON document',
+    '  --tenant, -t <d>    Tenant domain',
+    '  --key <key>         Use this API key instead of the configured one',
+    '  --api-url <url>     Use this API URL for every tenant (e.g. a local mock)',
+    '  --config <file>     Config file (CONFIG_FILE)',
+    '  --registry <file>   Tenant registry file (TENANT_REGISTRY_FILE)',
+    '  --timeout <ms>      Upstream request timeout (default 10000)',
+    '',
+    'Exit codes: 0 success, 1 check failed, 2 usage or configuration error'
+  ].join('\n');
+}
+
+/**
+ * Run the CLI
+ *
+ * @param {string[]} argv - Arguments after the program name
+ * @param {Object} [io]
+ * @param {Object} [io.env] - Environment (defaults to process.env)
+ * @param {Object} [io.stdout] - Writable for command output
+ * @param {Object} [io.stderr] - Writable for usage errors
+ * @returns {Promise<number>} exit code
+ */
+async function run(argv, { env = process.env, stdout = process.stdout, stderr = process.stderr } = {}) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    stderr.write(`${error.message}\n\n${usage()}\n`);
+    return EXIT_USAGE;
+  }
+
+  const { values: options, positionals } = parsed;
+  const name = [positionals.slice(0, 2).join(' '), positionals[0]].find(candidate => COMMANDS[candidate]);
+  if (options.help) {
+    stdout.write(`${usage()}\n`);
+    return EXIT_OK;
+  }
+  if (!name) {
+    stderr.write(`${positionals.length ? `Unknown command: ${positionals.join(' ')}\n\n` : ''}${usage()}\n`);
+    return EXIT_USAGE;
+  }
+
+  const print = line => stdout.write(`${line}\n`);
+  try {
+    const context = createContext(options, env);
+    const result = await COMMANDS[name].run(context);
+    if (options.json) {
+      print(JSON.stringify(result, null, 2));
+    } else {
+      COMMANDS[name].print(result, print);
+    }
+    return result.ok ? EXIT_OK : EXIT_FAILED;
+  } catch (error) {
+    if (options.json) {
+      print(JSON.stringify({ ok: false, error: error.message }, null, 2));
+    } else {
+      stderr.write(`❌ ${error.message}\n`);
+    }
+    return error.code === 'USAGE' ? EXIT_USAGE : EXIT_FAILED;
+  }
+}
+
+module.exports = {
+  EXIT_OK,
+  EXIT_FAILED,
+  EXIT_USAGE,
+  COMMANDS,
+  run
+};
@@ -0,0 +1,67 @@
+/**
+ * API Key Check
+ *
+ * Validates a domain API key by requesting an anonymous token from the token
+ * API, exactly like a real widget token request. Shared by the admin CLI
+ * (`aventora-admin verify`) and the readiness checks so both report the same
+ * result.
+ */
+
+/**
+ * Build the token request used to validate a key
+ */
+function buildKeyCheckRequest(apiUrl, apiKey) {
+  return {
+    url: `${apiUrl}/auth/api/v1/tokens/generate`,
+    init: {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${apiKey}`,
+      },
+      body: JSON.stringify({
+        username: 'anonymous',
+        language: 'en',
+        expires_in_hours: 24,
+      }),
+    }
+  };
+}
+
+/**
+ * Validate an API key against the token API
+ *
+ * @param {Object} options
+ * @param {string} options.apiUrl - Domain chatbot API URL
+ * @param {string} options.apiKey - Domain API key (trimmed before use)
+ * @param {Function} [options.request] - fetch-compatible function (e.g. the upstream client)
+ * @param {Object} [options.requestOptions] - Extra options for `request` (timeoutMs, retries)
+ * @returns {Promise<{ valid: boolean, status: number|null, statusText: string|null, data: Object|null, errorText: string|null, error: Error|null, latencyMs: number }>}
+ */
+async function checkApiKey({ apiUrl, apiKey, request = fetch, requestOptions = {} }) {
+  const { url, init } = buildKeyCheckRequest(apiUrl, String(apiKey || '').trim());
+  const startedAt = Date.now();
+  const result = { valid: false, status: null, statusText: null, data: null, errorText: null, error: null, latencyMs: 0 };
+
+  try {
+    const response = await request(url, Object.assign({}, init, requestOptions));
+    result.status = response.status;
+    result.statusText = response.statusText;
+    if (response.ok) {
+      result.valid = true;
+      result.data = await response.json().catch(() => null);
+    } else {
+      result.errorText = await response.text();
+    }
+  } catch (error) {
+    result.error = error;
+  }
+
+  result.latencyMs = Date.now() - startedAt;
+  return result;
+}
+
+module.exports = {
+  buildKeyCheckRequest,
+  checkApiKey
+};
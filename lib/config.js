@@ -0,0 +1,402 @@
+/**
+ * Configuration
+ *
+ * Central list of the server's settings, loaded and validated at boot and
+ * shared by server.js and the admin CLI (lib/admin-cli.js).
+ *
+ * Sources, highest precedence first:
+ *
+ * 1. Environment variables
+ * 2. The .env file (loaded by dotenv, never overrides 1)
+ * 3. The config file: CONFIG_FILE, or aventora.config.json in the working
+ *    directory when present. A JSON object keyed by setting name, e.g.
+ *    { "PORT": 3001, "LOG_LEVEL": "debug", "ALLOWED_ORIGINS": ["https://example.com"] }
+ * 4. Built-in defaults
+ *
+ * Like dotenv, config file values are copied into the environment for
+ * settings that are not set yet, so the lib/ `load*(env)` functions see
+ * them. Call loadConfig() before requiring other lib/ modules.
+ *
+ * Problems are reported as `{ setting, message }` errors and warnings. In
+ * strict mode (CONFIG_STRICT=true) the server refuses to start on errors.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_FILE = 'aventora.config.json';
+
+/**
+ * Known settings. `type` is one of string, url, integer, number, boolean,
+ * enum, file, module or apiKey. Defaults are only listed for settings read
+ * directly by server.js and the tools; the lib/ loaders apply their own.
+ */
+const SETTINGS = {
+  PORT: { type: 'integer', min: 1, max: 65535, default: 3001 },
+  TRUST_PROXY: { type: 'string' },
+  CONFIG_STRICT: { type: 'boolean', default: false },
+
+  DOMAIN_CHATBOT_API_KEY: { type: 'apiKey', secret: true },
+  DOMAIN_CHATBOT_API_URL: { type: 'url', default: 'https://api.aventora.ai' },
+  CHATBOT_BASE_URL: { type: 'url' },
+  DEFAULT_TENANT_DOMAIN: { type: 'string' },
+  DEFAULT_LANGUAGE: { type: 'string' },
+  ALLOWED_ORIGINS: { type: 'string' },
+  TENANT_REGISTRY_FILE: { type: 'file', json: true },
+  TENANT_REGISTRY_MODULE: { type: 'module' },
+
+  RATE_LIMIT_ENABLED: { type: 'boolean' },
+  RATE_LIMIT_WINDOW_MS: { type: 'integer', min: 1 },
+  RATE_LIMIT_TOKEN_PER_IP: { type: 'integer', min: 0 },
+  RATE_LIMIT_TOKEN_PER_TENANT: { type: 'integer', min: 0 },
+  RATE_LIMIT_WIDGET_PER_IP: { type: 'integer', min: 0 },
+  RATE_LIMIT_WIDGET_PER_TENANT: { type: 'integer', min: 0 },
+  RATE_LIMIT_STORE_MODULE: { type: 'module' },
+
+  USER_JWT_SECRET: { type: 'string', secret: true },
+  USER_JWT_COOKIE: { type: 'string' },
+  USER_JWT_AUDIENCE: { type: 'string' },
+  USER_JWT_ISSUER: { type: 'string' },
+  USER_RESOLVER_MODULE: { type: 'module' },
+
+  VISITOR_COOKIE_SECRET: { type: 'string', secret: true },
+  VISITOR_COOKIE_NAME: { type: 'string' },
+  VISITOR_COOKIE_MAX_AGE: { type: 'integer', min: 1 },
+  VISITOR_COOKIE_SECURE: { type: 'boolean' },
+  TOKEN_CACHE_ENABLED: { type: 'boolean' },
+  TOKEN_CACHE_REFRESH_MARGIN_MS: { type: 'integer', min: 0 },
+  TOKEN_MIN_LIFETIME_HOURS: { type: 'number', min: 0 },
+  TOKEN_MAX_LIFETIME_HOURS: { type: 'number', min: 0 },
+  TOKEN_DEFAULT_LIFETIME_HOURS: { type: 'number', min: 0 },
+
+  UPSTREAM_TIMEOUT_MS: { type: 'integer', min: 1 },
+  UPSTREAM_RETRIES: { type: 'integer', min: 0 },
+  UPSTREAM_RETRY_BASE_DELAY_MS: { type: 'integer', min: 0 },
+  UPSTREAM_RETRY_MAX_DELAY_MS: { type: 'integer', min: 0 },
+  CIRCUIT_BREAKER_ENABLED: { type: 'boolean' },
+  CIRCUIT_BREAKER_THRESHOLD: { type: 'integer', min: 1 },
+  CIRCUIT_BREAKER_RESET_MS: { type: 'integer', min: 1 },
+  WIDGET_PROXY_ROUTES_FILE: { type: 'file', json: true },
+
+  READINESS_TIMEOUT_MS: { type: 'integer', min: 1 },
+  READINESS_CACHE_TTL_MS: { type: 'integer', min: 0 },
+  READINESS_KEY_CACHE_TTL_MS: { type: 'integer', min: 0 },
+
+  LOG_LEVEL: { type: 'enum', values: ['debug', 'info', 'warn', 'error', 'silent'], default: 'info' },
+  LOG_FORMAT: { type: 'enum', values: ['json', 'pretty'], default: 'json' },
+  LOG_REDACT_KEYS: { type: 'string' },
+  LOG_REDACT_MESSAGES: { type: 'boolean' },
+
+  ERROR_DETAILS: { type: 'boolean', default: false },
+  ERROR_DEBUG_TOKEN: { type: 'string', secret: true },
+
+  METRICS_ENABLED: { type: 'boolean', default: true },
+  METRICS_TOKEN: { type: 'string', secret: true },
+  METRICS_ACTIVE_VISITOR_WINDOW_MS: { type: 'integer', min: 1 }
+};
+
+/**
+ * Problems with an API key's format (empty when it looks right)
+ */
+function checkApiKeyFormat(apiKey) {
+  const problems = [];
+  const key = String(apiKey || '');
+  if (key !== key.trim()) {
+    problems.push({ level: 'warning', message: 'has leading/trailing whitespace (it is trimmed automatically)' });
+  }
+  const trimmed = key.trim();
+  if (/^your[-_]|change[-_]?me|^x+$/i.test(trimmed)) {
+    problems.push({ level: 'error', message: 'is a placeholder; copy the key from the Aventora Admin Panel' });
+  } else if (/[^A-Za-z0-9_\-.]/.test(trimmed)) {
+    problems.push({ level: 'error', message: 'contains characters that never appear in API keys (quotes, spaces or line breaks copied by accident?)' });
+  } else if (trimmed.length < 20) {
+    problems.push({ level: 'error', message: `is too short (${trimmed.length} characters); check that the whole key was copied` });
+  }
+  return problems;
+}
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+// Parse one raw string value. Returns { value } or { error }.
+function parseSetting(definition, raw) {
+  switch (definition.type) {
+    case 'integer':
+    case 'number': {
+      const pattern = definition.type === 'integer' ? /^-?\d+$/ : /^-?\d+(\.\d+)?$/;
+      const value = Number(raw);
+      if (!pattern.test(raw.trim())) {
+        return { error: `must be ${definition.type === 'integer' ? 'an integer' : 'a number'} (got "${raw}")` };
+      }
+      if ((definition.min !== undefined && value < definition.min) || (definition.max !== undefined && value > definition.max)) {
+        const range = definition.max !== undefined ? `between ${definition.min} and ${definition.max}` : `at least ${definition.min}`;
+        return { error: `must be ${range} (got ${value})` };
+      }
+      return { value: value };
+    }
+    case 'boolean':
+      if (raw !== 'true' && raw !== 'false') {
+        return { error: `must be "true" or "false" (got "${raw}")` };
+      }
+      return { value: raw === 'true' };
+    case 'enum':
+      if (!definition.values.includes(raw.toLowerCase())) {
+        return { error: `must be one of ${definition.values.join(', ')} (got "${raw}")` };
+      }
+      return { value: raw.toLowerCase() };
+    case 'url':
+      if (!isHttpUrl(raw)) {
+        return { error: `must be an http(s) URL such as https://api.aventora.ai (got "${raw}")` };
+      }
+      return { value: raw.replace(/\/$/, '') };
+    case 'file': {
+      const filePath = path.resolve(raw);
+      if (!fs.existsSync(filePath)) {
+        return { error: `file not found: ${filePath}` };
+      }
+      if (definition.json) {
+        try {
+          JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+          return { error: `is not valid JSON (${filePath}: ${error.message})` };
+        }
+      }
+      return { value: filePath };
+    }
+    case 'module':
+      try {
+        return { value: require.resolve(path.resolve(raw)) };
+      } catch (error) {
+        return { error: `module not found: ${path.resolve(raw)}` };
+      }
+    case 'apiKey': {
+      const problem = checkApiKeyFormat(raw).find(item => item.level === 'error');
+      if (problem) {
+        return { error: `API key ${problem.message}` };
+      }
+      return { value: raw.trim() };
+    }
+    default:
+      return { value: raw };
+  }
+}
+
+// Config file values are strings like environment variables; arrays become
+// comma-separated lists
+function toEnvValue(value) {
+  if (Array.isArray(value)) {
+    return value.join(',');
+  }
+  if (value !== null && typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+function readConfigFile(filePath) {
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('must contain a JSON object keyed by setting name');
+  }
+  return raw;
+}
+
+// Registry file records the file store would drop or shadow silently
+function checkTenantFile(filePath, errors, warnings) {
+  // Required here: lib modules create the shared logger when first loaded,
+  // which must happen after the config file has been applied
+  const { normalizeDomain } = require('./tenant-registry');
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!raw || typeof raw !== 'object') {
+    errors.push({ setting: 'TENANT_REGISTRY_FILE', message: `${filePath} must contain an array of tenants or an object keyed by domain` });
+    return;
+  }
+  if (!Array.isArray(raw)) {
+    return;
+  }
+  const seen = new Set();
+  raw.forEach((record, index) => {
+    const domain = record && (record.domainName || record.domain_name || record.domain);
+    if (!domain) {
+      errors.push({ setting: 'TENANT_REGISTRY_FILE', message: `entry ${index} in ${filePath} has no domain_name and is ignored` });
+      return;
+    }
+    const key = normalizeDomain(domain);
+    if (seen.has(key)) {
+      warnings.push({ setting: 'TENANT_REGISTRY_FILE', message: `${key} is listed more than once in ${filePath}; the last entry wins` });
+    }
+    seen.add(key);
+  });
+}
+
+/**
+ * Load and validate the configuration
+ *
+ * @param {Object} [env] - Environment (filled from the config file)
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Directory searched for aventora.config.json
+ * @returns {Object} { env, values, sources, file, strict, errors, warnings }
+ */
+function loadConfig(env = process.env, { cwd = process.cwd() } = {}) {
+  const errors = [];
+  const warnings = [];
+  const sources = {};
+
+  // 1. Config file
+  let file = null;
+  const explicitFile = env.CONFIG_FILE;
+  const candidate = explicitFile ? path.resolve(cwd, explicitFile) : path.join(cwd, DEFAULT_CONFIG_FILE);
+  if (fs.existsSync(candidate)) {
+    file = candidate;
+    try {
+      const fileValues = readConfigFile(candidate);
+      Object.keys(fileValues).forEach(name => {
+        if (!SETTINGS[name]) {
+          warnings.push({ setting: name, message: `unknown setting in ${candidate} (typo?)` });
+        }
+        if (env[name] === undefined && fileValues[name] !== null) {
+          env[name] = toEnvValue(fileValues[name]);
+          sources[name] = 'file';
+        }
+      });
+    } catch (error) {
+      errors.push({ setting: 'CONFIG_FILE', message: `${candidate} could not be read: ${error.message}` });
+    }
+  } else if (explicitFile) {
+    errors.push({ setting: 'CONFIG_FILE', message: `file not found: ${candidate}` });
+  }
+
+  // 2. Typed values
+  const values = {};
+  Object.keys(SETTINGS).forEach(name => {
+    const definition = SETTINGS[name];
+    const raw = env[name];
+    if (raw === undefined || raw === '') {
+      values[name] = definition.default;
+      if (definition.default !== undefined) sources[name] = 'default';
+      return;
+    }
+    sources[name] = sources[name] || 'env';
+    const parsed = parseSetting(definition, String(raw));
+    if (parsed.error) {
+      const origin = sources[name] === 'file' ? ` (from ${file})` : '';
+      errors.push({ setting: name, message: `${parsed.error}${origin}` });
+      values[name] = definition.default;
+    } else {
+      values[name] = parsed.value;
+    }
+  });
+
+  // 3. Settings that only make sense together
+  const multiTenant = !!(values.TENANT_REGISTRY_FILE || values.TENANT_REGISTRY_MODULE);
+  if (!multiTenant) {
+    if (!env.DOMAIN_CHATBOT_API_KEY) {
+      errors.push({ setting: 'DOMAIN_CHATBOT_API_KEY', message: 'not set: token generation will fail. Get your key from the Aventora Admin Panel, or set TENANT_REGISTRY_FILE for multi-tenant mode' });
+    } else {
+      checkApiKeyFormat(env.DOMAIN_CHATBOT_API_KEY)
+        .filter(problem => problem.level === 'warning')
+        .forEach(problem => warnings.push({ setting: 'DOMAIN_CHATBOT_API_KEY', message: `API key ${problem.message}` }));
+    }
+    if (!env.CHATBOT_BASE_URL) {
+      warnings.push({ setting: 'CHATBOT_BASE_URL', message: 'not set: the widget will use its default chatbot URL' });
+    }
+  }
+  if (values.TENANT_REGISTRY_FILE) {
+    checkTenantFile(values.TENANT_REGISTRY_FILE, errors, warnings);
+  }
+  if (values.TENANT_REGISTRY_FILE && values.TENANT_REGISTRY_MODULE) {
+    warnings.push({ setting: 'TENANT_REGISTRY_FILE', message: 'ignored because TENANT_REGISTRY_MODULE is set' });
+  }
+  if (values.TOKEN_MIN_LIFETIME_HOURS !== undefined && values.TOKEN_MAX_LIFETIME_HOURS !== undefined &&
+      values.TOKEN_MIN_LIFETIME_HOURS > values.TOKEN_MAX_LIFETIME_HOURS) {
+    errors.push({ setting: 'TOKEN_MIN_LIFETIME_HOURS', message: 'must not be greater than TOKEN_MAX_LIFETIME_HOURS' });
+  }
+  if (values.UPSTREAM_RETRY_BASE_DELAY_MS !== undefined && values.UPSTREAM_RETRY_MAX_DELAY_MS !== undefined &&
+      values.UPSTREAM_RETRY_BASE_DELAY_MS > values.UPSTREAM_RETRY_MAX_DELAY_MS) {
+    warnings.push({ setting: 'UPSTREAM_RETRY_BASE_DELAY_MS', message: 'is greater than UPSTREAM_RETRY_MAX_DELAY_MS, so every retry waits up to the maximum' });
+  }
+  if (values.ALLOWED_ORIGINS && !values.VISITOR_COOKIE_SECURE && !values.TRUST_PROXY) {
+    // The server listens on plain http, so without either setting the cookie is SameSite=Lax
+    warnings.push({ setting: 'VISITOR_COOKIE_SECURE', message: 'not set: browsers drop the visitor cookie on cross-site embeds from ALLOWED_ORIGINS, so they get a new token on every page load. Serve over https and set VISITOR_COOKIE_SECURE=true' });
+  }
+  if (values.ERROR_DETAILS) {
+    warnings.push({ setting: 'ERROR_DETAILS', message: 'error diagnostics are sent to every browser; use ERROR_DEBUG_TOKEN in production' });
+  }
+
+  return {
+    env: env,
+    values: values,
+    sources: sources,
+    file: file,
+    strict: values.CONFIG_STRICT === true,
+    errors: errors,
+    warnings: warnings
+  };
+}
+
+/**
+ * Check that the registry's tenants are complete: every active tenant needs
+ * a well-formed API key, and its URLs must parse.
+ *
+ * @param {Object} tenantRegistry - Registry from lib/tenant-registry.js
+ * @returns {Promise<Object>} { errors, warnings }
+ */
+async function validateTenants(tenantRegistry) {
+  const errors = [];
+  const warnings = [];
+
+  let tenants;
+  try {
+    tenants = await tenantRegistry.list();
+  } catch (error) {
+    errors.push({ setting: 'tenants', message: `tenant registry (${tenantRegistry.source}) could not be listed: ${error.message}` });
+    return { errors, warnings };
+  }
+
+  if (tenants.length === 0) {
+    errors.push({ setting: 'tenants', message: `tenant registry (${tenantRegistry.source}) has no tenants` });
+  }
+
+  // The env store is covered by the DOMAIN_CHATBOT_* settings
+  if (tenantRegistry.source === 'env') {
+    return { errors, warnings };
+  }
+
+  tenants.forEach(tenant => {
+    const setting = `tenants.${tenant.domainName}`;
+    if (!tenant.isActive) {
+      return;
+    }
+    if (!tenant.chatbotApiKey) {
+      errors.push({ setting, message: 'chatbot_api_key is missing' });
+    } else {
+      checkApiKeyFormat(tenant.chatbotApiKey).forEach(problem => {
+        (problem.level === 'error' ? errors : warnings).push({ setting, message: `chatbot_api_key ${problem.message}` });
+      });
+    }
+    if (!tenant.chatbotBaseUrl) {
+      warnings.push({ setting, message: 'chatbot_base_url is missing: the widget will use its default chatbot URL' });
+    } else if (!isHttpUrl(tenant.chatbotBaseUrl)) {
+      errors.push({ setting, message: `chatbot_base_url must be an http(s) URL (got "${tenant.chatbotBaseUrl}")` });
+    }
+    if (tenant.apiUrl && !isHttpUrl(tenant.apiUrl)) {
+      errors.push({ setting, message: `api_url must be an http(s) URL (got "${tenant.apiUrl}")` });
+    }
+  });
+
+  return { errors, warnings };
+}
+
+module.exports = {
+  DEFAULT_CONFIG_FILE,
+  SETTINGS,
+  checkApiKeyFormat,
+  loadConfig,
+  validateTenants
+};
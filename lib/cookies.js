@@ -0,0 +1,92 @@
+/**
+ * Cookie helpers
+ *
+ * Minimal cookie parsing, serialization and signing so the server does not
+ * need cookie-parser.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Parse a Cookie header into an object of name -> decoded value
+ */
+function parseCookies(header) {
+  const cookies = {};
+  if (!header) {
+    return cookies;
+  }
+
+  String(header).split(';').forEach(part => {
+    const index = part.indexOf('=');
+    if (index < 0) {
+      return;
+    }
+    const name = part.slice(0, index).trim();
+    let value = part.slice(index + 1).trim();
+    if (value.startsWith('"') && value.endsWith('"')) {
+      value = value.slice(1, -1);
+    }
+    if (name && !(name in cookies)) {
+      try {
+        cookies[name] = decodeURIComponent(value);
+      } catch (e) {
+        cookies[name] = value;
+      }
+    }
+  });
+
+  return cookies;
+}
+
+/**
+ * Serialize a Set-Cookie header value
+ *
+ * @param {string} name
+ * @param {string} value
+ * @param {Object} [options] - maxAge (seconds), path, httpOnly, secure, sameSite
+ */
+function serializeCookie(name, value, { maxAge, path = '/', httpOnly = true, secure = false, sameSite = 'Lax' } = {}) {
+  const parts = [`${name}=${encodeURIComponent(value)}`, `Path=${path}`];
+  if (maxAge !== undefined) {
+    parts.push(`Max-Age=${Math.floor(maxAge)}`);
+  }
+  if (httpOnly) {
+    parts.push('HttpOnly');
+  }
+  if (secure) {
+    parts.push('Secure');
+  }
+  if (sameSite) {
+    parts.push(`SameSite=${sameSite}`);
+  }
+  return parts.join('; ');
+}
+
+/**
+ * Sign a value as "value.signature" (HMAC-SHA256, base64url)
+ */
+function signValue(value, secret) {
+  const signature = crypto.createHmac('sha256', secret).update(value).digest('base64url');
+  return `${value}.${signature}`;
+}
+
+/**
+ * Verify a value produced by signValue(). Returns the value or null.
+ */
+function unsignValue(signed, secret) {
+  const index = String(signed || '').lastIndexOf('.');
+  if (index <= 0) {
+    return null;
+  }
+  const value = signed.slice(0, index);
+  const expected = Buffer.from(signValue(value, secret));
+  const actual = Buffer.from(signed);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual) ? value : null;
+}
+
+module.exports = {
+  parseCookies,
+  serializeCookie,
+  signValue,
+  unsignValue
+};
@@ -0,0 +1,119 @@
+/**
+ * Error Responses
+ *
+ * Error responses sent to browsers carry a human readable message, a stable
+ * machine readable code and the request id, and nothing from the upstream
+ * APIs or the server configuration:
+ *
+ *   { "error": "Failed to generate chatbot token", "code": "TOKEN_UPSTREAM_UNAUTHORIZED", "requestId": "..." }
+ *
+ * Diagnostics (upstream error bodies, API URLs, key prefixes, hints,
+ * exception messages) are always logged, and only added to the response as
+ * `diagnostics` when:
+ *
+ * - ERROR_DETAILS=true (local development), or
+ * - the request carries `X-Aventora-Debug: <ERROR_DEBUG_TOKEN>`.
+ */
+
+const crypto = require('crypto');
+
+const DEBUG_HEADER = 'X-Aventora-Debug';
+
+const ERROR_CODES = {
+  ORIGIN_NOT_ALLOWED: { status: 403, message: 'Origin not allowed' },
+  TENANT_NOT_FOUND: { status: 404, message: 'No chatbot integration configured for this domain' },
+  TENANT_DISABLED: { status: 403, message: 'Chatbot integration is disabled for this domain' },
+  RATE_LIMITED: { status: 429, message: 'Too many requests' },
+  UNAUTHORIZED: { status: 401, message: 'Unauthorized' },
+  METHOD_NOT_ALLOWED: { status: 405, message: 'Method not allowed' },
+  PAYLOAD_TOO_LARGE: { status: 413, message: 'Request body too large' },
+  INVALID_REQUEST_BODY: { status: 400, message: 'Invalid request body' },
+  TOKEN_NOT_CONFIGURED: { status: 500, message: 'Chatbot service not configured' },
+  // The upstream rejected the tenant's API key (401/403)
+  TOKEN_UPSTREAM_UNAUTHORIZED: { status: 502, message: 'Failed to generate chatbot token' },
+  // Any other upstream token error
+  TOKEN_UPSTREAM_ERROR: { status: 502, message: 'Failed to generate chatbot token' },
+  WIDGET_ENDPOINT_UNAVAILABLE: { status: 404, message: 'Widget endpoint not available' },
+  // Status is the upstream status
+  WIDGET_UPSTREAM_ERROR: { status: 502, message: 'Widget request failed' },
+  UPSTREAM_UNAVAILABLE: { status: 503, message: 'Chatbot service temporarily unavailable' },
+  UPSTREAM_TIMEOUT: { status: 504, message: 'Upstream request timed out' },
+  INTERNAL_ERROR: { status: 500, message: 'Internal server error' }
+};
+
+/**
+ * Compare a provided secret with the expected one in constant time
+ */
+function tokensMatch(provided, expected) {
+  const a = Buffer.from(String(provided));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Create an error responder
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.exposeDetails] - Add diagnostics to every error response
+ * @param {string} [options.debugToken] - Value of the debug header unlocking diagnostics per request
+ */
+function createErrorResponder({ exposeDetails = false, debugToken = null } = {}) {
+  /**
+   * Whether diagnostics may be returned to this request's caller
+   */
+  function canExposeDetails(req) {
+    if (exposeDetails) {
+      return true;
+    }
+    const provided = debugToken && req.get(DEBUG_HEADER);
+    return !!provided && tokensMatch(provided, debugToken);
+  }
+
+  /**
+   * Send an error response
+   *
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {string} code - One of ERROR_CODES
+   * @param {Object} [options]
+   * @param {number} [options.status] - Overrides the code's status
+   * @param {string} [options.message] - Overrides the code's message
+   * @param {Object} [options.fields] - Extra public fields (e.g. retryAfter)
+   * @param {Object} [options.diagnostics] - Only sent when canExposeDetails(req)
+   */
+  function sendError(req, res, code, { status, message, fields, diagnostics } = {}) {
+    const definition = ERROR_CODES[code] || ERROR_CODES.INTERNAL_ERROR;
+    const body = Object.assign({
+      error: message || definition.message,
+      code: code,
+      requestId: req.id
+    }, fields);
+    if (diagnostics && canExposeDetails(req)) {
+      body.diagnostics = diagnostics;
+    }
+    return res.status(status || definition.status).json(body);
+  }
+
+  return {
+    canExposeDetails: canExposeDetails,
+    sendError: sendError
+  };
+}
+
+/**
+ * Build the responder configured through environment variables
+ */
+function loadErrorResponder(env = process.env) {
+  return createErrorResponder({
+    exposeDetails: env.ERROR_DETAILS === 'true',
+    debugToken: env.ERROR_DEBUG_TOKEN || null
+  });
+}
+
+module.exports = {
+  DEBUG_HEADER,
+  ERROR_CODES,
+  createErrorResponder,
+  loadErrorResponder,
+  tokensMatch
+};
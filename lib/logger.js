@@ -0,0 +1,175 @@
+/**
+ * Logger
+ *
+ * Structured logger writing one JSON object per line:
+ *
+ *   {"time":"...","level":"info","msg":"Token issued","component":"chatbot-token","requestId":"..."}
+ *
+ * - Levels: debug, info, warn, error (LOG_LEVEL, default info; "silent"
+ *   disables logging). warn and error go to stderr.
+ * - LOG_FORMAT=pretty prints "time LEVEL [component] msg key=value" lines
+ *   for local development.
+ * - Redaction: values of secret fields (tokens, API keys, cookies,
+ *   authorization headers, plus LOG_REDACT_KEYS) are replaced with
+ *   "[REDACTED]", at any depth. Chat content fields (text, question,
+ *   content, prompt) are replaced with their length unless
+ *   LOG_REDACT_MESSAGES=false. Bearer credentials inside strings are masked.
+ *
+ * Child loggers add fields to every entry, e.g. the request id:
+ *
+ *   const log = logger.child({ requestId: req.id });
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const SECRET_KEYS = [
+  'authorization', 'cookie', 'set-cookie',
+  'token', 'user_token', 'usertoken', 'access_token', 'refresh_token',
+  'apikey', 'api_key', 'chatbotapikey', 'chatbot_api_key',
+  'secret', 'password', 'userjwtsecret', 'user_jwt_secret'
+];
+const MESSAGE_KEYS = ['text', 'question', 'content', 'prompt'];
+const MAX_DEPTH = 6;
+
+function parseKeyList(value) {
+  return String(value || '').split(',').map(key => key.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Create a redaction function
+ *
+ * @param {Object} [options]
+ * @param {string[]} [options.secretKeys] - Extra field names to redact
+ * @param {boolean} [options.redactMessages] - Replace chat content with its length
+ */
+function createRedactor({ secretKeys = [], redactMessages = true } = {}) {
+  const secrets = new Set(SECRET_KEYS.concat(secretKeys.map(key => key.toLowerCase())));
+  const messages = new Set(redactMessages ? MESSAGE_KEYS : []);
+
+  function redactString(value) {
+    return value.replace(/(Bearer\s+)[^\s"',]+/gi, '$1[REDACTED]');
+  }
+
+  function redact(value, depth = 0) {
+    if (typeof value === 'string') {
+      return redactString(value);
+    }
+    if (value instanceof Error) {
+      return redact(serializeError(value), depth);
+    }
+    if (!value || typeof value !== 'object' || Buffer.isBuffer(value)) {
+      return Buffer.isBuffer(value) ? `[Buffer ${value.length} bytes]` : value;
+    }
+    if (depth >= MAX_DEPTH) {
+      return '[Truncated]';
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => redact(item, depth + 1));
+    }
+
+    const result = {};
+    Object.keys(value).forEach(key => {
+      const lowerKey = key.toLowerCase();
+      if (secrets.has(lowerKey)) {
+        result[key] = value[key] ? '[REDACTED]' : value[key];
+      } else if (messages.has(lowerKey) && typeof value[key] === 'string') {
+        result[key] = `[REDACTED ${value[key].length} chars]`;
+      } else {
+        result[key] = redact(value[key], depth + 1);
+      }
+    });
+    return result;
+  }
+
+  return redact;
+}
+
+function serializeError(error) {
+  const serialized = { name: error.name, message: error.message };
+  if (error.code) serialized.code = error.code;
+  if (error.cause && error.cause.code) serialized.cause = error.cause.code;
+  if (error.stack) serialized.stack = error.stack;
+  return serialized;
+}
+
+function formatPretty(entry) {
+  const { time, level, msg, component, ...fields } = entry;
+  const extras = Object.keys(fields).map(key => {
+    const value = fields[key];
+    return `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`;
+  });
+  return [time, level.toUpperCase().padEnd(5), component ? `[${component}]` : null, msg]
+    .concat(extras)
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * Create a logger
+ *
+ * @param {Object} [options]
+ * @param {string} [options.level] - Minimum level
+ * @param {string} [options.format] - 'json' or 'pretty'
+ * @param {Function} [options.redact] - Redaction function (see createRedactor)
+ * @param {Object} [options.fields] - Fields added to every entry
+ * @param {Object} [options.streams] - { out, err } writable streams
+ */
+function createLogger({ level = 'info', format = 'json', redact = createRedactor(), fields = {}, streams } = {}) {
+  const threshold = LEVELS[level] !== undefined ? LEVELS[level] : LEVELS.info;
+  const out = (streams && streams.out) || process.stdout;
+  const err = (streams && streams.err) || process.stderr;
+
+  function write(entryLevel, msg, entryFields) {
+    if (LEVELS[entryLevel] < threshold) {
+      return;
+    }
+    const entry = Object.assign(
+      { time: new Date().toISOString(), level: entryLevel, msg: redact(String(msg)) },
+      redact(fields),
+      redact(entryFields || {})
+    );
+    const line = format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+    (LEVELS[entryLevel] >= LEVELS.warn ? err : out).write(line + '\n');
+  }
+
+  return {
+    level: level,
+    isLevelEnabled: entryLevel => LEVELS[entryLevel] >= threshold,
+    debug: (msg, entryFields) => write('debug', msg, entryFields),
+    info: (msg, entryFields) => write('info', msg, entryFields),
+    warn: (msg, entryFields) => write('warn', msg, entryFields),
+    error: (msg, entryFields) => write('error', msg, entryFields),
+    child: childFields => createLogger({
+      level: level,
+      format: format,
+      redact: redact,
+      fields: Object.assign({}, fields, childFields),
+      streams: { out, err }
+    })
+  };
+}
+
+/**
+ * Build the logger configured through environment variables
+ */
+function loadLogger(env = process.env) {
+  return createLogger({
+    level: (env.LOG_LEVEL || 'info').toLowerCase(),
+    format: env.LOG_FORMAT === 'pretty' ? 'pretty' : 'json',
+    redact: createRedactor({
+      secretKeys: parseKeyList(env.LOG_REDACT_KEYS),
+      redactMessages: env.LOG_REDACT_MESSAGES !== 'false'
+    })
+  });
+}
+
+// Process-wide logger shared by server.js and lib modules
+const logger = loadLogger();
+
+module.exports = {
+  LEVELS,
+  createRedactor,
+  createLogger,
+  loadLogger,
+  logger
+};
@@ -0,0 +1,248 @@
+/**
+ * Metrics
+ *
+ * Minimal Prometheus client (counters, gauges, histograms) rendering the
+ * standard text exposition format (version 0.0.4) for GET /metrics, plus the
+ * embedding server's metric definitions:
+ *
+ *   aventora_tokens_issued_total{tenant,cached}          counter
+ *   aventora_token_failures_total{tenant,status}         counter
+ *   aventora_proxy_request_duration_seconds{route,status} histogram
+ *   aventora_circuit_breaker_state{upstream}             gauge (0 closed, 1 half-open, 2 open)
+ *   aventora_rate_limit_rejections_total{route,scope}    counter
+ *   aventora_active_visitors{tenant}                     gauge (seen within the active window)
+ */
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const DEFAULT_ACTIVE_WINDOW_MS = 5 * 60 * 1000;
+const BREAKER_STATES = { 'closed': 0, 'half-open': 1, 'open': 2 };
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labelNames, labelValues, extra) {
+  const pairs = labelNames.map((name, index) => `${name}="${escapeLabelValue(labelValues[index])}"`);
+  if (extra) {
+    pairs.push(`${extra[0]}="${escapeLabelValue(extra[1])}"`);
+  }
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * Create a metrics registry
+ */
+function createMetricsRegistry() {
+  const metrics = [];
+
+  // Series keyed by their label values, in labelNames order
+  function seriesKey(labelNames, labels = {}) {
+    return JSON.stringify(labelNames.map(name => labels[name] === undefined ? '' : String(labels[name])));
+  }
+
+  function register(metric) {
+    if (metrics.some(existing => existing.name === metric.name)) {
+      throw new Error(`Metric already registered: ${metric.name}`);
+    }
+    metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * Monotonic counter
+   */
+  function counter(name, help, labelNames = []) {
+    const series = new Map();
+    return register({
+      name, help, type: 'counter',
+      inc(labels, amount = 1) {
+        const key = seriesKey(labelNames, labels);
+        series.set(key, (series.get(key) || 0) + amount);
+      },
+      render() {
+        return Array.from(series, ([key, value]) => `${name}${formatLabels(labelNames, JSON.parse(key))} ${formatValue(value)}`);
+      }
+    });
+  }
+
+  /**
+   * Gauge. With `collect`, values are read at scrape time:
+   * collect() -> [{ labels, value }]
+   */
+  function gauge(name, help, labelNames = [], collect = null) {
+    const series = new Map();
+    return register({
+      name, help, type: 'gauge',
+      set(labels, value) {
+        series.set(seriesKey(labelNames, labels), value);
+      },
+      render() {
+        const entries = collect
+          ? collect().map(sample => [seriesKey(labelNames, sample.labels), sample.value])
+          : Array.from(series);
+        return entries.map(([key, value]) => `${name}${formatLabels(labelNames, JSON.parse(key))} ${formatValue(value)}`);
+      }
+    });
+  }
+
+  /**
+   * Histogram with cumulative buckets (seconds)
+   */
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const series = new Map();
+    return register({
+      name, help, type: 'histogram',
+      observe(labels, value) {
+        const key = seriesKey(labelNames, labels);
+        if (!series.has(key)) {
+          series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+        }
+        const entry = series.get(key);
+        buckets.forEach((bound, index) => {
+          if (value <= bound) entry.counts[index] += 1;
+        });
+        entry.sum += value;
+        entry.count += 1;
+      },
+      render() {
+        const lines = [];
+        series.forEach((entry, key) => {
+          const labelValues = JSON.parse(key);
+          buckets.forEach((bound, index) => {
+            lines.push(`${name}_bucket${formatLabels(labelNames, labelValues, ['le', formatValue(bound)])} ${entry.counts[index]}`);
+          });
+          lines.push(`${name}_bucket${formatLabels(labelNames, labelValues, ['le', '+Inf'])} ${entry.count}`);
+          lines.push(`${name}_sum${formatLabels(labelNames, labelValues)} ${formatValue(entry.sum)}`);
+          lines.push(`${name}_count${formatLabels(labelNames, labelValues)} ${entry.count}`);
+        });
+        return lines;
+      }
+    });
+  }
+
+  /**
+   * Text exposition of every registered metric
+   */
+  function render() {
+    return metrics.map(metric => [
+      `# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`,
+      `# TYPE ${metric.name} ${metric.type}`
+    ].concat(metric.render()).join('\n')).join('\n') + '\n';
+  }
+
+  return {
+    contentType: 'text/plain; version=0.0.4; charset=utf-8',
+    counter,
+    gauge,
+    histogram,
+    render
+  };
+}
+
+/**
+ * Track ids seen within a sliding window, grouped by tenant
+ */
+function createActivityTracker(windowMs = DEFAULT_ACTIVE_WINDOW_MS) {
+  const lastSeen = new Map();
+
+  // The map is ordered by last activity, so expired entries are at the front
+  function prune() {
+    const cutoff = Date.now() - windowMs;
+    for (const [key, entry] of lastSeen) {
+      if (entry.at >= cutoff) break;
+      lastSeen.delete(key);
+    }
+  }
+
+  return {
+    touch(tenant, id) {
+      const key = `${tenant}|${id}`;
+      lastSeen.delete(key);
+      lastSeen.set(key, { tenant: tenant, at: Date.now() });
+      prune();
+    },
+    countByTenant() {
+      prune();
+      const counts = new Map();
+      lastSeen.forEach(entry => counts.set(entry.tenant, (counts.get(entry.tenant) || 0) + 1));
+      return counts;
+    }
+  };
+}
+
+/**
+ * The embedding server's metrics
+ *
+ * @param {Object} options
+ * @param {Object} options.upstreamClient - Client from lib/upstream-client.js (breaker state)
+ * @param {number} [options.activeWindowMs] - Visitors count as active this long after a token request
+ */
+function createServerMetrics({ upstreamClient, activeWindowMs = DEFAULT_ACTIVE_WINDOW_MS }) {
+  const registry = createMetricsRegistry();
+  const visitors = createActivityTracker(activeWindowMs);
+
+  return {
+    registry: registry,
+    tokensIssued: registry.counter(
+      'aventora_tokens_issued_total',
+      'Chatbot tokens returned to widgets, by tenant and whether served from the token cache',
+      ['tenant', 'cached']
+    ),
+    tokenFailures: registry.counter(
+      'aventora_token_failures_total',
+      'Failed token requests by tenant and upstream status code (or timeout, circuit_open, error)',
+      ['tenant', 'status']
+    ),
+    proxyDuration: registry.histogram(
+      'aventora_proxy_request_duration_seconds',
+      'Widget API proxy request duration by route and response status',
+      ['route', 'status']
+    ),
+    circuitBreakerState: registry.gauge(
+      'aventora_circuit_breaker_state',
+      'Upstream circuit breaker state (0 closed, 1 half-open, 2 open)',
+      ['upstream'],
+      () => upstreamClient.getState().upstreams.map(breaker => ({
+        labels: { upstream: breaker.upstream },
+        value: BREAKER_STATES[breaker.state]
+      }))
+    ),
+    rateLimitRejections: registry.counter(
+      'aventora_rate_limit_rejections_total',
+      'Requests rejected by rate limiting, by route and limit scope',
+      ['route', 'scope']
+    ),
+    activeVisitors: registry.gauge(
+      'aventora_active_visitors',
+      `Visitors with a token request in the last ${Math.round(activeWindowMs / 1000)} seconds`,
+      ['tenant'],
+      () => Array.from(visitors.countByTenant(), ([tenant, count]) => ({ labels: { tenant }, value: count }))
+    ),
+    trackVisitor: (tenant, visitorId) => visitors.touch(tenant, visitorId)
+  };
+}
+
+/**
+ * Build the server metrics configured through environment variables
+ */
+function loadServerMetrics({ upstreamClient }, env = process.env) {
+  const activeWindowMs = parseInt(env.METRICS_ACTIVE_VISITOR_WINDOW_MS, 10);
+  return createServerMetrics({
+    upstreamClient: upstreamClient,
+    activeWindowMs: Number.isNaN(activeWindowMs) ? DEFAULT_ACTIVE_WINDOW_MS : activeWindowMs
+  });
+}
+
+module.exports = {
+  DEFAULT_BUCKETS,
+  createMetricsRegistry,
+  createActivityTracker,
+  createServerMetrics,
+  loadServerMetrics
+};
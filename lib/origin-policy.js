@@ -0,0 +1,108 @@
+/**
+ * Origin Policy
+ *
+ * Per-tenant origin allowlists used to enforce CORS on the token, config and
+ * widget proxy routes.
+ *
+ * Supported patterns:
+ * - "*"                          any origin
+ * - "https://app.example.com"    exact origin (scheme, host and port)
+ * - "example.com"                host on any scheme/port
+ * - "*.example.com"              any subdomain of example.com (not the apex)
+ * - "https://*.example.com"      any subdomain, https only
+ */
+
+/**
+ * Parse an origin list from an array or a comma/whitespace separated string
+ */
+function parseOriginList(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const list = Array.isArray(value) ? value : String(value).split(/[\s,]+/);
+  return list.map(item => String(item).trim().toLowerCase().replace(/\/$/, '')).filter(Boolean);
+}
+
+function parseOrigin(origin) {
+  try {
+    const url = new URL(origin);
+    return { protocol: url.protocol, hostname: url.hostname.toLowerCase(), host: url.host.toLowerCase() };
+  } catch (e) {
+    return null;
+  }
+}
+
+function matchHost(hostname, pattern) {
+  if (pattern.startsWith('*.')) {
+    const suffix = pattern.slice(1); // ".example.com"
+    return hostname.endsWith(suffix) && hostname.length > suffix.length;
+  }
+  return hostname === pattern;
+}
+
+/**
+ * Check a single origin against a single pattern
+ */
+function matchOrigin(origin, pattern) {
+  if (pattern === '*') {
+    return true;
+  }
+
+  const parsed = parseOrigin(origin);
+  if (!parsed) {
+    return false;
+  }
+
+  const schemeMatch = pattern.match(/^([a-z][a-z0-9+.-]*):\/\/(.+)$/);
+  if (!schemeMatch) {
+    // Bare host pattern: ignore scheme and port
+    return matchHost(parsed.hostname, pattern);
+  }
+
+  if (`${schemeMatch[1]}:` !== parsed.protocol) {
+    return false;
+  }
+
+  const hostPattern = schemeMatch[2];
+  // Patterns with an explicit port must match host:port, others the hostname
+  return hostPattern.includes(':')
+    ? matchHost(parsed.host, hostPattern)
+    : matchHost(parsed.hostname, hostPattern) && parsed.host === parsed.hostname;
+}
+
+/**
+ * Check an origin against a list of patterns
+ */
+function isOriginAllowed(origin, patterns) {
+  return (patterns || []).some(pattern => matchOrigin(origin, pattern));
+}
+
+/**
+ * Whether the Origin header points at this server itself (same-origin request)
+ */
+function isSameOrigin(origin, requestHost) {
+  const parsed = parseOrigin(origin);
+  return !!parsed && !!requestHost && parsed.host === String(requestHost).toLowerCase();
+}
+
+/**
+ * Allowlist for a tenant. Tenants without an explicit list default to their
+ * own domain and its subdomains.
+ */
+function getTenantOrigins(tenant) {
+  if (!tenant) {
+    return [];
+  }
+  if (tenant.allowedOrigins) {
+    return tenant.allowedOrigins;
+  }
+  return tenant.domainName ? [tenant.domainName, `*.${tenant.domainName}`] : [];
+}
+
+module.exports = {
+  parseOriginList,
+  matchOrigin,
+  isOriginAllowed,
+  isSameOrigin,
+  getTenantOrigins
+};
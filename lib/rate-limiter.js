@@ -0,0 +1,204 @@
+/**
+ * Rate Limiter
+ *
+ * Sliding window rate limiting for the token and widget proxy endpoints.
+ * Limits are configured per route ("token", "widget") and applied on two
+ * dimensions: per client IP and per tenant.
+ *
+ * A store records hits and is the only stateful part, so a shared store
+ * (e.g. Redis sorted sets) can be plugged in to limit across instances.
+ * A store is any object implementing:
+ *
+ *   count(key, windowMs, now) -> Promise<{ count, oldest }>
+ *   record(key, now) -> Promise
+ *
+ * where `count` is the number of hits for `key` within the window ending at
+ * `now` and `oldest` the timestamp of the oldest of them (null without hits).
+ * Only allowed requests are recorded, so a client retrying while limited
+ * does not extend its own block, and the window frees up once `oldest`
+ * leaves it.
+ */
+
+const path = require('path');
+
+const DEFAULT_WINDOW_MS = 60 * 1000;
+
+const DEFAULT_RULES = {
+  token: { ip: 10, tenant: 600 },
+  widget: { ip: 60, tenant: 3000 }
+};
+
+/**
+ * In-memory sliding log store (single instance only)
+ */
+function createMemoryStore({ cleanupIntervalMs = 60 * 1000 } = {}) {
+  const hits = new Map();
+  let maxWindowMs = 0;
+
+  function prune(timestamps, now, windowMs) {
+    const cutoff = now - windowMs;
+    let index = 0;
+    while (index < timestamps.length && timestamps[index] <= cutoff) {
+      index++;
+    }
+    if (index > 0) {
+      timestamps.splice(0, index);
+    }
+  }
+
+  // Drop keys without recent hits so memory stays bounded
+  const timer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, timestamps] of hits) {
+      prune(timestamps, now, maxWindowMs);
+      if (timestamps.length === 0) {
+        hits.delete(key);
+      }
+    }
+  }, cleanupIntervalMs);
+  if (timer.unref) {
+    timer.unref();
+  }
+
+  return {
+    async count(key, windowMs, now = Date.now()) {
+      maxWindowMs = Math.max(maxWindowMs, windowMs);
+      const timestamps = hits.get(key);
+      if (!timestamps) {
+        return { count: 0, oldest: null };
+      }
+      prune(timestamps, now, windowMs);
+      return { count: timestamps.length, oldest: timestamps.length > 0 ? timestamps[0] : null };
+    },
+
+    async record(key, now = Date.now()) {
+      if (!hits.has(key)) {
+        hits.set(key, []);
+      }
+      hits.get(key).push(now);
+    },
+
+    async reset(key) {
+      hits.delete(key);
+    },
+
+    size() {
+      return hits.size;
+    }
+  };
+}
+
+/**
+ * Load a custom store from a module path. The module may export a store
+ * object directly or a factory returning one.
+ */
+function loadStoreModule(modulePath, env = process.env) {
+  const exported = require(path.resolve(modulePath));
+  const store = typeof exported === 'function' ? exported(env) : exported;
+  if (!store || typeof store.count !== 'function' || typeof store.record !== 'function') {
+    throw new Error(`Rate limit store ${modulePath} must implement count(key, windowMs, now) and record(key, now)`);
+  }
+  return store;
+}
+
+/**
+ * Create a rate limiter
+ *
+ * @param {Object} options
+ * @param {Object} [options.store] - Hit store (defaults to in-memory)
+ * @param {Object} [options.rules] - Limits per route: { token: { ip, tenant, windowMs } }
+ * @param {number} [options.windowMs] - Default window length
+ * @param {boolean} [options.enabled] - Set false to disable all limits
+ * @returns {Object} limiter with consume() and getLimits()
+ */
+function createRateLimiter({ store = createMemoryStore(), rules = DEFAULT_RULES, windowMs = DEFAULT_WINDOW_MS, enabled = true } = {}) {
+  /**
+   * Effective limits for a route, with per-tenant overrides from the
+   * registry record (`rate_limits: { token: { ip: 20 } }`)
+   */
+  function getLimits(route, tenant) {
+    const base = rules[route] || {};
+    const override = (tenant && tenant.rateLimits && tenant.rateLimits[route]) || {};
+    return Object.assign({ windowMs: windowMs }, base, override);
+  }
+
+  /**
+   * Check a request against several limits (e.g. per IP and per tenant) and
+   * record a hit for each only when all of them allow it, so a request one
+   * limit rejects does not use up the others. A limit of 0 (or unset) means
+   * unlimited.
+   *
+   * @param {Array<Object>} checks - [{ key, limit }]
+   * @param {number} windowLength - Window length in milliseconds
+   * @returns {Promise<Array<Object>>} per check { allowed, limit, remaining, retryAfterSeconds }
+   */
+  async function consume(checks, windowLength) {
+    const now = Date.now();
+    const results = await Promise.all(checks.map(async ({ key, limit }) => {
+      if (!enabled || !limit) {
+        return { allowed: true, limit: null, remaining: null, retryAfterSeconds: 0 };
+      }
+
+      const { count, oldest } = await store.count(key, windowLength, now);
+      const allowed = count < limit;
+      return {
+        allowed: allowed,
+        limit: limit,
+        remaining: allowed ? limit - count - 1 : 0,
+        retryAfterSeconds: allowed ? 0 : Math.max(1, Math.ceil((oldest + windowLength - now) / 1000))
+      };
+    }));
+
+    if (results.every(result => result.allowed)) {
+      await Promise.all(checks
+        .filter((check, index) => results[index].limit !== null)
+        .map(check => store.record(check.key, now)));
+    }
+    return results;
+  }
+
+  return {
+    enabled: enabled,
+    getLimits: getLimits,
+    consume: consume
+  };
+}
+
+/**
+ * Build the limiter configured through environment variables
+ */
+function loadRateLimiter(env = process.env) {
+  const toLimit = (value, fallback) => {
+    if (value === undefined || value === '') {
+      return fallback;
+    }
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) ? fallback : parsed;
+  };
+
+  const rules = {
+    token: {
+      ip: toLimit(env.RATE_LIMIT_TOKEN_PER_IP, DEFAULT_RULES.token.ip),
+      tenant: toLimit(env.RATE_LIMIT_TOKEN_PER_TENANT, DEFAULT_RULES.token.tenant)
+    },
+    widget: {
+      ip: toLimit(env.RATE_LIMIT_WIDGET_PER_IP, DEFAULT_RULES.widget.ip),
+      tenant: toLimit(env.RATE_LIMIT_WIDGET_PER_TENANT, DEFAULT_RULES.widget.tenant)
+    }
+  };
+
+  return createRateLimiter({
+    store: env.RATE_LIMIT_STORE_MODULE ? loadStoreModule(env.RATE_LIMIT_STORE_MODULE, env) : createMemoryStore(),
+    rules: rules,
+    windowMs: toLimit(env.RATE_LIMIT_WINDOW_MS, DEFAULT_WINDOW_MS),
+    enabled: env.RATE_LIMIT_ENABLED !== 'false'
+  });
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  DEFAULT_WINDOW_MS,
+  createMemoryStore,
+  createRateLimiter,
+  loadRateLimiter
+};
@@ -0,0 +1,189 @@
+/**
+ * Readiness Checks
+ *
+ * Deep checks behind GET /health/ready. For every active tenant:
+ *
+ * - apiKey         - the key is validated with the same token request as
+ *                    `aventora-admin verify` (lib/api-key-check.js)
+ * - chatbotBaseUrl - the chatbot app answers (any status below 500)
+ * - widgetApi      - the widget API answers (any status below 500; 404/405
+ *                    still prove the API is reachable)
+ *
+ * Results are cached so load balancer polling does not mint a token on every
+ * probe: key checks for `keyCacheTtlMs`, reachability for `cacheTtlMs`.
+ * Each check keeps its last error even after recovering.
+ *
+ * Overall status:
+ * - ready     - every active tenant passes all checks
+ * - degraded  - some tenants fail, at least one can issue tokens
+ * - not_ready - no tenant can issue tokens (HTTP 503)
+ */
+
+const crypto = require('crypto');
+const { checkApiKey } = require('./api-key-check');
+
+const DEFAULT_OPTIONS = {
+  timeoutMs: 5000,
+  cacheTtlMs: 30 * 1000,
+  keyCacheTtlMs: 5 * 60 * 1000
+};
+
+// "fetch failed" alone does not say why; add the network error code
+function describeError(error) {
+  const code = error.code || (error.cause && error.cause.code);
+  return code ? `${error.message} (${code})` : error.message;
+}
+
+/**
+ * Create the readiness checker
+ *
+ * @param {Object} options
+ * @param {Object} options.tenantRegistry - Registry from lib/tenant-registry.js
+ * @param {Object} options.upstreamClient - Client from lib/upstream-client.js
+ * @param {number} [options.timeoutMs] - Per-check timeout
+ * @param {number} [options.cacheTtlMs] - Reachability result lifetime
+ * @param {number} [options.keyCacheTtlMs] - API key result lifetime
+ */
+function createReadinessChecker({ tenantRegistry, upstreamClient, ...options }) {
+  const config = Object.assign({}, DEFAULT_OPTIONS, options);
+  // check key -> { promise, expiresAt, lastError }
+  const results = new Map();
+  const requestOptions = { timeoutMs: config.timeoutMs, retries: 0 };
+
+  // Run `check` at most once per `ttlMs` for `key`; concurrent callers share
+  // the pending promise
+  function cached(key, ttlMs, check) {
+    const entry = results.get(key) || { lastError: null };
+    if (entry.promise && entry.expiresAt > Date.now()) {
+      return entry.promise.then(result => Object.assign({}, result, { cached: true }));
+    }
+
+    entry.expiresAt = Date.now() + ttlMs;
+    entry.promise = check().then(result => {
+      if (result.status === 'fail') {
+        entry.lastError = { message: result.error, at: result.checkedAt };
+      }
+      return Object.assign(result, { lastError: entry.lastError });
+    });
+    results.set(key, entry);
+    return entry.promise.then(result => Object.assign({}, result, { cached: false }));
+  }
+
+  // Identifies a key in the cache without keeping the key itself
+  function keyFingerprint(apiKey) {
+    return crypto.createHash('sha256').update(String(apiKey || '').trim()).digest('hex').slice(0, 16);
+  }
+
+  async function checkKey(tenant) {
+    const checkedAt = new Date().toISOString();
+    if (!tenant.chatbotApiKey) {
+      return { status: 'fail', statusCode: null, latencyMs: 0, error: 'API key not configured', checkedAt };
+    }
+
+    const result = await checkApiKey({
+      apiUrl: tenant.apiUrl,
+      apiKey: tenant.chatbotApiKey,
+      request: upstreamClient.request,
+      requestOptions: requestOptions
+    });
+    let error = null;
+    if (result.error) {
+      error = describeError(result.error);
+    } else if (!result.valid) {
+      error = result.status === 401 ? 'API key rejected (401)' : `Token API returned ${result.status}`;
+    }
+    return { status: error ? 'fail' : 'ok', statusCode: result.status, latencyMs: result.latencyMs, error, checkedAt };
+  }
+
+  async function checkReachable(url) {
+    const checkedAt = new Date().toISOString();
+    if (!url) {
+      return { status: 'fail', statusCode: null, latencyMs: 0, error: 'URL not configured', checkedAt };
+    }
+
+    const startedAt = Date.now();
+    try {
+      const response = await upstreamClient.request(url, Object.assign({ method: 'GET' }, requestOptions));
+      if (response.body) {
+        await response.body.cancel().catch(() => {});
+      }
+      const latencyMs = Date.now() - startedAt;
+      const error = response.status >= 500 ? `Responded with ${response.status}` : null;
+      return { status: error ? 'fail' : 'ok', statusCode: response.status, latencyMs, error, checkedAt };
+    } catch (error) {
+      return { status: 'fail', statusCode: null, latencyMs: Date.now() - startedAt, error: describeError(error), checkedAt };
+    }
+  }
+
+  async function checkTenant(tenant) {
+    if (!tenant.isActive) {
+      return { domain: tenant.domainName, status: 'inactive', checks: {} };
+    }
+
+    const [apiKey, chatbotBaseUrl, widgetApi] = await Promise.all([
+      cached(`key:${tenant.apiUrl}:${keyFingerprint(tenant.chatbotApiKey)}`, config.keyCacheTtlMs, () => checkKey(tenant)),
+      cached(`url:${tenant.chatbotBaseUrl}`, config.cacheTtlMs, () => checkReachable(tenant.chatbotBaseUrl)),
+      cached(`url:${tenant.apiUrl}/v1/widget/session`, config.cacheTtlMs, () => checkReachable(`${tenant.apiUrl}/v1/widget/session`))
+    ]);
+
+    const checks = { apiKey, chatbotBaseUrl, widgetApi };
+    const failed = Object.values(checks).some(check => check.status !== 'ok');
+    return {
+      domain: tenant.domainName,
+      status: apiKey.status !== 'ok' ? 'fail' : (failed ? 'degraded' : 'ok'),
+      checks: checks
+    };
+  }
+
+  /**
+   * Run (or reuse cached) checks for every tenant
+   */
+  async function check() {
+    const tenants = await tenantRegistry.list();
+    const tenantResults = await Promise.all(tenants.map(checkTenant));
+    const active = tenantResults.filter(tenant => tenant.status !== 'inactive');
+
+    let status = 'ready';
+    if (!active.some(tenant => tenant.status !== 'fail')) {
+      status = 'not_ready';
+    } else if (active.some(tenant => tenant.status !== 'ok')) {
+      status = 'degraded';
+    }
+
+    return {
+      status: status,
+      checkedAt: new Date().toISOString(),
+      tenantRegistry: tenantRegistry.source,
+      upstream: upstreamClient.getState(),
+      tenants: tenantResults
+    };
+  }
+
+  return {
+    check: check
+  };
+}
+
+/**
+ * Build the checker configured through environment variables
+ */
+function loadReadinessChecker({ tenantRegistry, upstreamClient }, env = process.env) {
+  const toNumber = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) ? fallback : parsed;
+  };
+
+  return createReadinessChecker({
+    tenantRegistry: tenantRegistry,
+    upstreamClient: upstreamClient,
+    timeoutMs: toNumber(env.READINESS_TIMEOUT_MS, DEFAULT_OPTIONS.timeoutMs),
+    cacheTtlMs: toNumber(env.READINESS_CACHE_TTL_MS, DEFAULT_OPTIONS.cacheTtlMs),
+    keyCacheTtlMs: toNumber(env.READINESS_KEY_CACHE_TTL_MS, DEFAULT_OPTIONS.keyCacheTtlMs)
+  });
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  createReadinessChecker,
+  loadReadinessChecker
+};
@@ -0,0 +1,61 @@
+/**
+ * Request IDs
+ *
+ * Gives every request a correlation id so the log lines of one request (and
+ * the matching upstream calls) can be found together:
+ *
+ * - An incoming `X-Request-Id` header is reused when it looks like an id,
+ *   otherwise a UUID is generated.
+ * - The id is returned in the `X-Request-Id` response header and forwarded
+ *   to the Aventora APIs by the upstream client.
+ * - `req.log` is a child logger tagged with the id.
+ * - One access log entry is written per request when the response finishes.
+ */
+
+const crypto = require('crypto');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Express middleware assigning `req.id` and `req.log`
+ *
+ * @param {Object} logger - Logger from lib/logger.js
+ */
+function requestIdMiddleware(logger) {
+  return (req, res, next) => {
+    const incoming = req.get(REQUEST_ID_HEADER);
+    req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+    req.log = logger.child({ requestId: req.id });
+    res.set(REQUEST_ID_HEADER, req.id);
+
+    const startedAt = process.hrtime.bigint();
+    res.on('finish', () => {
+      // req.path is relative to the router mount point once routed
+      const requestPath = req.originalUrl.split('?')[0];
+      const fields = {
+        component: 'http',
+        method: req.method,
+        path: requestPath,
+        status: res.statusCode,
+        durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e6)
+      };
+      // Static assets are only logged at debug level
+      const isApi = requestPath.startsWith('/api/') || requestPath.startsWith('/health');
+      if (res.statusCode >= 500) {
+        req.log.error('Request failed', fields);
+      } else if (isApi) {
+        req.log.info('Request completed', fields);
+      } else {
+        req.log.debug('Request completed', fields);
+      }
+    });
+
+    next();
+  };
+}
+
+module.exports = {
+  REQUEST_ID_HEADER,
+  requestIdMiddleware
+};
@@ -0,0 +1,254 @@
+/**
+ * Tenant Registry
+ *
+ * Maps a tenant/domain to its own chatbot integration settings so a single
+ * embedding server can issue tokens for many customer domains.
+ *
+ * Records follow the `tenant_integrations` model described in
+ * docs/WEB_APP_CHATBOT_HUB_EMBEDDING.md and are normalized to:
+ *
+ * {
+ *   domainName: 'example.com',
+ *   chatbotApiKey: 'avk_...',
+ *   chatbotBaseUrl: 'https://example.aventora.app',
+ *   apiUrl: 'https://api.aventora.ai',   // optional, per-tenant API override
+ *   defaultLanguage: 'en',
+ *   allowedOrigins: ['https://example.com', '*.example.com'], // optional
+ *   rateLimits: { token: { ip: 20, tenant: 1000 } },          // optional
+ *   userJwtSecret: '...',                                     // optional
+ *   tokenLifetimeHours: 8,                                    // optional
+ *   tokenMaxLifetimeHours: 12,                                // optional
+ *   isActive: true
+ * }
+ *
+ * A store is any object implementing:
+ *
+ *   getTenant(domainName) -> Promise<Object|null>
+ *   listTenants()         -> Promise<Object[]>
+ *
+ * Built-in stores:
+ * - File store (TENANT_REGISTRY_FILE): JSON file with an array of records
+ *   or an object keyed by domain name
+ * - Module store (TENANT_REGISTRY_MODULE): path to a module exporting a store
+ *   or a factory returning one (e.g. backed by SQLite or Postgres)
+ * - Env store (default): single tenant built from DOMAIN_CHATBOT_API_KEY and
+ *   CHATBOT_BASE_URL that serves every domain (single-tenant mode)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseOriginList } = require('./origin-policy');
+const { logger } = require('./logger');
+
+const DEFAULT_API_URL = 'https://api.aventora.ai';
+
+/**
+ * Normalize a domain or URL into a bare lowercase host name
+ * ("https://www.Example.com/page" -> "example.com")
+ */
+function normalizeDomain(input) {
+  const source = String(input || '').toLowerCase().trim();
+  return source
+    .replace(/^https?:\/\//, '')
+    .split('/')[0]
+    .split(':')[0]
+    .replace(/^www\./, '');
+}
+
+/**
+ * Normalize a registry record. Accepts both the snake_case column names of
+ * `tenant_integrations` and camelCase keys.
+ */
+function normalizeTenant(record, fallbackDomain) {
+  if (!record || typeof record !== 'object') {
+    return null;
+  }
+
+  const pick = (...keys) => {
+    for (const key of keys) {
+      if (record[key] !== undefined && record[key] !== null && record[key] !== '') {
+        return record[key];
+      }
+    }
+    return undefined;
+  };
+
+  const isActive = pick('isActive', 'is_active');
+
+  return {
+    domainName: normalizeDomain(pick('domainName', 'domain_name', 'domain') || fallbackDomain),
+    chatbotApiKey: String(pick('chatbotApiKey', 'chatbot_api_key') || '').trim(),
+    chatbotBaseUrl: String(pick('chatbotBaseUrl', 'chatbot_base_url') || '').replace(/\/$/, ''),
+    apiUrl: String(pick('apiUrl', 'api_url') || '').replace(/\/$/, '') || null,
+    defaultLanguage: pick('defaultLanguage', 'default_language') || 'en',
+    allowedOrigins: parseOriginList(pick('allowedOrigins', 'allowed_origins')),
+    rateLimits: pick('rateLimits', 'rate_limits') || null,
+    userJwtSecret: pick('userJwtSecret', 'user_jwt_secret') || null,
+    tokenLifetimeHours: pick('tokenLifetimeHours', 'token_lifetime_hours') || null,
+    tokenMaxLifetimeHours: pick('tokenMaxLifetimeHours', 'token_max_lifetime_hours') || null,
+    isActive: isActive === undefined ? true : isActive === true || isActive === 'true' || isActive === 1
+  };
+}
+
+/**
+ * JSON file store. The file is re-read when its modification time changes,
+ * so tenants can be added without restarting the server.
+ */
+function createFileTenantStore(filePath) {
+  const resolvedPath = path.resolve(filePath);
+  let cachedMtime = null;
+  let tenants = new Map();
+
+  function load() {
+    const stat = fs.statSync(resolvedPath);
+    if (cachedMtime !== null && stat.mtimeMs === cachedMtime) {
+      return tenants;
+    }
+
+    const raw = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+    const entries = Array.isArray(raw)
+      ? raw.map(record => normalizeTenant(record))
+      : Object.keys(raw).map(domain => normalizeTenant(raw[domain], domain));
+
+    const next = new Map();
+    entries.forEach(tenant => {
+      if (tenant && tenant.domainName) {
+        next.set(tenant.domainName, tenant);
+      }
+    });
+
+    tenants = next;
+    cachedMtime = stat.mtimeMs;
+    logger.info('Tenant registry loaded', { component: 'tenant-registry', tenants: tenants.size, file: resolvedPath });
+    return tenants;
+  }
+
+  return {
+    source: `file:${resolvedPath}`,
+    async getTenant(domainName) {
+      return load().get(normalizeDomain(domainName)) || null;
+    },
+    async listTenants() {
+      return Array.from(load().values());
+    }
+  };
+}
+
+/**
+ * Single-tenant store built from environment variables. Every domain
+ * resolves to the same integration, which matches the original behaviour
+ * of this server.
+ *
+ * The tenant's domain name is pinned to DEFAULT_TENANT_DOMAIN (or
+ * 'default') whatever domain was requested, so callers cannot mint new
+ * per-tenant rate limit buckets or metric labels by varying the domain.
+ * Because any domain name resolves here, the origin allowlist never defaults
+ * to the requested domain: only ALLOWED_ORIGINS (and same-origin requests)
+ * are accepted.
+ */
+function createEnvTenantStore(env = process.env) {
+  function build() {
+    return normalizeTenant({
+      domainName: env.DEFAULT_TENANT_DOMAIN || 'default',
+      chatbotApiKey: env.DOMAIN_CHATBOT_API_KEY,
+      chatbotBaseUrl: env.CHATBOT_BASE_URL,
+      apiUrl: env.DOMAIN_CHATBOT_API_URL,
+      defaultLanguage: env.DEFAULT_LANGUAGE,
+      allowedOrigins: parseOriginList(env.ALLOWED_ORIGINS) || []
+    });
+  }
+
+  return {
+    source: 'env',
+    async getTenant() {
+      return build();
+    },
+    async listTenants() {
+      return [build()];
+    }
+  };
+}
+
+/**
+ * Load a custom store from a module path. The module may export a store
+ * object directly or a (possibly async) factory returning one.
+ */
+function createModuleTenantStore(modulePath, env = process.env) {
+  const exported = require(path.resolve(modulePath));
+  const storePromise = Promise.resolve(typeof exported === 'function' ? exported(env) : exported);
+
+  return {
+    source: `module:${modulePath}`,
+    async getTenant(domainName) {
+      const store = await storePromise;
+      return normalizeTenant(await store.getTenant(normalizeDomain(domainName)), domainName);
+    },
+    async listTenants() {
+      const store = await storePromise;
+      const records = store.listTenants ? await store.listTenants() : [];
+      return records.map(record => normalizeTenant(record)).filter(Boolean);
+    }
+  };
+}
+
+/**
+ * Create a tenant registry wrapping a store.
+ *
+ * @param {Object} options
+ * @param {Object} options.store - Tenant store (see module docs)
+ * @param {string} [options.defaultApiUrl] - Fallback Domain Chatbot API URL
+ * @returns {Object} registry with resolve(domain) and list()
+ */
+function createTenantRegistry({ store, defaultApiUrl = DEFAULT_API_URL }) {
+  function withDefaults(tenant) {
+    if (!tenant) {
+      return null;
+    }
+    return Object.assign({}, tenant, { apiUrl: tenant.apiUrl || defaultApiUrl });
+  }
+
+  return {
+    source: store.source || 'custom',
+
+    /**
+     * Resolve a tenant by domain. Returns null when the domain is unknown.
+     */
+    async resolve(domainName) {
+      return withDefaults(await store.getTenant(normalizeDomain(domainName)));
+    },
+
+    async list() {
+      return (await store.listTenants()).map(withDefaults);
+    }
+  };
+}
+
+/**
+ * Build the registry configured through environment variables.
+ */
+function loadTenantRegistry(env = process.env) {
+  let store;
+  if (env.TENANT_REGISTRY_MODULE) {
+    store = createModuleTenantStore(env.TENANT_REGISTRY_MODULE, env);
+  } else if (env.TENANT_REGISTRY_FILE) {
+    store = createFileTenantStore(env.TENANT_REGISTRY_FILE);
+  } else {
+    store = createEnvTenantStore(env);
+  }
+
+  return createTenantRegistry({
+    store: store,
+    defaultApiUrl: env.DOMAIN_CHATBOT_API_URL || DEFAULT_API_URL
+  });
+}
+
+module.exports = {
+  DEFAULT_API_URL,
+  normalizeDomain,
+  normalizeTenant,
+  createFileTenantStore,
+  createEnvTenantStore,
+  createModuleTenantStore,
+  createTenantRegistry,
+  loadTenantRegistry
+};
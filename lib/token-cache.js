@@ -0,0 +1,126 @@
+/**
+ * Token Cache
+ *
+ * Caches upstream chatbot tokens per visitor so repeat widget opens reuse the
+ * same token (and conversation) instead of minting a new one each time.
+ * Entries are served until shortly before their `expires_at`.
+ *
+ * Keys combine tenant, visitor, username, language and token scope (bot and
+ * lifetime), so logging in, switching language or embedding another bot
+ * issues a fresh token.
+ */
+
+const DEFAULT_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+/**
+ * Cache key for a visitor's token
+ */
+function tokenCacheKey({ tenant, visitorId, username, language, scope }) {
+  return [tenant, visitorId, username, language, scope].map(part => String(part || '')).join('|');
+}
+
+/**
+ * In-memory token cache (single instance only)
+ *
+ * @param {Object} [options]
+ * @param {number} [options.refreshMarginMs] - Stop serving a token this long before it expires
+ * @param {number} [options.maxEntries] - Oldest entries are evicted beyond this size
+ */
+function createMemoryTokenCache({ refreshMarginMs = DEFAULT_REFRESH_MARGIN_MS, maxEntries = 10000, cleanupIntervalMs = 60 * 1000 } = {}) {
+  const entries = new Map();
+
+  function isFresh(entry, now) {
+    return entry.expiresAtMs - refreshMarginMs > now;
+  }
+
+  // Drop stale entries so memory stays bounded
+  const timer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (!isFresh(entry, now)) {
+        entries.delete(key);
+      }
+    }
+  }, cleanupIntervalMs);
+  if (timer.unref) {
+    timer.unref();
+  }
+
+  return {
+    /**
+     * Cached token data for `key`, or null when missing or close to expiry
+     */
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) {
+        return null;
+      }
+      if (!isFresh(entry, Date.now())) {
+        entries.delete(key);
+        return null;
+      }
+      return entry.data;
+    },
+
+    /**
+     * Cache token data. Tokens without a parseable `expires_at` are not cached.
+     */
+    set(key, data) {
+      const expiresAtMs = Date.parse(data && data.expires_at);
+      if (Number.isNaN(expiresAtMs) || !isFresh({ expiresAtMs }, Date.now())) {
+        return false;
+      }
+      entries.delete(key);
+      entries.set(key, { data: data, expiresAtMs: expiresAtMs });
+      if (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+      return true;
+    },
+
+    delete(key) {
+      return entries.delete(key);
+    },
+
+    /**
+     * Remove every token cached for a visitor of a tenant (any user,
+     * language or scope) and return their data
+     */
+    removeVisitor({ tenant, visitorId }) {
+      const prefix = `${tenant}|${visitorId}|`;
+      const removed = [];
+      for (const [key, entry] of entries) {
+        if (key.startsWith(prefix)) {
+          removed.push(entry.data);
+          entries.delete(key);
+        }
+      }
+      return removed;
+    },
+
+    size() {
+      return entries.size;
+    }
+  };
+}
+
+/**
+ * Build the cache configured through environment variables
+ */
+function loadTokenCache(env = process.env) {
+  if (env.TOKEN_CACHE_ENABLED === 'false') {
+    return null;
+  }
+  return createMemoryTokenCache({
+    refreshMarginMs: env.TOKEN_CACHE_REFRESH_MARGIN_MS
+      ? parseInt(env.TOKEN_CACHE_REFRESH_MARGIN_MS, 10)
+      : DEFAULT_REFRESH_MARGIN_MS
+  });
+}
+
+module.exports = {
+  DEFAULT_REFRESH_MARGIN_MS,
+  tokenCacheKey,
+  createMemoryTokenCache,
+  loadTokenCache
+};
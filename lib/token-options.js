@@ -0,0 +1,126 @@
+/**
+ * Token Options
+ *
+ * Resolves the lifetime and metadata of a token request from the request
+ * body, the tenant record and server-enforced bounds.
+ *
+ * Lifetime (hours), in order of precedence:
+ * 1. `expires_in_hours` in the request body
+ * 2. the tenant's `token_lifetime_hours`
+ * 3. TOKEN_DEFAULT_LIFETIME_HOURS (24)
+ * clamped to [TOKEN_MIN_LIFETIME_HOURS, TOKEN_MAX_LIFETIME_HOURS], and to the
+ * tenant's `token_max_lifetime_hours` when that is lower.
+ *
+ * Metadata forwarded to the token API (all optional):
+ * - bot_id   - bot identifier (`bot` in the request, from data-bot)
+ * - page_url - http(s) URL of the embedding page, without query string or hash
+ * - campaign - up to 10 campaign tags (array or comma separated string)
+ */
+
+const DEFAULT_BOUNDS = {
+  minHours: 1,
+  maxHours: 24,
+  defaultHours: 24
+};
+
+const MAX_CAMPAIGN_TAGS = 10;
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+/**
+ * Token lifetime in hours for a request
+ */
+function resolveLifetimeHours(requested, tenant, bounds = DEFAULT_BOUNDS) {
+  const tenantMax = toNumber(tenant && tenant.tokenMaxLifetimeHours);
+  const maxHours = tenantMax !== null ? Math.min(tenantMax, bounds.maxHours) : bounds.maxHours;
+  const minHours = Math.min(bounds.minHours, maxHours);
+
+  const hours = toNumber(requested) ??
+    toNumber(tenant && tenant.tokenLifetimeHours) ??
+    bounds.defaultHours;
+
+  return Math.min(maxHours, Math.max(minHours, hours));
+}
+
+function sanitizeBotId(value) {
+  const bot = String(value || '').trim();
+  return /^[A-Za-z0-9_.:-]{1,128}$/.test(bot) ? bot : null;
+}
+
+function sanitizePageUrl(value) {
+  if (!value) {
+    return null;
+  }
+  try {
+    const url = new URL(String(value));
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      return null;
+    }
+    // Query strings and fragments may carry personal data
+    return `${url.origin}${url.pathname}`.slice(0, 2048);
+  } catch (e) {
+    return null;
+  }
+}
+
+function sanitizeCampaign(value) {
+  if (!value) {
+    return null;
+  }
+  const tags = (Array.isArray(value) ? value : String(value).split(','))
+    .map(tag => String(tag).trim())
+    .filter(tag => /^[A-Za-z0-9_.:-]{1,64}$/.test(tag))
+    .slice(0, MAX_CAMPAIGN_TAGS);
+  return tags.length > 0 ? tags : null;
+}
+
+/**
+ * Resolve lifetime and metadata for a token request
+ *
+ * @param {Object} body - Request body
+ * @param {Object} tenant - Resolved tenant
+ * @param {Object} [bounds] - { minHours, maxHours, defaultHours }
+ * @returns {{ expiresInHours: number, metadata: Object|null, scope: string }}
+ */
+function resolveTokenOptions(body, tenant, bounds = DEFAULT_BOUNDS) {
+  const expiresInHours = resolveLifetimeHours(body.expires_in_hours, tenant, bounds);
+
+  const metadata = {};
+  const botId = sanitizeBotId(body.bot);
+  const pageUrl = sanitizePageUrl(body.page_url);
+  const campaign = sanitizeCampaign(body.campaign);
+  if (botId) metadata.bot_id = botId;
+  if (pageUrl) metadata.page_url = pageUrl;
+  if (campaign) metadata.campaign = campaign;
+
+  return {
+    expiresInHours: expiresInHours,
+    metadata: Object.keys(metadata).length > 0 ? metadata : null,
+    // Parts that change what the token grants, used to scope the token cache.
+    // Page URL and campaign are informational and do not prevent reuse.
+    scope: `${botId || ''}:${expiresInHours}`
+  };
+}
+
+/**
+ * Build lifetime bounds from environment variables
+ */
+function loadTokenBounds(env = process.env) {
+  const minHours = toNumber(env.TOKEN_MIN_LIFETIME_HOURS) ?? DEFAULT_BOUNDS.minHours;
+  const maxHours = toNumber(env.TOKEN_MAX_LIFETIME_HOURS) ?? DEFAULT_BOUNDS.maxHours;
+  const defaultHours = toNumber(env.TOKEN_DEFAULT_LIFETIME_HOURS) ?? Math.min(DEFAULT_BOUNDS.defaultHours, maxHours);
+  return { minHours, maxHours, defaultHours };
+}
+
+module.exports = {
+  DEFAULT_BOUNDS,
+  resolveLifetimeHours,
+  resolveTokenOptions,
+  loadTokenBounds
+};
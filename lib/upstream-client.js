@@ -0,0 +1,257 @@
+/**
+ * Upstream Client
+ *
+ * Shared fetch wrapper for calls to the Aventora APIs (token and widget
+ * endpoints) so a slow or failing upstream cannot tie up the server:
+ *
+ * - Timeouts: every request is aborted after `timeoutMs` without response
+ *   headers (per call, defaulting to the client's timeout).
+ * - Retries: with full-jitter exponential backoff. Idempotent requests are
+ *   retried on network errors, timeouts and 502/503/504; other requests only
+ *   when the connection was refused (nothing reached the upstream).
+ * - Circuit breaker: per upstream origin. After `failureThreshold` consecutive
+ *   failures (network errors, timeouts, 502/503/504) the circuit opens and
+ *   calls fail fast with code UPSTREAM_CIRCUIT_OPEN for `resetTimeoutMs`. A
+ *   single probe request is then let through (half-open); success closes the
+ *   circuit. Other statuses, 500 included, mean the upstream is answering:
+ *   visitors can provoke them through the widget routes, and the token API
+ *   shares the origin, so they must not open the circuit.
+ *
+ * The caller's request id is forwarded as `X-Request-Id`.
+ *
+ * Errors thrown carry a `code`: UPSTREAM_TIMEOUT or UPSTREAM_CIRCUIT_OPEN
+ * (with `retryAfterSeconds`). Aborts through the caller's signal are passed
+ * through as AbortError.
+ */
+
+const { logger } = require('./logger');
+
+const DEFAULT_OPTIONS = {
+  timeoutMs: 10000,
+  retries: 2,
+  retryBaseDelayMs: 200,
+  retryMaxDelayMs: 2000,
+  failureThreshold: 5,
+  resetTimeoutMs: 30000,
+  breakerEnabled: true
+};
+
+// Statuses that mean the upstream is unavailable: retried, and counted by the breaker
+const RETRYABLE_STATUSES = [502, 503, 504];
+// Connection errors raised before the request reached the upstream
+const SAFE_NETWORK_ERRORS = ['ECONNREFUSED', 'EAI_AGAIN'];
+
+function upstreamError(code, message, extra) {
+  const error = new Error(message);
+  error.code = code;
+  return Object.assign(error, extra);
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Create an upstream client
+ *
+ * @param {Object} [options] - See DEFAULT_OPTIONS
+ */
+function createUpstreamClient(options = {}) {
+  const config = Object.assign({}, DEFAULT_OPTIONS, options);
+  const breakers = new Map();
+  const log = logger.child({ component: 'upstream' });
+
+  function getBreaker(url) {
+    const key = new URL(url).origin;
+    if (!breakers.has(key)) {
+      breakers.set(key, { upstream: key, state: 'closed', failures: 0, openedAt: null, probing: false });
+    }
+    return breakers.get(key);
+  }
+
+  function retryAfterSeconds(breaker) {
+    return Math.max(1, Math.ceil((breaker.openedAt + config.resetTimeoutMs - Date.now()) / 1000));
+  }
+
+  // Throws when the circuit is open; moves it to half-open once the reset
+  // timeout has elapsed and lets one probe through
+  function checkBreaker(breaker) {
+    if (!config.breakerEnabled || breaker.state === 'closed') {
+      return;
+    }
+    if (breaker.state === 'open' && Date.now() - breaker.openedAt >= config.resetTimeoutMs) {
+      breaker.state = 'half-open';
+      breaker.probing = false;
+    }
+    if (breaker.state === 'half-open' && !breaker.probing) {
+      breaker.probing = true;
+      return;
+    }
+    throw upstreamError('UPSTREAM_CIRCUIT_OPEN', `Circuit open for ${breaker.upstream}`, {
+      retryAfterSeconds: breaker.state === 'open' ? retryAfterSeconds(breaker) : 1
+    });
+  }
+
+  function recordSuccess(breaker) {
+    if (breaker.state !== 'closed') {
+      log.info('Circuit closed', { upstream: breaker.upstream });
+    }
+    breaker.state = 'closed';
+    breaker.failures = 0;
+    breaker.openedAt = null;
+    breaker.probing = false;
+  }
+
+  function recordFailure(breaker) {
+    breaker.failures += 1;
+    breaker.probing = false;
+    if (config.breakerEnabled && (breaker.state === 'half-open' || breaker.failures >= config.failureThreshold)) {
+      if (breaker.state !== 'open') {
+        log.warn('Circuit opened', { upstream: breaker.upstream, consecutiveFailures: breaker.failures });
+      }
+      breaker.state = 'open';
+      breaker.openedAt = Date.now();
+    }
+  }
+
+  function backoff(attempt) {
+    const cap = Math.min(config.retryMaxDelayMs, config.retryBaseDelayMs * Math.pow(2, attempt));
+    return Math.floor(Math.random() * cap);
+  }
+
+  // One fetch() bounded by `timeoutMs` and the caller's abort signal
+  async function attempt(url, init, timeoutMs, signal) {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+    const onAbort = () => controller.abort();
+    if (signal) {
+      if (signal.aborted) controller.abort();
+      signal.addEventListener('abort', onAbort);
+    }
+
+    try {
+      return await fetch(url, Object.assign({}, init, { signal: controller.signal }));
+    } catch (error) {
+      if (timedOut) {
+        throw upstreamError('UPSTREAM_TIMEOUT', `Upstream did not respond within ${timeoutMs}ms`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * fetch() with timeout, retries and circuit breaking
+   *
+   * @param {string} url
+   * @param {Object} [init] - fetch options plus:
+   * @param {number} [init.timeoutMs] - Time to response headers
+   * @param {number} [init.retries] - Retry attempts
+   * @param {boolean} [init.idempotent] - Safe to repeat (defaults to true for GET/HEAD)
+   * @param {AbortSignal} [init.signal] - Caller abort (e.g. client disconnect)
+   * @param {string} [init.requestId] - Correlation id sent as X-Request-Id
+   * @returns {Promise<Response>} the upstream response (any status)
+   */
+  async function request(url, init = {}) {
+    const { timeoutMs = config.timeoutMs, retries = config.retries, idempotent, signal, requestId, ...fetchInit } = init;
+    if (requestId) {
+      fetchInit.headers = Object.assign({}, fetchInit.headers, { 'X-Request-Id': requestId });
+    }
+    const requestLog = requestId ? log.child({ requestId: requestId }) : log;
+    const method = (fetchInit.method || 'GET').toUpperCase();
+    const isIdempotent = idempotent !== undefined ? idempotent : (method === 'GET' || method === 'HEAD');
+    const breaker = getBreaker(url);
+
+    for (let attemptNumber = 0; ; attemptNumber++) {
+      checkBreaker(breaker);
+      const canRetry = attemptNumber < retries && !(signal && signal.aborted);
+
+      let response;
+      try {
+        response = await attempt(url, fetchInit, timeoutMs, signal);
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          breaker.probing = false;
+          throw error;
+        }
+        recordFailure(breaker);
+        const causeCode = error.cause && error.cause.code;
+        if (!canRetry || !(isIdempotent || SAFE_NETWORK_ERRORS.includes(causeCode))) {
+          throw error;
+        }
+        requestLog.warn('Upstream request failed, retrying', { method, url, error: error.code || causeCode || error.message, attempt: attemptNumber + 1 });
+        await delay(backoff(attemptNumber));
+        continue;
+      }
+
+      if (!RETRYABLE_STATUSES.includes(response.status)) {
+        recordSuccess(breaker);
+        return response;
+      }
+
+      recordFailure(breaker);
+      if (!canRetry || !isIdempotent) {
+        return response;
+      }
+      requestLog.warn('Upstream request failed, retrying', { method, url, status: response.status, attempt: attemptNumber + 1 });
+      if (response.body) {
+        await response.body.cancel().catch(() => {});
+      }
+      await delay(backoff(attemptNumber));
+    }
+  }
+
+  /**
+   * Circuit breaker state per upstream, for /health
+   */
+  function getState() {
+    return {
+      breakerEnabled: config.breakerEnabled,
+      failureThreshold: config.failureThreshold,
+      resetTimeoutMs: config.resetTimeoutMs,
+      upstreams: Array.from(breakers.values()).map(breaker => ({
+        upstream: breaker.upstream,
+        state: breaker.state,
+        consecutiveFailures: breaker.failures,
+        retryAfterSeconds: breaker.state === 'open' ? retryAfterSeconds(breaker) : null
+      }))
+    };
+  }
+
+  return {
+    request: request,
+    getState: getState
+  };
+}
+
+/**
+ * Build the client configured through environment variables
+ */
+function loadUpstreamClient(env = process.env) {
+  const toNumber = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) ? fallback : parsed;
+  };
+
+  return createUpstreamClient({
+    timeoutMs: toNumber(env.UPSTREAM_TIMEOUT_MS, DEFAULT_OPTIONS.timeoutMs),
+    retries: toNumber(env.UPSTREAM_RETRIES, DEFAULT_OPTIONS.retries),
+    retryBaseDelayMs: toNumber(env.UPSTREAM_RETRY_BASE_DELAY_MS, DEFAULT_OPTIONS.retryBaseDelayMs),
+    retryMaxDelayMs: toNumber(env.UPSTREAM_RETRY_MAX_DELAY_MS, DEFAULT_OPTIONS.retryMaxDelayMs),
+    failureThreshold: toNumber(env.CIRCUIT_BREAKER_THRESHOLD, DEFAULT_OPTIONS.failureThreshold),
+    resetTimeoutMs: toNumber(env.CIRCUIT_BREAKER_RESET_MS, DEFAULT_OPTIONS.resetTimeoutMs),
+    breakerEnabled: env.CIRCUIT_BREAKER_ENABLED !== 'false'
+  });
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  createUpstreamClient,
+  loadUpstreamClient
+};
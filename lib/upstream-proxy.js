@@ -0,0 +1,308 @@
+/**
+ * Upstream Proxy
+ *
+ * Declarative proxy from the embedding server to the tenant's chatbot API,
+ * so the widget can call it without CORS issues. Each route is plain config:
+ *
+ * {
+ *   name: 'message',                      // logged as component "widget-message"
+ *   path: '/message',                     // mounted under /api/widget
+ *   upstreamPath: '/v1/widget/message',   // appended to the tenant's apiUrl; :params are copied from path
+ *   methods: ['POST'],                    // others get 405
+ *   forwardHeaders: ['authorization'],    // request headers passed upstream
+ *   bodyType: 'json',                     // 'json', 'raw' (forwarded as-is, e.g. multipart) or 'none'
+ *   bodyLimit: '100kb',                   // larger bodies get 413
+ *   timeoutMs: 30000,                     // time to response headers; 504 after
+ *   stream: false,                        // pipe text/event-stream and chunked replies through
+ *   fallbackOn404: true,                  // upstream 404 -> { error, fallback: true } for the widget fallback
+ *   rateLimit: 'widget',                  // rate limit rule (see lib/rate-limiter.js)
+ *   errorMessage: 'Failed to send message'
+ * }
+ *
+ * New widget endpoints only need a route entry: add it to DEFAULT_WIDGET_ROUTES
+ * or to the JSON file named by WIDGET_PROXY_ROUTES_FILE. Entries in the file
+ * replace defaults with the same name; `"enabled": false` removes a route.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { isStreamingResponse, abortOnClientClose, pipeUpstreamStream } = require('./upstream-stream');
+const { logger } = require('./logger');
+
+const ROUTE_DEFAULTS = {
+  methods: ['POST'],
+  forwardHeaders: [],
+  bodyType: 'json',
+  bodyLimit: '100kb',
+  timeoutMs: 30000,
+  stream: false,
+  fallbackOn404: true,
+  rateLimit: 'widget',
+  errorMessage: 'Widget request failed'
+};
+
+const DEFAULT_WIDGET_ROUTES = [
+  {
+    name: 'session',
+    path: '/session',
+    upstreamPath: '/v1/widget/session',
+    errorMessage: 'Failed to create session'
+  },
+  {
+    name: 'message',
+    path: '/message',
+    upstreamPath: '/v1/widget/message',
+    forwardHeaders: ['authorization', 'accept'],
+    timeoutMs: 60000,
+    stream: true,
+    errorMessage: 'Failed to send message'
+  },
+  {
+    name: 'history',
+    path: '/history/:sessionId',
+    upstreamPath: '/v1/widget/history/:sessionId',
+    methods: ['GET'],
+    forwardHeaders: ['authorization'],
+    bodyType: 'none',
+    errorMessage: 'Failed to load history'
+  },
+  {
+    name: 'feedback',
+    path: '/feedback',
+    upstreamPath: '/v1/widget/feedback',
+    forwardHeaders: ['authorization'],
+    errorMessage: 'Failed to send feedback'
+  },
+  {
+    name: 'attachments',
+    path: '/attachments',
+    upstreamPath: '/v1/widget/attachments',
+    forwardHeaders: ['authorization', 'content-type'],
+    bodyType: 'raw',
+    bodyLimit: '10mb',
+    timeoutMs: 120000,
+    errorMessage: 'Failed to upload attachment'
+  }
+];
+
+// Query parameters used to pick the tenant, not forwarded upstream
+const TENANT_QUERY_PARAMS = ['domain', 'tenant'];
+
+/**
+ * Fill in defaults and validate a route definition
+ */
+function normalizeRoute(route) {
+  const normalized = Object.assign({}, ROUTE_DEFAULTS, route);
+  if (!normalized.name || !normalized.path || !normalized.upstreamPath) {
+    throw new Error(`Proxy route needs name, path and upstreamPath: ${JSON.stringify(route)}`);
+  }
+  if (!['json', 'raw', 'none'].includes(normalized.bodyType)) {
+    throw new Error(`Proxy route ${normalized.name}: unknown bodyType "${normalized.bodyType}"`);
+  }
+  normalized.methods = normalized.methods.map(method => String(method).toUpperCase());
+  normalized.forwardHeaders = normalized.forwardHeaders.map(header => String(header).toLowerCase());
+  return normalized;
+}
+
+/**
+ * Merge route overrides into the defaults by name
+ */
+function mergeRoutes(defaults, overrides = []) {
+  const routes = new Map(defaults.map(route => [route.name, route]));
+  overrides.forEach(route => {
+    if (route.enabled === false) {
+      routes.delete(route.name);
+    } else {
+      routes.set(route.name, Object.assign({}, routes.get(route.name), route));
+    }
+  });
+  return Array.from(routes.values()).map(normalizeRoute);
+}
+
+// "/v1/widget/history/:sessionId" + { sessionId: 'abc' } -> "/v1/widget/history/abc"
+function buildUpstreamPath(template, params) {
+  return template.replace(/:([A-Za-z0-9_]+)/g, (match, name) => encodeURIComponent(params[name] || ''));
+}
+
+function buildQueryString(query) {
+  const search = new URLSearchParams();
+  Object.keys(query).forEach(key => {
+    if (TENANT_QUERY_PARAMS.includes(key)) {
+      return;
+    }
+    [].concat(query[key]).forEach(value => search.append(key, String(value)));
+  });
+  const result = search.toString();
+  return result ? `?${result}` : '';
+}
+
+// Body parser enforcing the route's size limit with a JSON 413 response
+function createBodyParser(route, sendError) {
+  if (route.bodyType === 'none') {
+    return (req, res, next) => next();
+  }
+
+  const parser = route.bodyType === 'json'
+    ? express.json({ limit: route.bodyLimit })
+    : express.raw({ type: () => true, limit: route.bodyLimit });
+
+  return (req, res, next) => {
+    parser(req, res, error => {
+      if (!error) {
+        return next();
+      }
+      if (error.type === 'entity.too.large') {
+        return sendError(req, res, 'PAYLOAD_TOO_LARGE', { fields: { limit: route.bodyLimit } });
+      }
+      return sendError(req, res, 'INVALID_REQUEST_BODY', { diagnostics: { message: error.message } });
+    });
+  };
+}
+
+/**
+ * Create an Express router for the proxy routes
+ *
+ * @param {Object} options
+ * @param {Object[]} options.routes - Route definitions (see above)
+ * @param {Object} options.upstreamClient - Client from lib/upstream-client.js
+ * @param {Function} options.resolveTenant - (req, res, log) -> tenant or null (response sent)
+ * @param {Function} options.enforceRateLimit - (req, res, rule, tenant, log) -> boolean
+ * @param {Function} options.sendUpstreamError - (req, res, error, log) -> true if the error was answered
+ * @param {Function} options.sendError - (req, res, code, options) error responder (lib/error-response.js)
+ * @param {Object} [options.metrics] - Server metrics (lib/metrics.js); records request duration per route
+ */
+function createUpstreamProxy({ routes, upstreamClient, resolveTenant, enforceRateLimit, sendUpstreamError, sendError, metrics }) {
+  const router = express.Router();
+
+  routes.map(normalizeRoute).forEach(route => {
+    const component = `widget-${route.name}`;
+
+    const handler = async (req, res) => {
+      const log = (req.log || logger).child({ component: component });
+      if (metrics) {
+        const startedAt = process.hrtime.bigint();
+        res.once('close', () => {
+          metrics.proxyDuration.observe(
+            { route: route.name, status: res.statusCode },
+            Number(process.hrtime.bigint() - startedAt) / 1e9
+          );
+        });
+      }
+      const controller = new AbortController();
+      const stopAbortListener = abortOnClientClose(res, controller);
+
+      try {
+        const tenant = await resolveTenant(req, res, log);
+        if (!tenant) return;
+        if (!(await enforceRateLimit(req, res, route.rateLimit, tenant, log))) return;
+
+        const apiUrl = `${tenant.apiUrl}${buildUpstreamPath(route.upstreamPath, req.params)}${buildQueryString(req.query)}`;
+
+        const headers = {};
+        route.forwardHeaders.forEach(header => {
+          if (req.headers[header]) {
+            headers[header] = req.headers[header];
+          }
+        });
+
+        let body;
+        if (route.bodyType === 'json' && req.method !== 'GET' && req.method !== 'HEAD') {
+          headers['content-type'] = 'application/json';
+          body = JSON.stringify(req.body || {});
+        } else if (route.bodyType === 'raw' && Buffer.isBuffer(req.body) && req.body.length > 0) {
+          headers['content-type'] = req.headers['content-type'] || 'application/octet-stream';
+          body = req.body;
+        }
+
+        log.debug('Proxying request', { tenant: tenant.domainName, url: apiUrl });
+
+        const response = await upstreamClient.request(apiUrl, {
+          method: req.method,
+          headers: headers,
+          body: body,
+          timeoutMs: route.timeoutMs,
+          signal: controller.signal,
+          requestId: req.id
+        });
+
+        if (!response.ok) {
+          // If the widget endpoint doesn't exist (404), tell the widget to fall back
+          if (response.status === 404 && route.fallbackOn404) {
+            log.info('Widget endpoint not found, widget will use fallback', { tenant: tenant.domainName });
+            return sendError(req, res, 'WIDGET_ENDPOINT_UNAVAILABLE', { fields: { fallback: true } });
+          }
+
+          const errorText = await response.text();
+          log.error('Upstream API error', { tenant: tenant.domainName, status: response.status, details: errorText });
+          return sendError(req, res, 'WIDGET_UPSTREAM_ERROR', {
+            status: response.status,
+            message: route.errorMessage,
+            diagnostics: { details: errorText, statusCode: response.status }
+          });
+        }
+
+        if (route.stream && isStreamingResponse(response)) {
+          log.debug('Streaming response', { contentType: response.headers.get('content-type') });
+          return await pipeUpstreamStream(response, res, { log: log });
+        }
+
+        const contentType = response.headers.get('content-type') || '';
+        if (contentType.includes('json')) {
+          return res.status(response.status).json(await response.json());
+        }
+        const data = Buffer.from(await response.arrayBuffer());
+        if (contentType) {
+          res.type(contentType);
+        }
+        return res.status(response.status).send(data);
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          log.info('Client disconnected, upstream request cancelled');
+          return;
+        }
+        if (!res.headersSent && sendUpstreamError(req, res, error, log)) {
+          return;
+        }
+        log.error('Proxy error', { error: error });
+        if (!res.headersSent) {
+          sendError(req, res, 'INTERNAL_ERROR', { diagnostics: { message: error.message } });
+        }
+      } finally {
+        stopAbortListener();
+      }
+    };
+
+    const bodyParser = createBodyParser(route, sendError);
+    router.all(route.path, (req, res, next) => {
+      if (!route.methods.includes(req.method)) {
+        res.set('Allow', route.methods.join(', '));
+        return sendError(req, res, 'METHOD_NOT_ALLOWED');
+      }
+      return next();
+    }, bodyParser, handler);
+  });
+
+  return router;
+}
+
+/**
+ * Widget proxy routes: defaults merged with WIDGET_PROXY_ROUTES_FILE
+ */
+function loadProxyRoutes(env = process.env) {
+  if (!env.WIDGET_PROXY_ROUTES_FILE) {
+    return mergeRoutes(DEFAULT_WIDGET_ROUTES);
+  }
+  const filePath = path.resolve(env.WIDGET_PROXY_ROUTES_FILE);
+  const overrides = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  logger.info('Proxy route overrides loaded', { component: 'upstream-proxy', routes: overrides.length, file: filePath });
+  return mergeRoutes(DEFAULT_WIDGET_ROUTES, overrides);
+}
+
+module.exports = {
+  DEFAULT_WIDGET_ROUTES,
+  normalizeRoute,
+  mergeRoutes,
+  createUpstreamProxy,
+  loadProxyRoutes
+};
@@ -0,0 +1,85 @@
+/**
+ * Upstream Streaming
+ *
+ * Passes streamed upstream responses (Server-Sent Events or chunked bodies)
+ * through to the browser as they arrive, so chatbot replies can be rendered
+ * incrementally instead of after the whole body has been received.
+ *
+ * - Backpressure: the upstream body is only read as fast as the browser
+ *   connection drains.
+ * - Cancellation: when the browser disconnects, the upstream request is
+ *   aborted.
+ */
+
+const { Readable, pipeline } = require('stream');
+const { logger } = require('./logger');
+
+/**
+ * Whether an upstream response should be streamed rather than buffered.
+ * JSON bodies are buffered even when sent chunked, so existing clients keep
+ * getting a single JSON document.
+ */
+function isStreamingResponse(response) {
+  const contentType = (response.headers.get('content-type') || '').toLowerCase();
+  if (contentType.includes('text/event-stream')) {
+    return true;
+  }
+  const transferEncoding = (response.headers.get('transfer-encoding') || '').toLowerCase();
+  return transferEncoding.includes('chunked') && !contentType.includes('json');
+}
+
+/**
+ * Abort `controller` when the client connection closes before the response
+ * has been fully sent. Returns a function removing the listener.
+ */
+function abortOnClientClose(res, controller) {
+  const onClose = () => {
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  };
+  res.on('close', onClose);
+  return () => res.off('close', onClose);
+}
+
+/**
+ * Pipe a streaming upstream response to the Express response
+ *
+ * @param {Response} response - fetch() response with a readable body
+ * @param {Object} res - Express response
+ * @param {Object} [options]
+ * @param {Object} [options.log] - Request logger
+ * @returns {Promise<void>} resolves when the stream ended or was cancelled
+ */
+function pipeUpstreamStream(response, res, { log = logger } = {}) {
+  const contentType = response.headers.get('content-type') || 'text/event-stream';
+
+  res.status(response.status);
+  res.set({
+    'Content-Type': contentType,
+    'Cache-Control': 'no-cache, no-transform',
+    // Disable response buffering in nginx-style reverse proxies
+    'X-Accel-Buffering': 'no'
+  });
+  if (contentType.toLowerCase().includes('text/event-stream')) {
+    res.set('Connection', 'keep-alive');
+  }
+  res.flushHeaders();
+
+  return new Promise(resolve => {
+    pipeline(Readable.fromWeb(response.body), res, error => {
+      if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE' && error.name !== 'AbortError') {
+        log.error('Stream error', { error: error });
+      } else if (error) {
+        log.info('Client disconnected, upstream stream cancelled');
+      }
+      resolve();
+    });
+  });
+}
+
+module.exports = {
+  isStreamingResponse,
+  abortOnClientClose,
+  pipeUpstreamStream
+};
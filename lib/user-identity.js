@@ -0,0 +1,179 @@
+/**
+ * User Identity
+ *
+ * Maps the host application's authenticated user to the username and
+ * optional profile claims sent in the token request. Without a verified
+ * identity the token falls back to the anonymous user.
+ *
+ * A resolver is an (async) function:
+ *
+ *   resolver(req, tenant) -> { username, profile } | null
+ *
+ * Built-in resolver: HS256 JWT verifier. The host app signs a short-lived
+ * JWT for its logged-in user with a shared secret; the token is read from
+ * (in order) the `user_token` field of the request body (the identity hint
+ * passed by the widget loaders), the `Authorization: Bearer` header, or the
+ * cookie named by USER_JWT_COOKIE. Claims used:
+ *
+ *   sub   -> username (required; letters, digits and _ . @ - only)
+ *   exp   -> required, so a leaked token does not work forever
+ *   name, email, picture, locale -> profile
+ *
+ * A custom resolver (e.g. reading an existing session store) can be plugged
+ * in with USER_RESOLVER_MODULE.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { parseCookies } = require('./cookies');
+
+const ANONYMOUS_USERNAME = 'anonymous';
+const PROFILE_CLAIMS = ['name', 'email', 'picture', 'locale'];
+
+function base64UrlDecode(segment) {
+  return Buffer.from(segment.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+/**
+ * Verify an HS256 JWT and return its claims. Throws on invalid tokens.
+ *
+ * @param {string} token - Compact JWT
+ * @param {string} secret - Shared HMAC secret
+ * @param {Object} [options]
+ * @param {string} [options.audience] - Expected `aud` claim
+ * @param {string} [options.issuer] - Expected `iss` claim
+ * @param {number} [options.clockToleranceSec] - Allowed clock skew
+ */
+function verifyJwt(token, secret, { audience, issuer, clockToleranceSec = 30 } = {}) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) {
+    throw new Error('Malformed token');
+  }
+
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(base64UrlDecode(parts[0]).toString('utf8'));
+    claims = JSON.parse(base64UrlDecode(parts[1]).toString('utf8'));
+  } catch (e) {
+    throw new Error('Malformed token');
+  }
+
+  if (header.alg !== 'HS256') {
+    throw new Error(`Unsupported algorithm: ${header.alg}`);
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(`${parts[0]}.${parts[1]}`).digest();
+  const actual = base64UrlDecode(parts[2]);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw new Error('Invalid signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp !== 'number') {
+    throw new Error('Token has no expiry');
+  }
+  if (now > claims.exp + clockToleranceSec) {
+    throw new Error('Token expired');
+  }
+  if (typeof claims.nbf === 'number' && now + clockToleranceSec < claims.nbf) {
+    throw new Error('Token not yet valid');
+  }
+  if (audience) {
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(audience)) {
+      throw new Error('Invalid audience');
+    }
+  }
+  if (issuer && claims.iss !== issuer) {
+    throw new Error('Invalid issuer');
+  }
+
+  return claims;
+}
+
+/**
+ * Check that a user identifier is safe to use as a username. Returns the
+ * trimmed identifier, or null when it is empty, too long or has other
+ * characters; identifiers are never rewritten, as two users could then
+ * share one username.
+ */
+function sanitizeUsername(value) {
+  const username = String(value || '').trim();
+  return /^[A-Za-z0-9_.@-]{1,128}$/.test(username) ? username : null;
+}
+
+/**
+ * Build a { username, profile } identity from verified claims
+ */
+function identityFromClaims(claims) {
+  const username = sanitizeUsername(claims.sub);
+  if (!username) {
+    throw new Error('Invalid subject');
+  }
+
+  const profile = {};
+  PROFILE_CLAIMS.forEach(claim => {
+    if (claims[claim] !== undefined && claims[claim] !== null) {
+      profile[claim] = claims[claim];
+    }
+  });
+
+  return {
+    username: username,
+    profile: Object.keys(profile).length > 0 ? profile : null
+  };
+}
+
+/**
+ * Resolver verifying a host-app signed JWT. Tenants may override the secret
+ * with `user_jwt_secret` in the registry.
+ */
+function createJwtUserResolver({ secret, cookieName, audience, issuer } = {}) {
+  return async function resolveJwtUser(req, tenant) {
+    const tenantSecret = (tenant && tenant.userJwtSecret) || secret;
+    if (!tenantSecret) {
+      return null;
+    }
+
+    const authHeader = req.get('authorization') || '';
+    const cookies = cookieName ? parseCookies(req.get('cookie')) : {};
+    const token = (req.body && req.body.user_token) ||
+      (authHeader.startsWith('Bearer ') ? authHeader.slice(7).trim() : null) ||
+      (cookieName ? cookies[cookieName] : null);
+
+    if (!token) {
+      return null;
+    }
+
+    const claims = verifyJwt(token, tenantSecret, { audience, issuer });
+    return identityFromClaims(claims);
+  };
+}
+
+/**
+ * Build the resolver configured through environment variables.
+ * USER_RESOLVER_MODULE takes precedence over the built-in JWT verifier.
+ */
+function loadUserResolver(env = process.env) {
+  if (env.USER_RESOLVER_MODULE) {
+    const exported = require(path.resolve(env.USER_RESOLVER_MODULE));
+    return exported.resolveUser || exported;
+  }
+
+  return createJwtUserResolver({
+    secret: env.USER_JWT_SECRET,
+    cookieName: env.USER_JWT_COOKIE,
+    audience: env.USER_JWT_AUDIENCE,
+    issuer: env.USER_JWT_ISSUER
+  });
+}
+
+module.exports = {
+  ANONYMOUS_USERNAME,
+  verifyJwt,
+  sanitizeUsername,
+  identityFromClaims,
+  createJwtUserResolver,
+  loadUserResolver
+};
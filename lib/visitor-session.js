@@ -0,0 +1,96 @@
+/**
+ * Visitor Sessions
+ *
+ * Identifies a returning browser with a short-lived, signed, HttpOnly cookie
+ * so the server can reuse the upstream chatbot token (and therefore the same
+ * conversation) across page navigations and repeat visits.
+ *
+ * Cookie value: "<visitor-id>.<hmac-signature>". Tampered or unsigned values
+ * are ignored and a new visitor id is issued.
+ */
+
+const crypto = require('crypto');
+const { parseCookies, serializeCookie, signValue, unsignValue } = require('./cookies');
+const { logger } = require('./logger');
+
+const DEFAULT_COOKIE_NAME = 'aventora_visitor';
+const DEFAULT_MAX_AGE_SEC = 24 * 60 * 60;
+
+/**
+ * Create visitor session helpers
+ *
+ * @param {Object} options
+ * @param {string} [options.secret] - Signing secret (random per process if omitted)
+ * @param {string} [options.cookieName] - Cookie name
+ * @param {number} [options.maxAgeSec] - Cookie lifetime, renewed on each token request
+ * @param {boolean} [options.secure] - Force Secure/SameSite=None (cross-site embeds over https)
+ */
+function createVisitorSessions({ secret, cookieName = DEFAULT_COOKIE_NAME, maxAgeSec = DEFAULT_MAX_AGE_SEC, secure = false } = {}) {
+  if (!secret) {
+    logger.warn('VISITOR_COOKIE_SECRET not set - using a random secret, visitor cookies will not survive restarts', { component: 'visitor-session' });
+    secret = crypto.randomBytes(32).toString('hex');
+  }
+
+  /**
+   * Verified visitor id from the request cookie, or null
+   */
+  function getVisitorId(req) {
+    const cookies = parseCookies(req.get('cookie'));
+    return cookies[cookieName] ? unsignValue(cookies[cookieName], secret) : null;
+  }
+
+  /**
+   * Return the visitor id for this request, issuing a new cookie when the
+   * visitor is unknown. The cookie lifetime is renewed either way.
+   */
+  function ensureVisitor(req, res) {
+    const visitorId = getVisitorId(req) || crypto.randomUUID();
+    // Cross-site embeds only send the cookie with SameSite=None, which requires Secure
+    const isSecure = secure || req.secure;
+    res.append('Set-Cookie', serializeCookie(cookieName, signValue(visitorId, secret), {
+      maxAge: maxAgeSec,
+      httpOnly: true,
+      secure: isSecure,
+      sameSite: isSecure ? 'None' : 'Lax'
+    }));
+    return visitorId;
+  }
+
+  /**
+   * Expire the visitor cookie
+   */
+  function clearVisitor(req, res) {
+    const isSecure = secure || req.secure;
+    res.append('Set-Cookie', serializeCookie(cookieName, '', {
+      maxAge: 0,
+      httpOnly: true,
+      secure: isSecure,
+      sameSite: isSecure ? 'None' : 'Lax'
+    }));
+  }
+
+  return {
+    cookieName: cookieName,
+    getVisitorId: getVisitorId,
+    ensureVisitor: ensureVisitor,
+    clearVisitor: clearVisitor
+  };
+}
+
+/**
+ * Build visitor sessions configured through environment variables
+ */
+function loadVisitorSessions(env = process.env) {
+  return createVisitorSessions({
+    secret: env.VISITOR_COOKIE_SECRET,
+    cookieName: env.VISITOR_COOKIE_NAME || DEFAULT_COOKIE_NAME,
+    maxAgeSec: env.VISITOR_COOKIE_MAX_AGE ? parseInt(env.VISITOR_COOKIE_MAX_AGE, 10) : DEFAULT_MAX_AGE_SEC,
+    secure: env.VISITOR_COOKIE_SECURE === 'true'
+  });
+}
+
+module.exports = {
+  DEFAULT_COOKIE_NAME,
+  createVisitorSessions,
+  loadVisitorSessions
+};
@@ -0,0 +1,333 @@
+/**
+ * Mock Aventora API
+ *
+ * Stand-in for api.aventora.ai and the chatbot app so the embedding server
+ * and the widgets can be developed and tested offline:
+ *
+ *   POST /auth/api/v1/tokens/generate   token for any accepted API key
+ *   POST /auth/api/v1/tokens/revoke     forgets a token
+ *   POST /v1/widget/session             new chat session
+ *   POST /v1/widget/message             echo reply (JSON, or SSE with Accept: text/event-stream)
+ *   GET  /v1/widget/history/:sessionId  messages of a session
+ *   GET  /autoconnect?token=...&lang=.. stub chatbot page speaking the postMessage
+ *                                       protocol (see mock/autoconnect.html)
+ *
+ * Failure injection: rules make a route answer with a status (401, 404,
+ * 500, ...) or never answer ("timeout"), optionally only for the next
+ * `times` requests. Rules come from options / MOCK_FAILURES
+ * ("token=401,message=timeout,session=404*2") and can be changed while
+ * running through the control endpoints:
+ *
+ *   GET    /__mock/state      tokens, sessions, request counts, last request ids and rules
+ *   POST   /__mock/failures   { "rules": [{ "route": "token", "fail": 401, "times": 1 }] } or { "spec": "token=401" }
+ *   DELETE /__mock/failures   remove all rules
+ *   POST   /__mock/reset      forget tokens, sessions, counts and rules
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+const ROUTES = ['token', 'revoke', 'session', 'message', 'history', 'autoconnect'];
+
+const DEFAULT_OPTIONS = {
+  apiKeys: [],            // accepted API keys; empty accepts any key
+  domain: 'mock.local',
+  failures: [],
+  latencyMs: 0,
+  hangMs: 120000,         // "timeout" failures close the connection after this
+  replyPrefix: 'Echo: '
+};
+
+const AUTOCONNECT_PAGE = fs.readFileSync(path.join(__dirname, 'autoconnect.html'), 'utf8');
+
+/**
+ * Parse a failure spec: comma-separated `route=status` or `route=timeout`
+ * entries, each optionally limited to the next n requests with `*n`
+ */
+function parseFailureSpec(spec) {
+  return String(spec || '').split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const match = entry.match(/^([a-z*]+)=(\d{3}|timeout)(?:\*(\d+))?$/);
+    if (!match || (match[1] !== '*' && !ROUTES.includes(match[1]))) {
+      throw new Error(`Invalid failure rule "${entry}" (expected route=status|timeout[*times], routes: ${ROUTES.join(', ')}, *)`);
+    }
+    return {
+      route: match[1],
+      fail: match[2] === 'timeout' ? 'timeout' : Number(match[2]),
+      times: match[3] ? Number(match[3]) : null
+    };
+  });
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function bearerToken(req) {
+  const match = (req.get('authorization') || '').match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Create the mock API
+ *
+ * @param {Object} [options] - See DEFAULT_OPTIONS
+ * @returns {Object} { app, state, setFailures(rules), reset() }
+ */
+function createMockApi(options = {}) {
+  const config = Object.assign({}, DEFAULT_OPTIONS, options);
+  const state = {
+    tokens: new Map(),     // token -> { username, language, expiresAt }
+    sessions: new Map(),   // sessionId -> { token, createdAt, messages }
+    requests: {},          // route -> count
+    requestIds: {},        // route -> X-Request-Id of the last request
+    failures: config.failures.map(rule => Object.assign({}, rule))
+  };
+  const hanging = new Set();
+  const app = express();
+
+  function setFailures(rules) {
+    state.failures = rules.map(rule => Object.assign({ times: null }, rule));
+  }
+
+  function reset() {
+    state.tokens.clear();
+    state.sessions.clear();
+    state.requests = {};
+    state.requestIds = {};
+    state.failures = [];
+  }
+
+  // Counts the request, waits `latencyMs`, then applies the first matching
+  // failure rule
+  function route(name) {
+    return async (req, res, next) => {
+      state.requests[name] = (state.requests[name] || 0) + 1;
+      state.requestIds[name] = req.get('x-request-id') || null;
+      if (config.latencyMs > 0) {
+        await delay(config.latencyMs);
+      }
+
+      const rule = state.failures.find(candidate => candidate.route === name || candidate.route === '*');
+      if (!rule) {
+        return next();
+      }
+      if (rule.times !== null) {
+        rule.times -= 1;
+        if (rule.times <= 0) {
+          state.failures.splice(state.failures.indexOf(rule), 1);
+        }
+      }
+
+      if (rule.fail === 'timeout') {
+        // Never answer; give up on the connection eventually
+        const timer = setTimeout(() => req.socket.destroy(), config.hangMs);
+        hanging.add(timer);
+        res.on('close', () => {
+          clearTimeout(timer);
+          hanging.delete(timer);
+        });
+        return;
+      }
+      const details = { 401: 'Invalid or expired credentials', 404: 'Not Found' };
+      return res.status(rule.fail).json({ detail: details[rule.fail] || 'Injected failure', injected: true });
+    };
+  }
+
+  function isAcceptedKey(apiKey) {
+    return !!apiKey && (config.apiKeys.length === 0 || config.apiKeys.includes(apiKey));
+  }
+
+  function validToken(token) {
+    const entry = token && state.tokens.get(token);
+    return !!entry && entry.expiresAt > Date.now();
+  }
+
+  // Widget calls may carry the chatbot token (Authorization header or body);
+  // when they do it must be valid
+  function checkWidgetToken(req, res) {
+    const token = bearerToken(req) || (req.body && req.body.token);
+    if (token && !validToken(token)) {
+      res.status(401).json({ detail: 'Invalid or expired token' });
+      return false;
+    }
+    return true;
+  }
+
+  app.use(express.json());
+
+  app.post('/auth/api/v1/tokens/generate', route('token'), (req, res) => {
+    if (!isAcceptedKey(bearerToken(req))) {
+      return res.status(401).json({ detail: 'Invalid API key' });
+    }
+    const body = req.body || {};
+    const hours = Number(body.expires_in_hours) > 0 ? Number(body.expires_in_hours) : 24;
+    const token = crypto.randomUUID();
+    const expiresAt = Date.now() + hours * 60 * 60 * 1000;
+    state.tokens.set(token, { username: body.username || 'anonymous', language: body.language || 'en', expiresAt: expiresAt });
+    res.json({
+      token: token,
+      expires_at: new Date(expiresAt).toISOString(),
+      username: `${config.domain}_${body.username || 'anonymous'}`,
+      domain: config.domain
+    });
+  });
+
+  app.post('/auth/api/v1/tokens/revoke', route('revoke'), (req, res) => {
+    if (!isAcceptedKey(bearerToken(req))) {
+      return res.status(401).json({ detail: 'Invalid API key' });
+    }
+    const revoked = state.tokens.delete((req.body || {}).token);
+    res.json({ revoked: revoked });
+  });
+
+  app.post('/v1/widget/session', route('session'), (req, res) => {
+    if (!checkWidgetToken(req, res)) return;
+    const sessionId = crypto.randomUUID();
+    const session = { token: bearerToken(req) || (req.body && req.body.token) || null, createdAt: new Date().toISOString(), messages: [] };
+    state.sessions.set(sessionId, session);
+    res.json({ session_id: sessionId, created_at: session.createdAt });
+  });
+
+  app.post('/v1/widget/message', route('message'), async (req, res) => {
+    if (!checkWidgetToken(req, res)) return;
+    const body = req.body || {};
+    const text = String(body.text || body.message || body.question || '');
+    const session = state.sessions.get(body.session_id);
+    if (body.session_id && !session) {
+      return res.status(404).json({ detail: 'Session not found' });
+    }
+
+    const reply = `${config.replyPrefix}${text}`;
+    const messageId = crypto.randomUUID();
+    if (session) {
+      session.messages.push({ role: 'user', text: text, file: body.file || null }, { role: 'assistant', text: reply, message_id: messageId });
+    }
+
+    if ((req.get('accept') || '').includes('text/event-stream')) {
+      res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+      res.flushHeaders();
+      for (const word of reply.split(/(?<= )/)) {
+        if (res.destroyed) return;
+        res.write(`data: ${JSON.stringify({ type: 'delta', text: word })}\n\n`);
+        await delay(20);
+      }
+      res.write(`data: ${JSON.stringify({ type: 'done', message_id: messageId })}\n\n`);
+      return res.end();
+    }
+
+    res.json({ session_id: body.session_id || null, message_id: messageId, reply: { role: 'assistant', text: reply } });
+  });
+
+  app.get('/v1/widget/history/:sessionId', route('history'), (req, res) => {
+    if (!checkWidgetToken(req, res)) return;
+    const session = state.sessions.get(req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({ detail: 'Session not found' });
+    }
+    res.json({ session_id: req.params.sessionId, messages: session.messages });
+  });
+
+  app.get('/autoconnect', route('autoconnect'), (req, res) => {
+    if (!validToken(req.query.token)) {
+      return res.status(401).type('html').send('<!DOCTYPE html><title>Mock chatbot</title><p>Invalid or expired token</p>');
+    }
+    res.type('html').send(AUTOCONNECT_PAGE);
+  });
+
+  // Control endpoints for tests and manual failure injection
+  app.get('/__mock/state', (req, res) => {
+    res.json({
+      tokens: state.tokens.size,
+      sessions: state.sessions.size,
+      requests: state.requests,
+      requestIds: state.requestIds,
+      failures: state.failures
+    });
+  });
+
+  app.post('/__mock/failures', (req, res) => {
+    try {
+      const body = req.body || {};
+      setFailures(body.spec !== undefined ? parseFailureSpec(body.spec) : (body.rules || []));
+      res.json({ failures: state.failures });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  app.delete('/__mock/failures', (req, res) => {
+    setFailures([]);
+    res.json({ failures: state.failures });
+  });
+
+  app.post('/__mock/reset', (req, res) => {
+    reset();
+    res.json({ reset: true });
+  });
+
+  // Timers of requests held by "timeout" failures
+  app.locals.hanging = hanging;
+
+  return {
+    app: app,
+    state: state,
+    setFailures: setFailures,
+    reset: reset
+  };
+}
+
+/**
+ * Start the mock API on a port (0 picks a free one)
+ *
+ * @returns {Promise<Object>} { url, port, mock, close() }
+ */
+function startMockApi({ port = 0, host = '127.0.0.1', ...options } = {}) {
+  const mock = createMockApi(options);
+  return new Promise((resolve, reject) => {
+    const server = mock.app.listen(port, host, () => {
+      const address = server.address();
+      resolve({
+        url: `http://${host}:${address.port}`,
+        port: address.port,
+        mock: mock,
+        close: () => new Promise(done => {
+          mock.app.locals.hanging.forEach(timer => clearTimeout(timer));
+          server.closeAllConnections();
+          server.close(() => done());
+        })
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+/**
+ * Options from environment variables
+ */
+function loadMockOptions(env = process.env) {
+  const toNumber = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) ? fallback : parsed;
+  };
+
+  return {
+    port: toNumber(env.MOCK_PORT, 4010),
+    host: env.MOCK_HOST || '127.0.0.1',
+    apiKeys: String(env.MOCK_API_KEYS || '').split(',').map(key => key.trim()).filter(Boolean),
+    domain: env.MOCK_DOMAIN || DEFAULT_OPTIONS.domain,
+    failures: parseFailureSpec(env.MOCK_FAILURES),
+    latencyMs: toNumber(env.MOCK_LATENCY_MS, DEFAULT_OPTIONS.latencyMs),
+    hangMs: toNumber(env.MOCK_HANG_MS, DEFAULT_OPTIONS.hangMs)
+  };
+}
+
+module.exports = {
+  ROUTES,
+  DEFAULT_OPTIONS,
+  parseFailureSpec,
+  createMockApi,
+  startMockApi,
+  loadMockOptions
+};
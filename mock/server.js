@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+/**
+ * Run the mock Aventora API (see mock/mock-api.js)
+ *
+ *   npm run mock
+ *   MOCK_FAILURES=token=401 npm run mock
+ *
+ * Point the embedding server at it with
+ * DOMAIN_CHATBOT_API_URL=http://localhost:4010 and CHATBOT_BASE_URL=http://localhost:4010
+ */
+
+const { logger } = require('../lib/logger');
+const { startMockApi, loadMockOptions } = require('./mock-api');
+
+const log = logger.child({ component: 'mock-api' });
+
+let options;
+try {
+  options = loadMockOptions();
+} catch (error) {
+  log.error('Invalid mock configuration', { error: error.message });
+  process.exit(1);
+}
+
+startMockApi(options).then(({ url, close }) => {
+  log.info('Mock Aventora API listening', {
+    url: url,
+    apiKeys: options.apiKeys.length > 0 ? options.apiKeys.length : 'any',
+    failures: options.failures,
+    latencyMs: options.latencyMs
+  });
+
+  const shutdown = () => close().then(() => process.exit(0));
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}).catch(error => {
+  log.error('Failed to start mock Aventora API', { error: error.message });
+  process.exit(1);
+});
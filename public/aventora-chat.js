@@ -4,12 +4,58 @@
  * Custom element that embeds the Flutter chatbot app in an iframe
  * and provides a clean JavaScript API for communication.
  * 
- * Uses Shadow DOM for CSS isolation.
+ * Uses Shadow DOM for CSS isolation. Talks to the chatbot through
+ * aventora-protocol.js, which must be loaded first (widget.js does this).
+ * Loaded as a module (the SDK package in sdk/) it requires the protocol
+ * itself and exports the class without registering the element.
  */
 
 (function() {
   'use strict';
 
+  // Token refresh timing. The lead is shorter than the server's token cache
+  // margin so a refresh always yields a new token rather than the cached one.
+  const TOKEN_REFRESH_LEAD_MS = 2 * 60 * 1000;
+  const TOKEN_REFRESH_MIN_DELAY_MS = 10 * 1000;
+  const TOKEN_REFRESH_RETRY_MS = 30 * 1000;
+
+  const isModule = typeof module !== 'undefined' && !!module.exports;
+
+  // Events the unified vocabulary replaced, with their replacement. They are
+  // still dispatched, and warn the first time a listener reads their detail.
+  const DEPRECATED_EVENTS = {
+    'iframe-ready': 'aventora:state-change (state iframe-loaded)',
+    'message-sent': 'aventora:message:sent'
+  };
+  const deprecationWarnings = {};
+
+  // Accepted `primary` values: hex, named and rgb()/hsl()-style colors. The
+  // value is written into the shadow root's stylesheet, so anything that
+  // could close the rule or the <style> element is rejected.
+  const CSS_COLOR_PATTERN = /^(#[0-9a-f]{3,8}|[a-z]+|(rgba?|hsla?|hwb|lab|lch|oklab|oklch)\([\w\s.,%\/+-]*\))$/i;
+
+  // The protocol: required in module builds, the window global otherwise
+  function getProtocol() {
+    return isModule ? require('./aventora-protocol') : window.AventoraProtocol;
+  }
+
+  // The aventora:<name> event; reading the detail of a deprecated event warns
+  function createEvent(name, detail) {
+    const event = new CustomEvent(`aventora:${name}`, { detail: detail });
+    if (DEPRECATED_EVENTS[name]) {
+      Object.defineProperty(event, 'detail', {
+        get: () => {
+          if (!deprecationWarnings[name]) {
+            deprecationWarnings[name] = true;
+            console.warn(`[AventoraChat] aventora:${name} is deprecated, use ${DEPRECATED_EVENTS[name]} instead`);
+          }
+          return detail;
+        }
+      });
+    }
+    return event;
+  }
+
   class AventoraChat extends HTMLElement {
     constructor() {
       super();
@@ -20,21 +66,48 @@
         bot: this.getAttribute('bot') || '',
         theme: this.getAttribute('theme') || 'auto',
         position: this.getAttribute('position') || 'bottom-right',
+        primary: this.getAttribute('primary') || '', // Accent color of the launcher and header
+        openOnLoad: this.getAttribute('open-on-load') || '', // 'true' opens the chat when connected
         language: this.getAttribute('language') || 'en',
         tokenApiUrl: this.getAttribute('token-api-url') || '/api/chatbot-token',
-        chatbotUrl: this.getAttribute('chatbot-url') || ''
+        chatbotUrl: this.getAttribute('chatbot-url') || '',
+        userToken: this.getAttribute('user-token') || '',
+        tokenRefresh: this.getAttribute('token-refresh') || 'message', // 'message', 'reload' or 'off'
+        tokenLifetimeHours: this.getAttribute('token-lifetime-hours') || '', // Clamped by the server
+        campaign: this.getAttribute('campaign') || '' // Comma separated campaign tags
       };
       
       // State
       this.token = null;
+      this.tokenExpiresAt = null;
+      this.tokenRefreshTimer = null;
+      this.tokenRefreshPromise = null;
+      // Bumped by teardownIframe() so token requests still in flight from
+      // before a reset are discarded (see requestToken)
+      this.tokenGeneration = 0;
+      this.pendingIframeReload = false;
       this.loading = true;
       this.error = null;
       this.isOpen = false;
       this.isMinimized = true;
       this.iframe = null;
-      this.iframeReady = false;
-      this.pendingMessages = [];
-      this.chatbotOrigin = '*'; // Will be set when iframe loads
+      // Readiness state machine and the commands waiting for chatbot-ready
+      // (both need aventora-protocol.js)
+      const protocol = getProtocol();
+      this.readiness = protocol
+        ? protocol.createReadiness({ onChange: (change) => this.handleStateChange(change) })
+        : null;
+      this.commandQueue = protocol ? protocol.createCommandQueue() : null;
+      // Typed conversation events, dispatched as aventora:<name> events
+      this.conversation = protocol
+        ? protocol.createConversationEvents({ onEvent: (name, payload) => this.dispatchConversationEvent(name, payload) })
+        : null;
+      // Events are dispatched on the element, and also on window unless
+      // this is off (createChatWidget turns it off)
+      this.globalEvents = true;
+      this.channel = null; // AventoraProtocol channel to the chatbot iframe
+      this.protocolVersion = null; // Negotiated in the chatbot's hello; null for legacy chatbots
+      this.chatbotOrigin = null; // Set from the chatbot URL when the iframe is created
       
       // Create Shadow DOM
       this.attachShadow({ mode: 'open' });
@@ -44,13 +117,18 @@
     }
 
     static get observedAttributes() {
-      return ['tenant', 'theme', 'position', 'language'];
+      return [
+        'tenant', 'bot', 'theme', 'position', 'primary', 'open-on-load', 'language', 'token-api-url',
+        'chatbot-url', 'user-token', 'token-refresh', 'token-lifetime-hours', 'campaign'
+      ];
     }
 
     attributeChangedCallback(name, oldValue, newValue) {
       if (oldValue !== newValue) {
-        this.config[name] = newValue;
-        if (name === 'theme' || name === 'position') {
+        // token-refresh -> tokenRefresh
+        const key = name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+        this.config[key] = newValue;
+        if (name === 'theme' || name === 'position' || name === 'primary') {
           this.updateStyles();
         }
       }
@@ -58,11 +136,34 @@
 
     connectedCallback() {
       this.fetchToken();
-      this.setupMessageListener();
+
+      // Timers are throttled in background tabs, so check the token again
+      // when the page becomes visible
+      this.visibilityHandler = () => {
+        if (document.visibilityState === 'visible' && this.isTokenRefreshDue()) {
+          this.refreshToken().catch(() => {});
+        }
+      };
+      document.addEventListener('visibilitychange', this.visibilityHandler);
+
+      // Escape key to close
+      this.escapeHandler = (e) => {
+        if (e.key === 'Escape' && this.isOpen) {
+          this.close();
+        }
+      };
+      document.addEventListener('keydown', this.escapeHandler);
+
+      if (this.config.openOnLoad === 'true') {
+        this.open();
+      }
     }
 
     disconnectedCallback() {
-      this.removeMessageListener();
+      this.closeChannel();
+      document.removeEventListener('visibilitychange', this.visibilityHandler);
+      document.removeEventListener('keydown', this.escapeHandler);
+      clearTimeout(this.tokenRefreshTimer);
     }
 
     // Initialize component
@@ -93,12 +194,13 @@
     // Get CSS styles
     getStyles() {
       const positionStyles = this.getPositionStyles();
+      const primary = this.getPrimaryColor();
       
       return `
         <style>
           :host {
-            --widget-primary: #667eea;
-            --widget-primary-dark: #764ba2;
+            --widget-primary: ${primary || '#667eea'};
+            --widget-primary-dark: ${primary || '#764ba2'};
             --widget-bg: #ffffff;
             --widget-text: #333333;
             --widget-border: #e0e0e0;
@@ -232,6 +334,19 @@
       return positions[this.config.position] || positions['bottom-right'];
     }
 
+    // The `primary` attribute if it is a valid color, otherwise null
+    getPrimaryColor() {
+      const primary = String(this.config.primary || '').trim();
+      if (!primary) {
+        return null;
+      }
+      if (!CSS_COLOR_PATTERN.test(primary)) {
+        console.warn(`[AventoraChat] Ignoring invalid primary color: ${JSON.stringify(primary)}`);
+        return null;
+      }
+      return primary;
+    }
+
     // Get HTML structure
     getHTML() {
       return `
@@ -269,31 +384,55 @@
       });
     }
 
+    // Request a token from the token API and record its expiry. Resolves with
+    // null when the widget was reset meanwhile: the token belongs to the
+    // revoked session and is discarded.
+    async requestToken() {
+      const generation = this.tokenGeneration;
+      const response = await fetch(this.config.tokenApiUrl, {
+        method: 'POST',
+        credentials: 'include', // Visitor cookie lets the server reuse this visitor's token
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          domain: this.config.tenant,
+          language: this.config.language,
+          user_token: this.config.userToken || undefined,
+          bot: this.config.bot || undefined,
+          campaign: this.config.campaign || undefined,
+          expires_in_hours: this.config.tokenLifetimeHours ? Number(this.config.tokenLifetimeHours) : undefined,
+          page_url: window.location.origin + window.location.pathname
+        })
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({ error: 'Failed to generate token' }));
+        throw new Error(errorData.error || 'Failed to generate chatbot token');
+      }
+
+      const data = await response.json();
+      if (generation !== this.tokenGeneration) {
+        return null;
+      }
+      this.token = data.token;
+      this.tokenExpiresAt = data.expires_at || null;
+      // Tenant-specific chatbot URL resolved by the server
+      this.tenantChatbotUrl = data.chatbot_base_url || null;
+      return data.token;
+    }
+
     // Fetch token from API
     async fetchToken() {
       try {
         this.loading = true;
         this.error = null;
         this.updateLoadingState();
+        this.setState('loading-token');
         
-        const response = await fetch(this.config.tokenApiUrl, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            domain: this.config.tenant,
-            language: this.config.language
-          })
-        });
-
-        if (!response.ok) {
-          const errorData = await response.json().catch(() => ({ error: 'Failed to generate token' }));
-          throw new Error(errorData.error || errorData.details || 'Failed to generate chatbot token');
+        if (await this.requestToken() === null) {
+          return;
         }
-
-        const data = await response.json();
-        this.token = data.token;
         this.loading = false;
         
         // Create iframe now that we have token
@@ -304,6 +443,7 @@
         this.error = err.message;
         this.loading = false;
         this.updateErrorState();
+        this.setState('error', err);
       }
     }
 
@@ -316,20 +456,38 @@
 
       // Build chatbot URL (now async to fetch from server config)
       const chatbotUrl = await this.getChatbotUrl();
-      const iframeUrl = `${chatbotUrl}/autoconnect?token=${encodeURIComponent(this.token)}&lang=${encodeURIComponent(this.config.language)}`;
+      this.chatbotUrl = chatbotUrl;
+      const iframeUrl = this.getAutoconnectUrl();
       
       console.log('[AventoraChat] Using chatbot URL:', chatbotUrl);
       console.log('[AventoraChat] Iframe URL:', iframeUrl);
       
-      // Extract origin for postMessage security
+      // Extract origin for postMessage security. Messages (and tokens) are
+      // never posted to a wildcard origin, so a URL without one cannot load.
       try {
-        const url = new URL(chatbotUrl);
-        this.chatbotOrigin = url.origin;
+        this.chatbotOrigin = new URL(chatbotUrl).origin;
       } catch (e) {
-        console.warn('[AventoraChat] Could not parse chatbot URL, using wildcard origin');
-        this.chatbotOrigin = '*';
+        this.chatbotOrigin = null;
+      }
+      if (!this.chatbotOrigin || this.chatbotOrigin === 'null') {
+        const error = new Error(`Invalid chatbot URL: ${chatbotUrl}`);
+        console.error('[AventoraChat]', error.message);
+        this.error = 'Failed to load chatbot';
+        this.updateErrorState();
+        this.setState('error', error);
+        return;
       }
 
+      if (!getProtocol()) {
+        console.error('[AventoraChat] aventora-protocol.js must be loaded before aventora-chat.js');
+        this.error = 'Failed to load chatbot';
+        this.updateErrorState();
+        this.rejectQueuedCommands('IFRAME_NOT_READY', 'Chatbot failed to load');
+        return;
+      }
+      this.openChannel();
+      this.setState('loading-iframe');
+
       // Create iframe
       this.iframe = document.createElement('iframe');
       this.iframe.src = iframeUrl;
@@ -337,22 +495,21 @@
       this.iframe.title = 'Aventora Chatbot';
       this.iframe.style.cssText = 'width:100%;height:100%;border:none;';
       
-      // Handle iframe load
+      // Handle iframe load. Commands wait for the chatbot's handshake, the
+      // page in the iframe may still be starting up.
       this.iframe.onload = () => {
         console.log('[AventoraChat] Iframe loaded');
-        this.iframeReady = true;
-        this.processPendingMessages();
+        this.setState('iframe-loaded');
         
-        // Dispatch ready event
-        window.dispatchEvent(new CustomEvent('aventora:iframe-ready', {
-          detail: { instance: this }
-        }));
+        // Deprecated event, superseded by aventora:state-change (iframe-loaded)
+        this.emit('iframe-ready', { instance: this });
       };
       
       this.iframe.onerror = () => {
         console.error('[AventoraChat] Iframe load error');
         this.error = 'Failed to load chatbot';
         this.updateErrorState();
+        this.setState('error', new Error(this.error));
       };
 
       // Clear container and add iframe
@@ -360,6 +517,124 @@
         this.iframeContainer.innerHTML = '';
         this.iframeContainer.appendChild(this.iframe);
       }
+
+      this.scheduleTokenRefresh();
+    }
+
+    // Build the chatbot autoconnect URL for the current token
+    getAutoconnectUrl() {
+      return `${this.chatbotUrl}/autoconnect?token=${encodeURIComponent(this.token)}&lang=${encodeURIComponent(this.config.language)}`;
+    }
+
+    // Schedule a token refresh ahead of expires_at (disabled with token-refresh="off")
+    scheduleTokenRefresh(delayOverride) {
+      clearTimeout(this.tokenRefreshTimer);
+      this.tokenRefreshTimer = null;
+
+      const expiresAt = Date.parse(this.tokenExpiresAt);
+      if (this.config.tokenRefresh === 'off' || isNaN(expiresAt)) {
+        return;
+      }
+
+      const delay = delayOverride !== undefined
+        ? delayOverride
+        : Math.max(TOKEN_REFRESH_MIN_DELAY_MS, expiresAt - Date.now() - TOKEN_REFRESH_LEAD_MS);
+      this.tokenRefreshTimer = setTimeout(() => {
+        this.refreshToken().catch(() => {});
+      }, delay);
+    }
+
+    // Whether the current token is within the refresh lead time
+    isTokenRefreshDue() {
+      const expiresAt = Date.parse(this.tokenExpiresAt);
+      return this.config.tokenRefresh !== 'off' && !isNaN(expiresAt) &&
+        expiresAt - Date.now() <= TOKEN_REFRESH_LEAD_MS;
+    }
+
+    // Public API: Fetch a new token and deliver it to the chatbot.
+    // Dispatches aventora:token-refreshed or aventora:token-refresh-failed.
+    // Resolves with null when a reset discarded the token.
+    async refreshToken() {
+      if (this.tokenRefreshPromise) {
+        return this.tokenRefreshPromise;
+      }
+
+      const generation = this.tokenGeneration;
+      const refresh = (async () => {
+        try {
+          const token = await this.requestToken();
+          if (token === null) {
+            return null;
+          }
+          this.deliverToken(token);
+          this.scheduleTokenRefresh();
+
+          this.emit('token-refreshed', { expiresAt: this.tokenExpiresAt, instance: this });
+          return token;
+        } catch (err) {
+          if (generation !== this.tokenGeneration) {
+            return null;
+          }
+          console.error('[AventoraChat] Token refresh failed:', err);
+          this.emit('token-refresh-failed', { error: err, expiresAt: this.tokenExpiresAt, instance: this });
+
+          // Keep retrying until the current token actually expires
+          if (Date.parse(this.tokenExpiresAt) > Date.now()) {
+            this.scheduleTokenRefresh(TOKEN_REFRESH_RETRY_MS);
+          }
+          throw err;
+        } finally {
+          if (this.tokenRefreshPromise === refresh) {
+            this.tokenRefreshPromise = null;
+          }
+        }
+      })();
+
+      this.tokenRefreshPromise = refresh;
+      return refresh;
+    }
+
+    // Hand a refreshed token to the chatbot: posted as a token_refreshed
+    // message by default, or by reloading the iframe with token-refresh="reload"
+    deliverToken(token) {
+      if (!this.iframe) {
+        return;
+      }
+
+      // Tokens are only posted to the chatbot origin, never to '*'; otherwise
+      // the iframe reloads with the token in its URL
+      const canPost = this.channel && this.chatbotOrigin && this.chatbotOrigin !== '*';
+      if (this.config.tokenRefresh !== 'reload' && this.isReady() && canPost) {
+        this.channel.send('token_refreshed', { token: token, expiresAt: this.tokenExpiresAt })
+          .catch(error => {
+            console.warn('[AventoraChat] Chatbot did not accept the refreshed token, reloading iframe:', error);
+            this.reloadIframe();
+          });
+        return;
+      }
+
+      this.reloadIframe();
+    }
+
+    // Reload the iframe with the current token. While the chat is open the
+    // reload is deferred until it is closed, so the visitor is not interrupted.
+    reloadIframe() {
+      if (!this.iframe || !this.chatbotUrl || !this.token) {
+        return;
+      }
+
+      if (this.isOpen) {
+        this.pendingIframeReload = true;
+        return;
+      }
+
+      this.pendingIframeReload = false;
+      this.protocolVersion = null;
+      if (this.channel) {
+        this.channel.reset();
+      }
+      this.setState('loading-iframe');
+      this.iframe.src = this.getAutoconnectUrl();
     }
 
     // Get chatbot URL
@@ -367,10 +642,14 @@
       if (this.config.chatbotUrl) {
         return this.config.chatbotUrl;
       }
+
+      if (this.tenantChatbotUrl) {
+        return this.tenantChatbotUrl;
+      }
       
       // Try to fetch from server config first
       try {
-        const response = await fetch('/api/config');
+        const response = await fetch(`/api/config?tenant=${encodeURIComponent(this.config.tenant)}`);
         if (response.ok) {
           const data = await response.json();
           if (data.chatbotBaseUrl) {
@@ -421,87 +700,121 @@
       }
     }
 
-    // Setup message listener for iframe communication
-    setupMessageListener() {
-      this.messageHandler = (event) => {
-        // Verify origin (if possible)
-        if (this.chatbotOrigin !== '*' && event.origin !== this.chatbotOrigin) {
-          return;
-        }
+    // Open the protocol channel to the iframe (before it loads, so the
+    // chatbot's hello is not missed)
+    openChannel() {
+      this.closeChannel();
+      this.channel = getProtocol().createChannel({
+        client: 'aventora-chat',
+        origin: this.chatbotOrigin,
+        getTarget: () => (this.iframe ? this.iframe.contentWindow : null),
+        onReady: (info) => this.handleChatbotReady(info),
+        onMessage: (data) => this.handleIframeMessage(data)
+      });
+    }
 
-        // Handle messages from Flutter app
-        if (event.data && typeof event.data === 'object') {
-          this.handleIframeMessage(event.data);
-        }
-      };
-      
-      window.addEventListener('message', this.messageHandler);
+    // Close the protocol channel
+    closeChannel() {
+      if (this.channel) {
+        this.channel.destroy();
+        this.channel = null;
+      }
+    }
+
+    // The chatbot completed the handshake (or sent a legacy ready message)
+    handleChatbotReady(info) {
+      this.protocolVersion = info.version;
+      this.setState('chatbot-ready');
+      // A repeated handshake leaves the state unchanged
+      this.flushQueuedCommands();
+
+      this.emit('ready', { instance: this, protocolVersion: info.version, capabilities: info.capabilities });
     }
 
-    // Remove message listener
-    removeMessageListener() {
-      if (this.messageHandler) {
-        window.removeEventListener('message', this.messageHandler);
+    // Move the readiness state machine (see AventoraProtocol.createReadiness)
+    setState(state, error) {
+      if (this.readiness) {
+        this.readiness.transition(state, error);
       }
     }
 
-    // Handle messages from iframe
+    // Announce readiness changes and fail queued commands on errors
+    handleStateChange(change) {
+      if (change.state === 'error') {
+        this.rejectQueuedCommands('IFRAME_NOT_READY', 'Chatbot failed to load');
+        this.conversation.hostError('CHATBOT_UNAVAILABLE', change.error ? change.error.message : 'Chatbot failed to load');
+      }
+
+      this.emit('state-change', { instance: this, state: change.state, previousState: change.previousState, error: change.error });
+    }
+
+    // Whether the chatbot completed its handshake and accepts commands
+    isReady() {
+      return !!this.readiness && this.readiness.ready;
+    }
+
+    // Public API: Readiness state: loading-token, loading-iframe,
+    // iframe-loaded, chatbot-ready or error
+    getState() {
+      return this.readiness ? this.readiness.state : 'error';
+    }
+
+    // Forward chatbot messages as custom events: raw as aventora:message,
+    // conversation events also typed (aventora:message:received, ...)
     handleIframeMessage(data) {
-      // Forward relevant messages as custom events
-      if (data.type === 'chatbot_ready' || data.type === 'flutter_ready') {
-        this.iframeReady = true;
-        this.processPendingMessages();
-        
-        window.dispatchEvent(new CustomEvent('aventora:ready', {
-          detail: { instance: this }
-        }));
+      this.emit('message', data);
+      this.conversation.handle(data);
+    }
+
+    // Dispatch a conversation event (see AventoraProtocol.toConversationEvent)
+    dispatchConversationEvent(name, payload) {
+      this.emit(name, payload);
+    }
+
+    // Dispatch aventora:<name> on the element and, with globalEvents, on window
+    emit(name, detail) {
+      this.dispatchEvent(createEvent(name, detail));
+      if (this.globalEvents) {
+        window.dispatchEvent(createEvent(name, detail));
       }
-      
-      // Forward other messages
-      window.dispatchEvent(new CustomEvent('aventora:message', {
-        detail: data
-      }));
     }
 
-    // Send message to iframe
-    sendToIframe(message) {
-      if (!this.iframe || !this.iframe.contentWindow) {
-        console.warn('[AventoraChat] Iframe not ready, queueing message');
-        this.pendingMessages.push(message);
-        return false;
+    // Send a protocol command to the iframe, queueing it until the chatbot
+    // is ready. Resolves with { acknowledged, result } once the chatbot
+    // acks it; rejects with an error code (IFRAME_NOT_READY, ACK_TIMEOUT, ...).
+    sendCommand(type, payload) {
+      if (this.channel && this.isReady()) {
+        return this.channel.send(type, payload);
+      }
+      if (!this.commandQueue) {
+        return Promise.reject(new Error('aventora-protocol.js is not loaded'));
       }
+      return this.commandQueue.enqueue(type, payload);
+    }
 
-      try {
-        // Send multiple message types to ensure Flutter app receives it
-        const messages = [
-          { type: 'chatbot_message', message: message.text, autoSend: message.autoSend, file: message.file },
-          { type: 'send_message', text: message.text, autoSend: message.autoSend, file: message.file },
-          { type: 'set_question', question: message.text, autoSend: message.autoSend, file: message.file },
-          { type: 'openChatbot', question: message.text, autoSend: message.autoSend, file: message.file }
-        ];
-
-        messages.forEach(msg => {
-          this.iframe.contentWindow.postMessage(msg, this.chatbotOrigin);
-        });
+    // Send a message as set_question (pre-fill) or send_message (autoSend)
+    sendToIframe(message) {
+      if (message.autoSend) {
+        return this.sendCommand('send_message', { text: message.text, file: message.file });
+      }
+      return this.sendCommand('set_question', { text: message.text, autoSend: false, file: message.file });
+    }
 
-        return true;
-      } catch (error) {
-        console.error('[AventoraChat] Error sending message to iframe:', error);
-        return false;
+    // Send the commands queued before the chatbot was ready
+    flushQueuedCommands() {
+      if (this.commandQueue && this.channel && this.isReady()) {
+        this.commandQueue.flush(this.channel);
       }
     }
 
-    // Process pending messages
-    processPendingMessages() {
-      if (this.pendingMessages.length > 0 && this.iframeReady) {
-        this.pendingMessages.forEach(msg => {
-          this.sendToIframe(msg);
-        });
-        this.pendingMessages = [];
+    // Fail the commands waiting for the chatbot
+    rejectQueuedCommands(code, message) {
+      if (this.commandQueue) {
+        this.commandQueue.rejectAll(code, message);
       }
     }
 
-    // Public API: Send message
+    // Public API: Send message. Resolves once the chatbot acknowledges it.
     sendMessage(text, options = {}) {
       const message = {
         text: text,
@@ -512,32 +825,42 @@
       // Handle file if it's a File object
       if (message.file instanceof File) {
         // Convert to data URL (or upload to server)
-        const reader = new FileReader();
-        reader.onload = (e) => {
-          message.file = e.target.result;
-          this.sendToIframe(message);
-        };
-        reader.readAsDataURL(message.file);
-        return;
+        return new Promise((resolve, reject) => {
+          const reader = new FileReader();
+          reader.onload = (e) => {
+            message.file = e.target.result;
+            resolve(this.sendToIframe(message));
+          };
+          reader.onerror = () => reject(reader.error);
+          reader.readAsDataURL(message.file);
+        });
       }
 
-      this.sendToIframe(message);
+      const sent = this.sendToIframe(message);
       
-      // Dispatch event
-      window.dispatchEvent(new CustomEvent('aventora:message-sent', {
-        detail: { text, options }
-      }));
+      // Deprecated event, superseded by aventora:message:sent
+      this.emit('message-sent', { text, options });
+      return sent;
     }
 
-    // Public API: Set question (pre-fill input, optionally auto-send)
+    // Public API: Set question (pre-fill input, optionally auto-send).
+    // Opens the chat; the question waits until the chatbot is ready and
+    // resolves once the chatbot acknowledges it.
     setQuestion(text, options = {}) {
-      // Open chatbot first
       this.open();
-      
-      // Wait a bit for iframe to be ready, then send
-      setTimeout(() => {
-        this.sendMessage(text, { ...options, autoSend: options.autoSend || false });
-      }, 500);
+      return this.sendMessage(text, { ...options, autoSend: options.autoSend || false });
+    }
+
+    // Public API: Attach a file (id or data URL), optionally sending it.
+    // Resolves once the chatbot acknowledges it.
+    setFile(file, options = {}) {
+      return this.sendCommand('set_file', { file: file, autoSend: options.autoSend === true });
+    }
+
+    // Public API: Focus the chatbot's message input. Resolves once the
+    // chatbot acknowledges it.
+    focusInput() {
+      return this.sendCommand('focus_input', {});
     }
 
     // Public API: Open chatbot
@@ -553,9 +876,7 @@
         }
         
         // Dispatch event
-        window.dispatchEvent(new CustomEvent('aventora:opened', {
-          detail: { instance: this }
-        }));
+        this.emit('opened', { instance: this });
       }
     }
 
@@ -571,11 +892,83 @@
           this.launcherButton.style.display = 'flex';
         }
         
+        // Apply a refreshed token deferred while the chat was in use
+        if (this.pendingIframeReload) {
+          this.reloadIframe();
+        }
+        
         // Dispatch event
-        window.dispatchEvent(new CustomEvent('aventora:closed', {
-          detail: { instance: this }
-        }));
+        this.emit('closed', { instance: this });
+      }
+    }
+
+    // Public API: Identify the logged-in user with a host-app signed token (JWT).
+    // Applies to the next token request.
+    setUserToken(token) {
+      this.config.userToken = token || '';
+    }
+
+    // Public API: End the chatbot session when the host app's user logs out.
+    // Revokes the token, clears the visitor cookie and user identity, and
+    // starts a new anonymous conversation.
+    logout() {
+      this.config.userToken = '';
+      return this.reset('logout');
+    }
+
+    // Public API: Revoke the token and start a new conversation
+    async reset(reason = 'reset') {
+      const token = this.token;
+      if (this.conversation) {
+        this.conversation.end(reason);
+      }
+      this.close();
+      this.teardownIframe();
+
+      let result = null;
+      try {
+        const response = await fetch(`${this.config.tokenApiUrl}/revoke`, {
+          method: 'POST',
+          credentials: 'include',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({
+            domain: this.config.tenant,
+            token: token || undefined
+          })
+        });
+        result = await response.json().catch(() => null);
+      } catch (err) {
+        console.warn('[AventoraChat] Token revocation failed:', err);
+      }
+
+      this.emit('reset', { reason: reason, result: result, instance: this });
+
+      // Request the new token only after revocation so the old one is not reused
+      await this.fetchToken();
+      return result;
+    }
+
+    // Remove the iframe and forget the current token, discarding token
+    // requests still in flight
+    teardownIframe() {
+      clearTimeout(this.tokenRefreshTimer);
+      this.tokenRefreshTimer = null;
+      this.tokenGeneration++;
+      this.tokenRefreshPromise = null;
+      this.closeChannel();
+      this.rejectQueuedCommands('CHANNEL_RESET', 'Chatbot was reset');
+      if (this.iframe && this.iframe.parentNode) {
+        this.iframe.parentNode.removeChild(this.iframe);
       }
+      this.iframe = null;
+      this.protocolVersion = null;
+      this.setState('loading-token');
+      this.pendingIframeReload = false;
+      this.token = null;
+      this.tokenExpiresAt = null;
+      this.updateLoadingState();
     }
 
     // Get instance (for API compatibility)
@@ -596,14 +989,11 @@
     }
   }
 
-  // Register custom element
-  if (!customElements.get('aventora-chat')) {
-    customElements.define('aventora-chat', AventoraChat);
-  }
-
-  // Export for module systems (if needed)
-  if (typeof module !== 'undefined' && module.exports) {
+  // Export for module systems; script tags register the custom element
+  if (isModule) {
     module.exports = AventoraChat;
+  } else if (!customElements.get('aventora-chat')) {
+    customElements.define('aventora-chat', AventoraChat);
   }
 
 })();
@@ -0,0 +1,591 @@
+/**
+ * Aventora Widget Protocol
+ *
+ * postMessage protocol between the embedding widget (host page) and the
+ * chatbot app in its iframe, used by the <aventora-chat> Web Component.
+ *
+ * Every message is a versioned envelope:
+ *
+ *   { v: 1, id: 'h1-4', type: 'set_question', payload: { text: 'Hi', autoSend: false } }
+ *
+ * The chatbot starts with a `hello` listing the protocol versions and
+ * commands it supports; the host answers with an `ack` naming the chosen
+ * version and its own capabilities. From then on the chatbot acknowledges
+ * every host command with an `ack` whose payload.ref is the command id.
+ * Chatbots that never say hello receive the pre-protocol message shapes
+ * (see toLegacyMessages). Full reference: docs/WIDGET_PROTOCOL.md
+ *
+ * Commands issued before the chatbot is ready wait in a command queue
+ * (createCommandQueue) so the public API can return one Promise per command.
+ * The embeds track readiness with createReadiness and flush the queue when
+ * the chatbot completes the handshake. Chatbot events are turned into the
+ * typed conversation events of the host page API by createConversationEvents.
+ */
+
+(function() {
+  'use strict';
+
+  const VERSION = 1;
+  const SUPPORTED_VERSIONS = [1];
+  const DEFAULT_ACK_TIMEOUT_MS = 5000;
+  const DEFAULT_READY_TIMEOUT_MS = 15000;
+
+  // Commands the host sends to the chatbot
+  const COMMANDS = ['set_question', 'send_message', 'set_file', 'focus_input', 'token_refreshed'];
+
+  // Message types the host understands from the chatbot
+  const HOST_CAPABILITIES = [
+    'hello', 'ack', 'conversation_started', 'message_sent', 'message_received', 'message_failed',
+    'typing', 'handoff_requested', 'conversation_ended', 'error'
+  ];
+
+  // Conversation event the host page sees for each chatbot event
+  const CONVERSATION_EVENT_TYPES = {
+    conversation_started: 'conversation:started',
+    message_sent: 'message:sent',
+    message_received: 'message:received',
+    message_failed: 'error',
+    typing: 'typing',
+    handoff_requested: 'handoff:requested',
+    conversation_ended: 'conversation:ended',
+    error: 'error'
+  };
+  const CONVERSATION_EVENTS = [
+    'conversation:started', 'message:received', 'message:sent', 'typing',
+    'handoff:requested', 'conversation:ended', 'error'
+  ];
+
+  // Readiness messages of chatbots that predate the protocol
+  const LEGACY_READY_TYPES = ['chatbot_ready', 'flutter_ready'];
+
+  // Readiness states of an embed and the states each may move to. The
+  // chatbot's handshake can arrive before the iframe's load event, so
+  // loading-iframe may skip iframe-loaded.
+  const READY_TRANSITIONS = {
+    'loading-token': ['loading-iframe', 'error'],
+    'loading-iframe': ['iframe-loaded', 'chatbot-ready', 'loading-token', 'error'],
+    'iframe-loaded': ['chatbot-ready', 'loading-iframe', 'loading-token', 'error'],
+    'chatbot-ready': ['loading-iframe', 'loading-token', 'error'],
+    'error': ['loading-token', 'loading-iframe']
+  };
+  const READY_STATES = Object.keys(READY_TRANSITIONS);
+
+  let channelCount = 0;
+
+  function protocolError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Whether a message is a protocol envelope (as opposed to a legacy message)
+   */
+  function isEnvelope(data) {
+    return !!data && typeof data === 'object' && typeof data.v === 'number' &&
+      typeof data.id === 'string' && typeof data.type === 'string';
+  }
+
+  function createEnvelope(type, payload, id) {
+    return { v: VERSION, id: id, type: type, payload: payload || {} };
+  }
+
+  /**
+   * Highest protocol version both sides support, or null
+   */
+  function negotiateVersion(versions) {
+    const offered = Array.isArray(versions) ? versions : [];
+    const common = SUPPORTED_VERSIONS.filter(version => offered.indexOf(version) !== -1);
+    return common.length > 0 ? Math.max.apply(null, common) : null;
+  }
+
+  /**
+   * Messages a pre-protocol chatbot expects for a command. These are the
+   * shapes the widgets posted before the protocol existed.
+   */
+  function toLegacyMessages(type, payload) {
+    payload = payload || {};
+    const file = payload.file ? { file: payload.file } : {};
+
+    switch (type) {
+      case 'set_question':
+        return [Object.assign({ type: 'set_question', question: payload.text, autoSend: payload.autoSend === true }, file)];
+      case 'send_message':
+        return [
+          Object.assign({ type: 'send_message', text: payload.text, autoSend: true }, file),
+          Object.assign({ type: 'chatbot_message', message: payload.text, autoSend: true }, file)
+        ];
+      case 'set_file':
+        return [{ type: 'set_file', file: payload.file, autoSend: payload.autoSend === true }];
+      case 'focus_input':
+        return [{ type: 'focus_input' }, { type: 'click_input' }];
+      case 'token_refreshed':
+        return [{ type: 'token_refreshed', token: payload.token, expires_at: payload.expiresAt }];
+      default:
+        return [Object.assign({ type: type }, payload)];
+    }
+  }
+
+  function firstDefined() {
+    for (let i = 0; i < arguments.length; i++) {
+      if (arguments[i] !== undefined && arguments[i] !== null) {
+        return arguments[i];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Conversation event for a chatbot message (envelope or legacy shape), or
+   * null if the message is not a conversation event
+   *
+   * Payloads are normalized: camelCase fields, null for missing values, and
+   * always a conversationId (null if unknown) and an ISO 8601 timestamp.
+   *
+   * @param {Object} data - Message from the chatbot
+   * @returns {{ name: string, payload: Object }|null}
+   */
+  function toConversationEvent(data) {
+    if (!data || typeof data !== 'object' || !CONVERSATION_EVENT_TYPES.hasOwnProperty(data.type)) {
+      return null;
+    }
+
+    const raw = (isEnvelope(data) ? data.payload : data) || {};
+    const payload = {
+      conversationId: firstDefined(raw.conversationId, raw.conversation_id),
+      timestamp: firstDefined(raw.timestamp, new Date().toISOString())
+    };
+
+    switch (data.type) {
+      case 'message_sent':
+      case 'message_received':
+        payload.messageId = firstDefined(raw.messageId, raw.message_id);
+        payload.text = firstDefined(raw.text, raw.message, '');
+        if (data.type === 'message_sent') {
+          payload.file = firstDefined(raw.file);
+        }
+        break;
+      case 'typing':
+        payload.active = firstDefined(raw.active, raw.isTyping, raw.is_typing, true) !== false;
+        break;
+      case 'handoff_requested':
+      case 'conversation_ended':
+        payload.reason = firstDefined(raw.reason);
+        break;
+      case 'message_failed':
+        payload.code = 'MESSAGE_FAILED';
+        payload.message = String(firstDefined(raw.error, 'Message could not be sent'));
+        payload.source = 'chatbot';
+        payload.text = firstDefined(raw.text);
+        break;
+      case 'error':
+        payload.code = firstDefined(raw.code, 'CHATBOT_ERROR');
+        payload.message = String(firstDefined(raw.message, 'Chatbot error'));
+        payload.source = 'chatbot';
+        payload.text = null;
+        break;
+    }
+
+    return { name: CONVERSATION_EVENT_TYPES[data.type], payload: payload };
+  }
+
+  /**
+   * Turn chatbot messages into conversation events for one embed
+   *
+   * Remembers the conversation id from conversation:started and fills it in
+   * on later events that do not carry one.
+   *
+   * @param {Object} options
+   * @param {Function} options.onEvent - Called with (name, payload)
+   * @returns {Object} conversation events
+   */
+  function createConversationEvents(options) {
+    const onEvent = options.onEvent;
+    let started = false;
+    let conversationId = null;
+
+    function emit(name, payload) {
+      if (payload.conversationId === null) {
+        payload.conversationId = conversationId;
+      }
+      if (name === 'conversation:started') {
+        started = true;
+        conversationId = payload.conversationId;
+      }
+      if (name === 'conversation:ended') {
+        started = false;
+        conversationId = null;
+      }
+      onEvent(name, payload);
+    }
+
+    return {
+      get conversationId() {
+        return conversationId;
+      },
+
+      /**
+       * Emit the conversation event for a chatbot message
+       * @returns {boolean} whether the message was a conversation event
+       */
+      handle: function(data) {
+        const event = toConversationEvent(data);
+        if (!event) {
+          return false;
+        }
+        emit(event.name, event.payload);
+        return true;
+      },
+
+      /**
+       * Emit an error raised by the host (e.g. the chatbot failed to load)
+       */
+      hostError: function(code, message) {
+        emit('error', {
+          conversationId: null,
+          timestamp: new Date().toISOString(),
+          code: code,
+          message: message,
+          source: 'host',
+          text: null
+        });
+      },
+
+      /**
+       * End the current conversation from the host side (reset, logout)
+       */
+      end: function(reason) {
+        if (started) {
+          emit('conversation:ended', { conversationId: conversationId, timestamp: new Date().toISOString(), reason: reason });
+        }
+      }
+    };
+  }
+
+  /**
+   * Open a channel to a chatbot iframe
+   *
+   * Create it before the iframe loads so the chatbot's hello is not missed.
+   *
+   * @param {Object} options
+   * @param {Function} options.getTarget - Returns the iframe's contentWindow (or null)
+   * @param {string} options.origin - Chatbot origin (required; '*' is not accepted)
+   * @param {string} options.client - Host name reported in the handshake
+   * @param {Function} [options.onReady] - Called with { version, capabilities, chatbot, legacy }
+   *   after the handshake, or with legacy: true for a legacy readiness message
+   * @param {Function} [options.onMessage] - Called with every other chatbot message
+   * @param {number} [options.ackTimeoutMs] - How long send() waits for an ack
+   * @param {Window} [options.window] - Window to listen on
+   * @returns {Object} channel
+   */
+  function createChannel(options) {
+    if (!options.origin || options.origin === '*') {
+      throw new TypeError('createChannel() needs the chatbot origin');
+    }
+    const target = options.getTarget;
+    const origin = options.origin;
+    const onReady = options.onReady || function() {};
+    const onMessage = options.onMessage || function() {};
+    const ackTimeoutMs = options.ackTimeoutMs || DEFAULT_ACK_TIMEOUT_MS;
+    const win = options.window || window;
+    const idPrefix = 'h' + (++channelCount) + '-';
+    const pending = new Map();
+    let sequence = 0;
+
+    const channel = {
+      version: null,      // negotiated protocol version; null for legacy chatbots
+      capabilities: [],   // commands the chatbot accepts
+      chatbot: null,      // { name, version } from the chatbot's hello
+
+      /**
+       * Send a command. Resolves with { acknowledged: true, result } once
+       * the chatbot acks it, or { acknowledged: false } right away for a
+       * chatbot that has not completed the handshake.
+       */
+      send: function(type, payload) {
+        const targetWindow = target();
+        if (!targetWindow) {
+          return Promise.reject(protocolError('IFRAME_NOT_READY', 'Chatbot iframe is not ready'));
+        }
+
+        if (channel.version === null) {
+          try {
+            toLegacyMessages(type, payload).forEach(message => targetWindow.postMessage(message, origin));
+          } catch (error) {
+            return Promise.reject(error);
+          }
+          return Promise.resolve({ acknowledged: false });
+        }
+
+        if (channel.capabilities.indexOf(type) === -1) {
+          return Promise.reject(protocolError('UNSUPPORTED_COMMAND', `Chatbot does not support ${type}`));
+        }
+
+        const envelope = createEnvelope(type, payload, idPrefix + (++sequence));
+        return new Promise((resolve, reject) => {
+          const timer = setTimeout(() => {
+            pending.delete(envelope.id);
+            reject(protocolError('ACK_TIMEOUT', `Chatbot did not acknowledge ${type} within ${ackTimeoutMs} ms`));
+          }, ackTimeoutMs);
+          pending.set(envelope.id, { resolve: resolve, reject: reject, timer: timer });
+
+          try {
+            targetWindow.postMessage(envelope, origin);
+          } catch (error) {
+            clearTimeout(timer);
+            pending.delete(envelope.id);
+            reject(error);
+          }
+        });
+      },
+
+      /**
+       * Forget the handshake (e.g. the iframe is reloading) and fail
+       * commands still waiting for an ack
+       */
+      reset: function() {
+        channel.version = null;
+        channel.capabilities = [];
+        channel.chatbot = null;
+        pending.forEach(entry => {
+          clearTimeout(entry.timer);
+          entry.reject(protocolError('CHANNEL_RESET', 'Chatbot iframe was reloaded'));
+        });
+        pending.clear();
+      },
+
+      /**
+       * Stop listening and fail pending commands
+       */
+      destroy: function() {
+        win.removeEventListener('message', handleMessage);
+        channel.reset();
+      }
+    };
+
+    function post(envelope) {
+      const targetWindow = target();
+      if (targetWindow) {
+        targetWindow.postMessage(envelope, origin);
+      }
+    }
+
+    function handleHello(envelope) {
+      const payload = envelope.payload || {};
+      const version = negotiateVersion(payload.versions);
+      if (version === null) {
+        post(createEnvelope('ack', {
+          ref: envelope.id,
+          ok: false,
+          error: { code: 'UNSUPPORTED_VERSION', message: `Supported protocol versions: ${SUPPORTED_VERSIONS.join(', ')}` }
+        }, idPrefix + (++sequence)));
+        return;
+      }
+
+      // A repeated hello (the chatbot reloaded) starts over
+      channel.reset();
+      channel.version = version;
+      channel.capabilities = Array.isArray(payload.capabilities) ? payload.capabilities.slice() : [];
+      channel.chatbot = payload.app || null;
+
+      post(createEnvelope('ack', {
+        ref: envelope.id,
+        ok: true,
+        result: { version: version, capabilities: HOST_CAPABILITIES.slice(), client: options.client }
+      }, idPrefix + (++sequence)));
+
+      onReady({ version: version, capabilities: channel.capabilities, chatbot: channel.chatbot, legacy: false });
+    }
+
+    function handleAck(envelope) {
+      const payload = envelope.payload || {};
+      const entry = pending.get(payload.ref);
+      if (!entry) {
+        return;
+      }
+      clearTimeout(entry.timer);
+      pending.delete(payload.ref);
+
+      if (payload.ok) {
+        entry.resolve({ acknowledged: true, result: payload.result === undefined ? null : payload.result });
+      } else {
+        const error = payload.error || {};
+        entry.reject(protocolError(error.code || 'COMMAND_FAILED', error.message || 'Chatbot rejected the command'));
+      }
+    }
+
+    function handleMessage(event) {
+      if (event.origin !== origin) {
+        return;
+      }
+      // Only the channel's own iframe: not another iframe of the same
+      // chatbot origin (e.g. a second widget), nor anything before it exists
+      const targetWindow = target();
+      if (!targetWindow || event.source !== targetWindow) {
+        return;
+      }
+
+      const data = event.data;
+      if (!data || typeof data !== 'object') {
+        return;
+      }
+
+      if (!isEnvelope(data)) {
+        if (LEGACY_READY_TYPES.indexOf(data.type) !== -1 && channel.version === null) {
+          onReady({ version: null, capabilities: [], chatbot: null, legacy: true });
+        }
+        onMessage(data);
+        return;
+      }
+
+      if (data.type === 'hello') {
+        handleHello(data);
+      } else if (data.type === 'ack') {
+        handleAck(data);
+      } else {
+        onMessage(data);
+      }
+    }
+
+    win.addEventListener('message', handleMessage);
+    return channel;
+  }
+
+  /**
+   * Queue for commands issued before the chatbot iframe is ready
+   *
+   * Each enqueued command returns a Promise that settles like
+   * channel.send() once the queue is flushed, or rejects with
+   * IFRAME_NOT_READY when the iframe is not ready within the timeout.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.timeoutMs] - How long a command may wait
+   * @returns {Object} queue
+   */
+  function createCommandQueue(options) {
+    const timeoutMs = (options && options.timeoutMs) || DEFAULT_READY_TIMEOUT_MS;
+    let entries = [];
+
+    function remove(entry) {
+      clearTimeout(entry.timer);
+      entries = entries.filter(other => other !== entry);
+    }
+
+    return {
+      get size() {
+        return entries.length;
+      },
+
+      enqueue: function(type, payload) {
+        return new Promise((resolve, reject) => {
+          const entry = { type: type, payload: payload, resolve: resolve, reject: reject };
+          entry.timer = setTimeout(() => {
+            remove(entry);
+            reject(protocolError('IFRAME_NOT_READY', `Chatbot was not ready within ${timeoutMs} ms`));
+          }, timeoutMs);
+          entries.push(entry);
+        });
+      },
+
+      /**
+       * Send every queued command through a channel, in order
+       */
+      flush: function(channel) {
+        const flushed = entries;
+        entries = [];
+        flushed.forEach(entry => {
+          clearTimeout(entry.timer);
+          channel.send(entry.type, entry.payload).then(entry.resolve, entry.reject);
+        });
+      },
+
+      /**
+       * Reject every queued command (e.g. the widget failed to load or was reset)
+       */
+      rejectAll: function(code, message) {
+        const rejected = entries;
+        entries = [];
+        rejected.forEach(entry => {
+          clearTimeout(entry.timer);
+          entry.reject(protocolError(code, message));
+        });
+      }
+    };
+  }
+
+  /**
+   * Readiness state machine of an embed
+   *
+   *   loading-token -> loading-iframe -> iframe-loaded -> chatbot-ready
+   *
+   * chatbot-ready is entered on the chatbot's handshake (hello, or a legacy
+   * chatbot_ready), never on a timer. A reloaded iframe goes back to
+   * loading-iframe, a reset to loading-token; any state may fail to error.
+   * Moves the transition table does not allow are ignored.
+   *
+   * @param {Object} [options]
+   * @param {Function} [options.onChange] - Called with { state, previousState, error }
+   * @returns {Object} readiness
+   */
+  function createReadiness(options) {
+    const onChange = (options && options.onChange) || function() {};
+    let state = READY_STATES[0];
+
+    return {
+      get state() {
+        return state;
+      },
+
+      get ready() {
+        return state === 'chatbot-ready';
+      },
+
+      /**
+       * Move to another state
+       * @param {string} next - One of READY_STATES
+       * @param {Error} [error] - Cause, for the error state
+       * @returns {boolean} whether the state changed
+       */
+      transition: function(next, error) {
+        if (!READY_TRANSITIONS[next]) {
+          throw new Error(`Unknown readiness state: ${next}`);
+        }
+        if (READY_TRANSITIONS[state].indexOf(next) === -1) {
+          return false;
+        }
+
+        const previousState = state;
+        state = next;
+        onChange({ state: next, previousState: previousState, error: error || null });
+        return true;
+      }
+    };
+  }
+
+  const AventoraProtocol = {
+    VERSION: VERSION,
+    SUPPORTED_VERSIONS: SUPPORTED_VERSIONS,
+    COMMANDS: COMMANDS,
+    HOST_CAPABILITIES: HOST_CAPABILITIES,
+    READY_STATES: READY_STATES,
+    CONVERSATION_EVENTS: CONVERSATION_EVENTS,
+    isEnvelope: isEnvelope,
+    createEnvelope: createEnvelope,
+    negotiateVersion: negotiateVersion,
+    toLegacyMessages: toLegacyMessages,
+    toConversationEvent: toConversationEvent,
+    createChannel: createChannel,
+    createCommandQueue: createCommandQueue,
+    createReadiness: createReadiness,
+    createConversationEvents: createConversationEvents
+  };
+
+  // Export for module systems (the SDK package); script tags get the
+  // window.AventoraProtocol global, and the first copy injected wins
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AventoraProtocol;
+  } else if (typeof window !== 'undefined' && !window.AventoraProtocol) {
+    window.AventoraProtocol = AventoraProtocol;
+  }
+
+})();
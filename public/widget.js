@@ -1,9 +1,15 @@
 /**
- * Aventora Chatbot Widget Loader
- * 
- * Tiny loader script that reads configuration from data attributes
- * and dynamically loads the Web Component.
- * 
+ * Aventora Chatbot SDK Loader
+ *
+ * Tiny loader script that reads configuration from data attributes,
+ * dynamically loads the Web Component (and the postMessage protocol
+ * it depends on, aventora-protocol.js) and exposes the window.Aventora API.
+ *
+ * This is the only embed. The server also serves it as widget/widget.js, the
+ * URL of the former lazy-loading widget; that widget's attributes, its
+ * window.AventoraWidgetLoader global, window.AventoraChatbot and the
+ * aventora:widget:* events keep working as deprecated aliases.
+ *
  * Usage:
  * <script
  *   src="https://cdn.aventora.ai/widget.js"
@@ -17,8 +23,17 @@
 (function() {
   'use strict';
 
+  // Prevent multiple initializations (e.g. a page that still has both
+  // former embed snippets)
+  if (window.Aventora) {
+    console.warn('[AventoraWidget] Loader already initialized');
+    return;
+  }
+
+  const deprecationWarnings = {};
+
   // Find the script tag that loaded this script
-  const currentScript = document.currentScript || 
+  const currentScript = document.currentScript ||
     document.querySelector('script[src*="widget.js"]') ||
     document.querySelector('script[data-tenant]');
 
@@ -27,19 +42,64 @@
     return;
   }
 
+  // The configuration schema of every embed: `key` is the option of
+  // Aventora.init() and Aventora.config, data-<attribute> the script tag
+  // attribute and <attribute> the <aventora-chat> attribute. `aliases` are
+  // deprecated data attributes of the former widget/ embed. A `replacedBy`
+  // option is deprecated itself: it is kept in Aventora.config but not
+  // passed to the component.
+  const CONFIG_OPTIONS = [
+    { key: 'tenant', attribute: 'tenant', aliases: ['domain'] },
+    { key: 'bot', attribute: 'bot' },
+    { key: 'theme', attribute: 'theme', defaultValue: 'auto' },
+    { key: 'position', attribute: 'position', defaultValue: 'bottom-right' },
+    { key: 'language', attribute: 'language', defaultValue: 'en' },
+    { key: 'primary', attribute: 'primary' }, // Accent color of the launcher and header
+    { key: 'openOnLoad', attribute: 'open-on-load', type: 'boolean' },
+    { key: 'tokenApiUrl', attribute: 'token-api-url', defaultValue: '/api/chatbot-token' },
+    { key: 'chatbotUrl', attribute: 'chatbot-url', aliases: ['chatbot-base-url'] },
+    { key: 'userToken', attribute: 'user-token' }, // Host-app signed user identity (JWT)
+    { key: 'tokenRefresh', attribute: 'token-refresh', defaultValue: 'message' }, // 'message', 'reload' or 'off'
+    { key: 'tokenLifetimeHours', attribute: 'token-lifetime-hours' }, // Clamped by the server
+    { key: 'campaign', attribute: 'campaign' }, // Comma separated campaign tags
+    // The chatbot URL now comes with the token
+    { key: 'apiBase', attribute: 'api-base', replacedBy: 'data-chatbot-url' }
+  ];
+
+  // Read the configuration from the data attributes of a script tag
+  function readConfig(script) {
+    const result = {};
+    CONFIG_OPTIONS.forEach(function(option) {
+      const name = [option.attribute].concat(option.aliases || []).filter(function(candidate) {
+        const attributeValue = script.getAttribute('data-' + candidate);
+        return attributeValue !== null && attributeValue !== '';
+      })[0];
+      const value = name ? script.getAttribute('data-' + name) : undefined;
+      if (option.replacedBy && name) {
+        deprecated('data-' + name, option.replacedBy);
+      } else if (name && name !== option.attribute) {
+        deprecated('data-' + name, 'data-' + option.attribute);
+      }
+      if (option.type === 'boolean') {
+        result[option.key] = value === 'true';
+      } else {
+        result[option.key] = value !== undefined ? value : (option.defaultValue || null);
+      }
+    });
+    return result;
+  }
+
   // Extract configuration from data attributes
-  const config = {
-    tenant: currentScript.getAttribute('data-tenant') || currentScript.getAttribute('data-domain'),
-    bot: currentScript.getAttribute('data-bot'),
-    theme: currentScript.getAttribute('data-theme') || 'auto',
-    position: currentScript.getAttribute('data-position') || 'bottom-right',
-    language: currentScript.getAttribute('data-language') || 'en',
-    tokenApiUrl: currentScript.getAttribute('data-token-api-url') || '/api/chatbot-token',
-    chatbotUrl: currentScript.getAttribute('data-chatbot-url'),
-    widgetUrl: currentScript.getAttribute('data-widget-url') || 
-      (currentScript.src ? currentScript.src.replace('widget.js', 'aventora-chat.js') : 
-       'https://cdn.aventora.ai/aventora-chat.js')
-  };
+  const config = readConfig(currentScript);
+  config.widgetUrl = currentScript.getAttribute('data-widget-url') ||
+    (currentScript.src ? currentScript.src.replace('widget.js', 'aventora-chat.js') :
+     'https://cdn.aventora.ai/aventora-chat.js');
+  config.protocolUrl = currentScript.getAttribute('data-protocol-url');
+
+  // aventora-protocol.js lives next to the component script by default
+  if (!config.protocolUrl) {
+    config.protocolUrl = new URL('aventora-protocol.js', new URL(config.widgetUrl, window.location.href)).href;
+  }
 
   // Validate required config
   if (!config.tenant) {
@@ -47,45 +107,222 @@
     return;
   }
 
-  // Global API placeholder (will be populated by Web Component)
-  window.AventoraChatbot = window.AventoraChatbot || {
+  // The events of on/off/once, dispatched by the component as aventora:<name>
+  // window events. Listed here because the protocol script
+  // (AventoraProtocol.CONVERSATION_EVENTS) loads later.
+  const EVENTS = [
+    'ready', 'opened', 'closed', 'state-change', 'message', 'token-refreshed', 'token-refresh-failed', 'reset',
+    'conversation:started', 'message:received', 'message:sent', 'typing',
+    'handoff:requested', 'conversation:ended', 'error'
+  ];
+
+  // The former widget/ embed's aventora:widget:<name> events are mirrored
+  // from aventora:<name>. (The component warns about the other replaced
+  // events, aventora:iframe-ready and aventora:message-sent.)
+  const LEGACY_EVENT_PREFIX = 'aventora:widget:';
+
+  // Warn once per deprecated API
+  function deprecated(name, replacement) {
+    if (!deprecationWarnings[name]) {
+      deprecationWarnings[name] = true;
+      console.warn('[AventoraWidget] ' + name + ' is deprecated, use ' + replacement + ' instead');
+    }
+  }
+
+  // Expose a deprecated alias of a global
+  function defineDeprecatedGlobal(name, value) {
+    Object.defineProperty(window, name, {
+      configurable: true,
+      get: function() {
+        deprecated('window.' + name, 'window.Aventora');
+        return value;
+      }
+    });
+  }
+
+  // Re-dispatch each event as aventora:widget:<name>. Pages that listen read
+  // the detail, so that is when the warning is logged; pages on the new
+  // events see none. aventora:widget:ready keeps the former embed's config
+  // and loader.
+  function mirrorLegacyEvents(loader) {
+    EVENTS.forEach(function(name) {
+      window.addEventListener('aventora:' + name, function(event) {
+        const detail = name === 'ready'
+          ? Object.assign({ config: config, loader: loader }, event.detail)
+          : event.detail;
+        const legacyEvent = new CustomEvent(LEGACY_EVENT_PREFIX + name, { detail: detail });
+        Object.defineProperty(legacyEvent, 'detail', {
+          get: function() {
+            deprecated(LEGACY_EVENT_PREFIX + '*', 'aventora:*');
+            return detail;
+          }
+        });
+        window.dispatchEvent(legacyEvent);
+      });
+    });
+  }
+
+  const subscriptions = [];
+
+  // Call handler with the detail of each aventora:<name> event
+  function subscribe(name, handler, once) {
+    if (EVENTS.indexOf(name) === -1 || typeof handler !== 'function') {
+      console.warn('[AventoraWidget] Cannot subscribe to event:', name);
+      return;
+    }
+
+    const subscription = { name: name, handler: handler };
+    subscription.listener = function(event) {
+      if (once) {
+        removeSubscription(subscription);
+      }
+      handler(event.detail);
+    };
+    subscriptions.push(subscription);
+    window.addEventListener('aventora:' + name, subscription.listener);
+  }
+
+  function unsubscribe(name, handler) {
+    const subscription = subscriptions.filter(function(other) { return other.name === name && other.handler === handler; })[0];
+    if (subscription) {
+      removeSubscription(subscription);
+    }
+  }
+
+  function removeSubscription(subscription) {
+    subscriptions.splice(subscriptions.indexOf(subscription), 1);
+    window.removeEventListener('aventora:' + subscription.name, subscription.listener);
+  }
+
+  // Global API (calls are queued until the Web Component is mounted)
+  const api = {
     _ready: false,
     _queue: [],
     _instance: null,
-    
-    // Queue API calls until component is ready
+    config: config,
+
+    // Chatbot commands. Each returns a Promise that resolves once the
+    // chatbot acknowledges the command (see WIDGET_API.md for error codes).
     sendMessage: function(text, options) {
-      if (this._ready && this._instance) {
-        return this._instance.sendMessage(text, options);
-      }
-      this._queue.push({ method: 'sendMessage', args: [text, options] });
+      return this._command('sendMessage', [text, options]);
     },
-    
+
     setQuestion: function(text, options) {
+      return this._command('setQuestion', [text, options]);
+    },
+
+    setFile: function(file, options) {
+      return this._command('setFile', [file, options]);
+    },
+
+    focusInput: function() {
+      return this._command('focusInput', []);
+    },
+
+    _command: function(method, args) {
       if (this._ready && this._instance) {
-        return this._instance.setQuestion(text, options);
+        return this._instance[method].apply(this._instance, args);
       }
-      this._queue.push({ method: 'setQuestion', args: [text, options] });
+      return this._enqueue(method, args);
     },
-    
+
+    _enqueue: function(method, args) {
+      const queue = this._queue;
+      return new Promise(function(resolve, reject) {
+        queue.push({ method: method, args: args, resolve: resolve, reject: reject });
+      });
+    },
+
     open: function() {
       if (this._ready && this._instance) {
         return this._instance.open();
       }
       this._queue.push({ method: 'open', args: [] });
     },
-    
+
     close: function() {
       if (this._ready && this._instance) {
         return this._instance.close();
       }
       this._queue.push({ method: 'close', args: [] });
     },
-    
+
     getInstance: function() {
       return this._instance;
     },
-    
+
+    // Subscribe to widget and conversation events (see EVENTS). Handlers
+    // get the event detail; the events are also dispatched as aventora:<name>.
+    on: function(name, handler) {
+      subscribe(name, handler, false);
+      return this;
+    },
+    once: function(name, handler) {
+      subscribe(name, handler, true);
+      return this;
+    },
+    off: function(name, handler) {
+      unsubscribe(name, handler);
+      return this;
+    },
+
+    // Readiness state of the chatbot (loading-token, loading-iframe,
+    // iframe-loaded, chatbot-ready or error); null until the component loaded
+    getState: function() {
+      return this._instance ? this._instance.getState() : null;
+    },
+
+    // Identify the logged-in user with a host-app signed token (JWT).
+    // Applies to the next token request.
+    setUserToken: function(token) {
+      config.userToken = token || null;
+      if (this._instance && this._instance.setUserToken) {
+        this._instance.setUserToken(token);
+      }
+    },
+
+    // Fetch a new chatbot token now and hand it to the chatbot
+    refreshToken: function() {
+      if (this._ready && this._instance) {
+        return this._instance.refreshToken();
+      }
+      return Promise.reject(new Error('Widget is not ready yet'));
+    },
+
+    // End the chatbot session (e.g. on host app logout): revokes the token,
+    // clears the visitor cookie and user identity
+    logout: function() {
+      config.userToken = null;
+      if (this._ready && this._instance) {
+        return this._instance.logout();
+      }
+      return this.reset();
+    },
+
+    // Revoke the token and start a new conversation
+    reset: function() {
+      if (this._ready && this._instance) {
+        return this._instance.reset();
+      }
+      // Component not loaded yet: still revoke cached tokens and clear the visitor cookie
+      return fetch(config.tokenApiUrl + '/revoke', {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ domain: config.tenant })
+      }).then(function(response) {
+        return response.json().catch(function() { return null; }).then(function(body) {
+          if (!response.ok) {
+            // The server's sanitized error ({ error, code, requestId })
+            const error = new Error((body && body.error) || 'Failed to revoke the chatbot token');
+            error.code = (body && body.code) || 'REVOKE_FAILED';
+            throw error;
+          }
+          return body;
+        });
+      });
+    },
+
     init: function(customConfig) {
       // Merge custom config with data attributes
       Object.assign(config, customConfig || {});
@@ -93,6 +330,44 @@
     }
   };
 
+  // window.AventoraWidgetLoader of the former widget/ embed: the same API,
+  // plus open() and waitForInstance() resolving with the component
+  function createWidgetLoaderAlias() {
+    const loader = Object.create(api);
+
+    loader.open = function() {
+      api.open();
+      return this.waitForInstance();
+    };
+
+    loader.waitForInstance = function(timeout) {
+      if (api._instance) {
+        return Promise.resolve(api._instance);
+      }
+      const mounted = api._enqueue('getInstance', []);
+      return new Promise(function(resolve, reject) {
+        const timer = setTimeout(function() {
+          reject(new Error('Timeout waiting for widget UI to load'));
+        }, timeout || 5000);
+        mounted.then(function(instance) {
+          clearTimeout(timer);
+          resolve(instance);
+        }, function(error) {
+          clearTimeout(timer);
+          reject(error);
+        });
+      });
+    };
+
+    Object.defineProperty(loader, 'root', {
+      get: function() { return api._instance; }
+    });
+    Object.defineProperty(loader, 'shadowRoot', {
+      get: function() { return api._instance ? api._instance.shadowRoot : null; }
+    });
+    return loader;
+  }
+
   // Load the Web Component script
   function loadComponent() {
     // Check if already loaded
@@ -101,19 +376,32 @@
       return;
     }
 
+    // Dynamically inserted scripts with async = false run in insertion
+    // order, so the protocol is defined before the component runs
+    if (!window.AventoraProtocol && !document.querySelector('script[src*="aventora-protocol.js"]')) {
+      const protocolScript = document.createElement('script');
+      protocolScript.src = config.protocolUrl;
+      protocolScript.async = false;
+      protocolScript.onerror = function() {
+        console.error('[AventoraWidget] Failed to load protocol from:', config.protocolUrl);
+      };
+      document.head.appendChild(protocolScript);
+    }
+
     const script = document.createElement('script');
     script.src = config.widgetUrl;
-    script.async = true;
-    
+    script.async = false;
+
     script.onload = function() {
       console.log('[AventoraWidget] Component loaded, initializing...');
       initializeComponent();
     };
-    
+
     script.onerror = function() {
       console.error('[AventoraWidget] Failed to load component from:', config.widgetUrl);
+      rejectQueue('Failed to load the chatbot widget');
     };
-    
+
     document.head.appendChild(script);
   }
 
@@ -127,68 +415,93 @@
       customElements.whenDefined('aventora-chat').then(function() {
         createWidget();
       });
-      
+
       // Fallback timeout
       setTimeout(function() {
         if (customElements.get('aventora-chat')) {
           createWidget();
         } else {
           console.error('[AventoraWidget] Custom element not defined after timeout');
+          rejectQueue('Failed to load the chatbot widget');
         }
       }, 5000);
     }
   }
 
+  // Set the <aventora-chat> attributes of the configuration
+  function applyConfig(widget) {
+    CONFIG_OPTIONS.forEach(function(option) {
+      const value = config[option.key];
+      // The user token is handed over directly rather than exposed in the DOM
+      if (option.key === 'userToken' || option.replacedBy || value === null || value === undefined || value === false) {
+        return;
+      }
+      widget.setAttribute(option.attribute, String(value));
+    });
+    if (config.userToken && widget.setUserToken) {
+      widget.setUserToken(config.userToken);
+    }
+  }
+
   // Create and mount the widget
   function createWidget() {
     try {
       // Check if widget already exists
       let widget = document.querySelector('aventora-chat');
-      
+
       if (!widget) {
         // Create the custom element
         widget = document.createElement('aventora-chat');
-        
-        // Set attributes from config
-        widget.setAttribute('tenant', config.tenant);
-        if (config.bot) widget.setAttribute('bot', config.bot);
-        widget.setAttribute('theme', config.theme);
-        widget.setAttribute('position', config.position);
-        widget.setAttribute('language', config.language);
-        widget.setAttribute('token-api-url', config.tokenApiUrl);
-        if (config.chatbotUrl) {
-          widget.setAttribute('chatbot-url', config.chatbotUrl);
-        }
-        
+        applyConfig(widget);
+
         // Append to body
         document.body.appendChild(widget);
       }
-      
+
       // Get instance and process queued calls
       const instance = widget.getInstance ? widget.getInstance() : widget;
-      window.AventoraChatbot._instance = instance;
-      window.AventoraChatbot._ready = true;
-      
+      api._instance = instance;
+      api._ready = true;
+
       // Process queued API calls
-      window.AventoraChatbot._queue.forEach(function(item) {
-        if (instance[item.method]) {
-          instance[item.method].apply(instance, item.args);
+      const queue = api._queue;
+      api._queue = [];
+      queue.forEach(function(item) {
+        if (!instance[item.method]) {
+          return;
+        }
+        const result = instance[item.method].apply(instance, item.args);
+        if (item.resolve) {
+          Promise.resolve(result).then(item.resolve, item.reject);
         }
       });
-      window.AventoraChatbot._queue = [];
-      
+
+      // aventora:ready follows from the component once the chatbot is ready
       console.log('[AventoraWidget] Widget initialized successfully');
-      
-      // Dispatch ready event
-      window.dispatchEvent(new CustomEvent('aventora:ready', {
-        detail: { instance: instance }
-      }));
-      
     } catch (error) {
       console.error('[AventoraWidget] Error creating widget:', error);
     }
   }
 
+  // Fail queued commands when the component cannot load
+  function rejectQueue(message) {
+    const error = new Error(message);
+    error.code = 'IFRAME_NOT_READY';
+    const queue = api._queue;
+    api._queue = [];
+    queue.forEach(function(item) {
+      if (item.reject) {
+        item.reject(error);
+      }
+    });
+  }
+
+  const widgetLoader = createWidgetLoaderAlias();
+  window.Aventora = api;
+  defineDeprecatedGlobal('AventoraChatbot', api);
+  defineDeprecatedGlobal('AventoraWidgetLoader', widgetLoader);
+  mirrorLegacyEvents(widgetLoader);
+
   // Auto-initialize if DOM is ready, otherwise wait
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', loadComponent);
@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+
+/**
+ * Build the SDK package: bundles index.js with the Web Component and
+ * aventora-protocol.js from public/ into
+ *
+ * - dist/aventora-chat-widget.mjs (ES module)
+ * - dist/aventora-chat-widget.umd.js (CommonJS, AMD or the
+ *   window.AventoraChatWidget global when loaded by a script tag)
+ *
+ * The sources are CommonJS with relative requires only, so each is wrapped
+ * in a module function and required lazily; nothing runs until the bundle's
+ * entry is required, and the component only when a widget is created.
+ *
+ * Usage: node sdk/build.js (or npm run build:sdk)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const DIST = path.join(__dirname, 'dist');
+const ENTRY = 'sdk/index.js';
+const MODULES = [ENTRY, 'public/aventora-chat.js', 'public/aventora-protocol.js'];
+const GLOBAL_NAME = 'AventoraChatWidget';
+
+// Module id (repo-relative path) a relative require resolves to
+function resolve(from, request) {
+  const id = path.posix.join(path.posix.dirname(from), request);
+  return id.endsWith('.js') ? id : id + '.js';
+}
+
+// The module table and require function every build shares
+function bundle() {
+  const modules = MODULES.map(id => {
+    const source = fs.readFileSync(path.join(ROOT, id), 'utf8');
+    for (const [, request] of source.matchAll(/require\(['"]([^'"]+)['"]\)/g)) {
+      if (!request.startsWith('.') || MODULES.indexOf(resolve(id, request)) === -1) {
+        throw new Error(`${id}: cannot bundle require('${request}')`);
+      }
+    }
+    return `  ${JSON.stringify(id)}: function(module, exports, require) {\n${source}\n  }`;
+  });
+
+  return [
+    'var modules = {',
+    modules.join(',\n'),
+    '};',
+    'var cache = {};',
+    'function load(id) {',
+    '  if (!cache[id]) {',
+    '    var module = cache[id] = { exports: {} };',
+    '    modules[id].call(module.exports, module, module.exports, function(request) {',
+    '      return load(resolve(id, request));',
+    '    });',
+    '  }',
+    '  return cache[id].exports;',
+    '}',
+    'function resolve(from, request) {',
+    "  var parts = from.split('/').slice(0, -1);",
+    "  request.split('/').forEach(function(part) {",
+    "    if (part === '..') { parts.pop(); } else if (part !== '.') { parts.push(part); }",
+    '  });',
+    "  var id = parts.join('/');",
+    "  return /\\.js$/.test(id) ? id : id + '.js';",
+    '}'
+  ].join('\n');
+}
+
+function banner() {
+  const { name, version, license } = require('./package.json');
+  return `/*! ${name} ${version} | ${license} | generated by sdk/build.js, do not edit */`;
+}
+
+function esm() {
+  return [
+    banner(),
+    `const sdk = (function() {\n${bundle()}\nreturn load(${JSON.stringify(ENTRY)});\n})();`,
+    'export const createChatWidget = sdk.createChatWidget;',
+    'export const EVENTS = sdk.EVENTS;',
+    'export default sdk;',
+    ''
+  ].join('\n');
+}
+
+function umd() {
+  return [
+    banner(),
+    '(function(root, factory) {',
+    "  if (typeof define === 'function' && define.amd) {",
+    '    define([], factory);',
+    "  } else if (typeof module === 'object' && module.exports) {",
+    '    module.exports = factory();',
+    '  } else {',
+    `    root.${GLOBAL_NAME} = factory();`,
+    '  }',
+    "})(typeof self !== 'undefined' ? self : this, function() {",
+    bundle(),
+    `return load(${JSON.stringify(ENTRY)});`,
+    '});',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Write the builds to dist/
+ *
+ * @returns {{ esm: string, umd: string }} paths of the written files
+ */
+function build() {
+  fs.mkdirSync(DIST, { recursive: true });
+  const files = {
+    esm: path.join(DIST, 'aventora-chat-widget.mjs'),
+    umd: path.join(DIST, 'aventora-chat-widget.umd.js')
+  };
+  fs.writeFileSync(files.esm, esm());
+  fs.writeFileSync(files.umd, umd());
+  return files;
+}
+
+if (require.main === module) {
+  const files = build();
+  Object.values(files).forEach(file => console.log(`Wrote ${path.relative(ROOT, file)}`));
+}
+
+module.exports = { build, esm, umd };
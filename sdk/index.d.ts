@@ -0,0 +1,138 @@
+/**
+ * Types for @aventora/chat-widget. See docs/WIDGET_API.md for the commands
+ * and events, and docs/WIDGET_PROTOCOL.md for the error codes.
+ */
+
+/** Widget configuration; the same options as the script tag's data-* attributes */
+export interface ChatWidgetConfig {
+  /** Tenant (the site's domain) the token is issued for */
+  tenant: string;
+  /** Bot to talk to, when the tenant has more than one */
+  bot?: string;
+  theme?: 'auto' | 'light' | 'dark';
+  position?: 'bottom-right' | 'bottom-left' | 'top-right' | 'top-left';
+  /** Accent color of the launcher and header, e.g. '#2563eb' */
+  primary?: string;
+  /** Open the chat as soon as the widget is mounted */
+  openOnLoad?: boolean;
+  language?: string;
+  /** Token endpoint on your server, '/api/chatbot-token' by default */
+  tokenApiUrl?: string;
+  /** Chatbot app URL; normally sent with the token */
+  chatbotUrl?: string;
+  /** Signed token (JWT) identifying the logged-in user */
+  userToken?: string;
+  /** How a refreshed token reaches the chatbot, 'message' by default */
+  tokenRefresh?: 'message' | 'reload' | 'off';
+  /** Requested token lifetime; the server clamps it */
+  tokenLifetimeHours?: number | string;
+  /** Comma separated campaign tags */
+  campaign?: string;
+  /** Element the widget is appended to, document.body by default */
+  container?: Element;
+}
+
+/** Readiness states, in order (error at any point) */
+export type ChatWidgetState = 'loading-token' | 'loading-iframe' | 'iframe-loaded' | 'chatbot-ready' | 'error';
+
+/** Resolution of a chatbot command; legacy chatbots do not acknowledge */
+export interface CommandResult {
+  acknowledged: boolean;
+  result?: unknown;
+}
+
+/**
+ * Rejection of a chatbot command. code is one of IFRAME_NOT_READY,
+ * ACK_TIMEOUT, UNSUPPORTED_COMMAND, CHANNEL_RESET, COMMAND_FAILED or a more
+ * specific code from the chatbot.
+ */
+export interface CommandError extends Error {
+  code: string;
+}
+
+export interface SendMessageOptions {
+  /** File id or data URL sent with the message */
+  file?: string;
+}
+
+export interface SetQuestionOptions {
+  autoSend?: boolean;
+}
+
+export interface SetFileOptions {
+  autoSend?: boolean;
+}
+
+/** Fields every conversation event carries */
+export interface ConversationEventDetail {
+  conversationId: string | null;
+  timestamp: string;
+}
+
+export interface ChatWidgetEvents {
+  /** The chatbot is ready (again after a reset); protocolVersion is null for chatbots without the handshake */
+  ready: { instance: HTMLElement; protocolVersion: number | null; capabilities: string[] };
+  opened: { instance: HTMLElement };
+  closed: { instance: HTMLElement };
+  'state-change': { instance: HTMLElement; state: ChatWidgetState; previousState: ChatWidgetState; error?: Error };
+  /** Raw message from the chatbot */
+  message: unknown;
+  'token-refreshed': { expiresAt: string; instance: HTMLElement };
+  'token-refresh-failed': { error: Error; expiresAt: string | null; instance: HTMLElement };
+  reset: { reason: string; result: unknown; instance: HTMLElement };
+  'conversation:started': ConversationEventDetail;
+  'message:received': ConversationEventDetail & { messageId?: string; text: string };
+  'message:sent': ConversationEventDetail & { messageId?: string; text: string; file?: string };
+  typing: ConversationEventDetail & { active: boolean };
+  'handoff:requested': ConversationEventDetail & { reason?: string };
+  'conversation:ended': ConversationEventDetail & { reason?: string };
+  error: ConversationEventDetail & { code: string; message: string; source: string };
+}
+
+export type ChatWidgetEventName = keyof ChatWidgetEvents;
+
+export interface ChatWidget {
+  /** The <aventora-chat> element */
+  readonly element: HTMLElement;
+
+  sendMessage(text: string, options?: SendMessageOptions): Promise<CommandResult>;
+  /** Pre-fill the input (and open the chat) */
+  setQuestion(text: string, options?: SetQuestionOptions): Promise<CommandResult>;
+  setFile(file: string, options?: SetFileOptions): Promise<CommandResult>;
+  focusInput(): Promise<CommandResult>;
+
+  open(): void;
+  close(): void;
+  getState(): ChatWidgetState;
+  /** Identify the logged-in user; applies to the next token request */
+  setUserToken(token: string | null): void;
+  /** Fetch a new token and deliver it to the chatbot; resolves with the token, or null when a reset discarded it */
+  refreshToken(): Promise<string | null>;
+  /** End the session when the app's user logs out; resolves with the revoke response */
+  logout(): Promise<unknown>;
+  /** Revoke the token and start a new conversation; resolves with the revoke response */
+  reset(): Promise<unknown>;
+
+  on<K extends ChatWidgetEventName>(name: K, handler: (detail: ChatWidgetEvents[K]) => void): this;
+  once<K extends ChatWidgetEventName>(name: K, handler: (detail: ChatWidgetEvents[K]) => void): this;
+  off<K extends ChatWidgetEventName>(name: K, handler: (detail: ChatWidgetEvents[K]) => void): this;
+
+  /** Remove the widget and its event subscriptions */
+  destroy(): void;
+}
+
+/** Event names on() accepts */
+export const EVENTS: ChatWidgetEventName[];
+
+/**
+ * Mount a chat widget. Call it in the browser (after the app mounts);
+ * throws without a DOM, without a tenant or on unknown options.
+ */
+export function createChatWidget(config: ChatWidgetConfig): ChatWidget;
+
+declare const sdk: {
+  createChatWidget: typeof createChatWidget;
+  EVENTS: typeof EVENTS;
+};
+
+export default sdk;
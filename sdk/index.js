@@ -0,0 +1,148 @@
+/**
+ * Aventora chat widget SDK
+ *
+ * createChatWidget() mounts an <aventora-chat> element and returns a handle
+ * to drive it. Unlike the script-tag loader (public/widget.js) it sets no
+ * window globals and dispatches events on its element only, so apps can
+ * create and destroy widgets along with their components.
+ *
+ * build.js bundles this file with the Web Component and aventora-protocol.js
+ * into the ESM and UMD builds in dist/; the types are in index.d.ts.
+ */
+
+const TAG_NAME = 'aventora-chat';
+
+// Same event names as window.Aventora.on() in public/widget.js
+const EVENTS = [
+  'ready', 'opened', 'closed', 'state-change', 'message', 'token-refreshed', 'token-refresh-failed', 'reset',
+  'conversation:started', 'message:received', 'message:sent', 'typing',
+  'handoff:requested', 'conversation:ended', 'error'
+];
+
+// Options that are not element attributes
+const OPTIONS = ['container', 'userToken'];
+
+// The element class, registered on first use so importing has no side effects
+function defineElement() {
+  const AventoraChat = require('../public/aventora-chat');
+  if (!customElements.get(TAG_NAME)) {
+    customElements.define(TAG_NAME, AventoraChat);
+  }
+  return customElements.get(TAG_NAME);
+}
+
+// tokenApiUrl -> token-api-url
+function toAttribute(key) {
+  return key.replace(/[A-Z]/g, letter => '-' + letter.toLowerCase());
+}
+
+/**
+ * Mount a chat widget
+ *
+ * @param {Object} config - tenant is required; see index.d.ts for the rest
+ * @param {Element} [config.container] - Parent element, document.body by default
+ * @returns {Object} widget handle; call destroy() to remove it
+ */
+function createChatWidget(config = {}) {
+  if (typeof window === 'undefined' || typeof document === 'undefined') {
+    throw new Error('createChatWidget() needs a browser (call it after the app mounts, not during server rendering)');
+  }
+  if (!config.tenant) {
+    throw new TypeError('createChatWidget() needs a tenant');
+  }
+
+  const AventoraChat = defineElement();
+  const attributes = AventoraChat.observedAttributes;
+  Object.keys(config).forEach(key => {
+    if (OPTIONS.indexOf(key) === -1 && attributes.indexOf(toAttribute(key)) === -1) {
+      throw new TypeError('Unknown chat widget option: ' + key);
+    }
+  });
+
+  const element = document.createElement(TAG_NAME);
+  element.globalEvents = false;
+  Object.keys(config).forEach(key => {
+    const value = config[key];
+    if (OPTIONS.indexOf(key) !== -1 || value === undefined || value === null || value === false) {
+      return;
+    }
+    element.setAttribute(toAttribute(key), String(value));
+  });
+  if (config.userToken) {
+    element.setUserToken(config.userToken);
+  }
+  (config.container || document.body).appendChild(element);
+
+  const subscriptions = [];
+
+  function subscribe(name, handler, once) {
+    if (EVENTS.indexOf(name) === -1 || typeof handler !== 'function') {
+      throw new TypeError('Cannot subscribe to event: ' + name);
+    }
+
+    const subscription = { name: name, handler: handler };
+    subscription.listener = event => {
+      if (once) {
+        removeSubscription(subscription);
+      }
+      handler(event.detail);
+    };
+    subscriptions.push(subscription);
+    element.addEventListener('aventora:' + name, subscription.listener);
+  }
+
+  function removeSubscription(subscription) {
+    subscriptions.splice(subscriptions.indexOf(subscription), 1);
+    element.removeEventListener('aventora:' + subscription.name, subscription.listener);
+  }
+
+  const widget = {
+    element: element,
+
+    // Chatbot commands. Each returns a Promise that resolves once the
+    // chatbot acknowledges the command (see WIDGET_API.md for error codes).
+    sendMessage: (text, options) => element.sendMessage(text, options),
+    setQuestion: (text, options) => element.setQuestion(text, options),
+    setFile: (file, options) => element.setFile(file, options),
+    focusInput: () => element.focusInput(),
+
+    open: () => element.open(),
+    close: () => element.close(),
+    getState: () => element.getState(),
+    setUserToken: token => element.setUserToken(token),
+    refreshToken: () => element.refreshToken(),
+    logout: () => element.logout(),
+    reset: () => element.reset(),
+
+    on: (name, handler) => {
+      subscribe(name, handler, false);
+      return widget;
+    },
+
+    once: (name, handler) => {
+      subscribe(name, handler, true);
+      return widget;
+    },
+
+    off: (name, handler) => {
+      const subscription = subscriptions.filter(other => other.name === name && other.handler === handler)[0];
+      if (subscription) {
+        removeSubscription(subscription);
+      }
+      return widget;
+    },
+
+    // Remove the element; its disconnectedCallback stops timers and listeners
+    destroy: () => {
+      subscriptions.slice().forEach(removeSubscription);
+      element.remove();
+    }
+  };
+
+  return widget;
+}
+
+module.exports = {
+  createChatWidget: createChatWidget,
+  EVENTS: EVENTS
+};
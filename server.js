@@ -1,226 +1,458 @@
 require('dotenv').config();
+// Settings from the environment, .env and the config file (see lib/config.js).
+// Loaded before the other lib/ modules so they see config file values.
+const { loadConfig, validateTenants } = require('./lib/config');
+const config = loadConfig();
 const express = require('express');
 const path = require('path');
+const { loadTenantRegistry } = require('./lib/tenant-registry');
+const { isOriginAllowed, isSameOrigin, getTenantOrigins } = require('./lib/origin-policy');
+const { loadRateLimiter } = require('./lib/rate-limiter');
+const { ANONYMOUS_USERNAME, sanitizeUsername, loadUserResolver } = require('./lib/user-identity');
+const { loadVisitorSessions } = require('./lib/visitor-session');
+const { tokenCacheKey, loadTokenCache } = require('./lib/token-cache');
+const { resolveTokenOptions, loadTokenBounds } = require('./lib/token-options');
+const { createUpstreamProxy, loadProxyRoutes } = require('./lib/upstream-proxy');
+const { loadUpstreamClient } = require('./lib/upstream-client');
+const { loadReadinessChecker } = require('./lib/readiness');
+const { logger } = require('./lib/logger');
+const { REQUEST_ID_HEADER, requestIdMiddleware } = require('./lib/request-id');
+const { loadServerMetrics } = require('./lib/metrics');
+const { DEBUG_HEADER, loadErrorResponder, tokensMatch } = require('./lib/error-response');
 
-const app = express();
-const PORT = process.env.PORT || 3001;
-
-// Middleware
-app.use(express.json());
-
-// CORS middleware for widget endpoints (must be before routes)
-app.use('/api/widget', (req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-  if (req.method === 'OPTIONS') {
-    return res.sendStatus(200);
+/**
+ * Configuration checks
+ *
+ * Logs the problems found by lib/config.js. In strict mode
+ * (CONFIG_STRICT=true) configuration errors stop the server.
+ */
+function reportConfigIssues({ errors, warnings }) {
+  const log = logger.child({ component: 'config' });
+  warnings.forEach(issue => log.warn(`${issue.setting}: ${issue.message}`, { setting: issue.setting }));
+  errors.forEach(issue => log.error(`${issue.setting}: ${issue.message}`, { setting: issue.setting }));
+  if (config.strict && errors.length > 0) {
+    log.error(`Invalid configuration (${errors.length} error${errors.length === 1 ? '' : 's'}), not starting in strict mode`);
+    process.exit(1);
   }
-  next();
-});
+}
+
+reportConfigIssues(config);
+
+const app = express();
+const PORT = config.values.PORT;
+const tenantRegistry = loadTenantRegistry(config.env);
+const rateLimiter = loadRateLimiter(config.env);
+const resolveUser = loadUserResolver(config.env);
+const visitorSessions = loadVisitorSessions(config.env);
+const tokenCache = loadTokenCache(config.env);
+const tokenBounds = loadTokenBounds(config.env);
+const proxyRoutes = loadProxyRoutes(config.env);
+const upstreamClient = loadUpstreamClient(config.env);
+const readinessChecker = loadReadinessChecker({ tenantRegistry, upstreamClient }, config.env);
+const metrics = loadServerMetrics({ upstreamClient }, config.env);
+const { sendError } = loadErrorResponder(config.env);
+
+// Behind a load balancer / reverse proxy, set TRUST_PROXY so req.ip is the
+// client address used for rate limiting (e.g. TRUST_PROXY=1 or "loopback")
+if (config.values.TRUST_PROXY) {
+  const trustProxy = config.values.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : (/^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy));
+}
+
+// Request ids and access logging (see lib/logger.js, lib/request-id.js)
+app.use(requestIdMiddleware(logger));
 
 /**
- * Widget API Proxy Endpoints
- * 
- * These endpoints proxy requests to the domain chatbot API server
- * to avoid CORS issues when the widget is embedded on different domains.
- * 
- * IMPORTANT: These routes must be defined BEFORE static middleware
- * to ensure they are matched correctly.
+ * CORS for tenant-scoped API routes
+ *
+ * Origins are checked against the resolved tenant's allowlist (see
+ * lib/origin-policy.js) inside resolveTenant(). Preflight requests carry no
+ * body, so they are answered here: the origin must be allowed by the tenant
+ * named in the query/header, or by any tenant when none is named.
  */
+const CORS_ROUTES = ['/api/chatbot-token', '/api/config', '/api/widget'];
+
+app.use(CORS_ROUTES, async (req, res, next) => {
+  res.vary('Origin');
+  if (req.method !== 'OPTIONS') {
+    return next();
+  }
+
+  const origin = req.get('origin');
+  if (!origin) {
+    return res.sendStatus(204);
+  }
 
-// Proxy for widget session creation
-app.post('/api/widget/session', async (req, res) => {
-  console.log('[widget-session] Route hit!', req.body);
   try {
-    const domainChatbotApiUrl = process.env.DOMAIN_CHATBOT_API_URL || 'https://api.aventora.ai';
-    const apiUrl = `${domainChatbotApiUrl}/v1/widget/session`;
-    
-    console.log('[widget-session] Proxying to:', apiUrl);
-    console.log('[widget-session] Request body:', req.body);
-    
-    const response = await fetch(apiUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(req.body)
-    });
+    const explicitDomain = req.query.domain || req.query.tenant || req.get('x-aventora-tenant');
+    const tenants = explicitDomain
+      ? [await tenantRegistry.resolve(explicitDomain)]
+      : await tenantRegistry.list();
 
-    if (!response.ok) {
-      // If widget endpoint doesn't exist (404), return error so widget can fallback
-      if (response.status === 404) {
-        console.log('[widget-session] Widget endpoint not found, widget will use fallback');
-        return res.status(404).json({
-          error: 'Widget endpoint not available',
-          fallback: true
-        });
-      }
-      
-      const errorText = await response.text();
-      console.error('[widget-session] API error:', response.status, errorText);
-      return res.status(response.status).json({
-        error: 'Failed to create session',
-        details: errorText
-      });
+    const allowed = isSameOrigin(origin, req.get('host')) ||
+      tenants.some(tenant => tenant && tenant.isActive && isOriginAllowed(origin, getTenantOrigins(tenant)));
+
+    if (!allowed) {
+      req.log.warn('Preflight rejected', { component: 'cors', origin: origin, path: req.path });
+      return sendError(req, res, 'ORIGIN_NOT_ALLOWED', { fields: { origin: origin } });
     }
 
-    const data = await response.json();
-    console.log('[widget-session] Session created:', data.session_id ? 'success' : 'no session_id');
-    res.json(data);
+    res.header('Access-Control-Allow-Origin', origin);
+    res.header('Access-Control-Allow-Credentials', 'true');
+    res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.header('Access-Control-Allow-Headers', `Content-Type, Authorization, X-Aventora-Tenant, ${REQUEST_ID_HEADER}, ${DEBUG_HEADER}`);
+    res.header('Access-Control-Max-Age', '600');
+    return res.sendStatus(204);
   } catch (error) {
-    console.error('[widget-session] Proxy error:', error);
-    res.status(500).json({
-      error: 'Internal server error',
-      message: error.message
-    });
+    req.log.error('Preflight error', { component: 'cors', error: error });
+    return sendError(req, res, 'INTERNAL_ERROR', { diagnostics: { message: error.message } });
   }
 });
 
-// Proxy for widget message sending
-app.post('/api/widget/message', async (req, res) => {
-  console.log('[widget-message] Route hit!', req.body);
-  try {
-    const domainChatbotApiUrl = process.env.DOMAIN_CHATBOT_API_URL || 'https://api.aventora.ai';
-    const apiUrl = `${domainChatbotApiUrl}/v1/widget/message`;
-    
-    // Forward Authorization header if present
-    const headers = {
-      'Content-Type': 'application/json'
-    };
-    
-    if (req.headers.authorization) {
-      headers['Authorization'] = req.headers.authorization;
-    }
-    
-    console.log('[widget-message] Proxying to:', apiUrl);
-    console.log('[widget-message] Has auth:', !!req.headers.authorization);
-    
-    const response = await fetch(apiUrl, {
-      method: 'POST',
-      headers: headers,
-      body: JSON.stringify(req.body)
+/**
+ * Tenant resolution
+ *
+ * Every token, config and widget proxy request is resolved to a tenant from
+ * the registry (see lib/tenant-registry.js). The tenant is identified by, in
+ * order: `domain`/`tenant` in the body, `domain`/`tenant` query parameters,
+ * the `X-Aventora-Tenant` header, then the request Host header.
+ */
+function getRequestDomain(req) {
+  const body = req.body || {};
+  return body.domain || body.tenant ||
+    req.query.domain || req.query.tenant ||
+    req.get('x-aventora-tenant') ||
+    req.hostname;
+}
+
+// Enforces the tenant's origin allowlist. Requests without an Origin header
+// (server-to-server, curl) and same-origin requests are always allowed.
+function checkOrigin(req, res, tenant, log) {
+  const origin = req.get('origin');
+  if (!origin || isSameOrigin(origin, req.get('host'))) {
+    return true;
+  }
+
+  if (!isOriginAllowed(origin, getTenantOrigins(tenant))) {
+    log.warn('Origin not allowed', { origin: origin, tenant: tenant.domainName });
+    sendError(req, res, 'ORIGIN_NOT_ALLOWED', { fields: { origin: origin } });
+    return false;
+  }
+
+  res.header('Access-Control-Allow-Origin', origin);
+  // Allows the visitor cookie on cross-origin token requests
+  res.header('Access-Control-Allow-Credentials', 'true');
+  res.header('Access-Control-Expose-Headers', REQUEST_ID_HEADER);
+  return true;
+}
+
+// Resolves the tenant (checking the request origin) or sends an error
+// response and returns null
+async function resolveTenant(req, res, log) {
+  const domain = getRequestDomain(req);
+  const tenant = await tenantRegistry.resolve(domain);
+
+  if (!tenant) {
+    log.warn('No tenant configured for domain', { domain: domain });
+    sendError(req, res, 'TENANT_NOT_FOUND', { fields: { domain: domain } });
+    return null;
+  }
+
+  if (!tenant.isActive) {
+    log.warn('Tenant is inactive', { tenant: tenant.domainName });
+    sendError(req, res, 'TENANT_DISABLED', { fields: { domain: tenant.domainName } });
+    return null;
+  }
+
+  if (!checkOrigin(req, res, tenant, log)) {
+    return null;
+  }
+
+  return tenant;
+}
+
+/**
+ * Rate limiting
+ *
+ * Applies the sliding window limits of a route ("token" or "widget") per
+ * client IP and per tenant (see lib/rate-limiter.js). Sends a 429 with
+ * Retry-After and returns false when a limit is exceeded.
+ */
+async function enforceRateLimit(req, res, route, tenant, log) {
+  const limits = rateLimiter.getLimits(route, tenant);
+  const checks = [
+    { scope: 'ip', key: `${route}:ip:${req.ip}`, limit: limits.ip },
+    { scope: 'tenant', key: `${route}:tenant:${tenant.domainName}`, limit: limits.tenant }
+  ];
+
+  // Both limits are checked before either records the request
+  const results = await rateLimiter.consume(checks, limits.windowMs);
+  const rejected = checks.findIndex((check, index) => !results[index].allowed);
+  if (rejected !== -1) {
+    const check = checks[rejected];
+    const result = results[rejected];
+    log.warn('Rate limit exceeded', { scope: check.scope, ip: req.ip, tenant: tenant.domainName, route: route });
+    metrics.rateLimitRejections.inc({ route: route, scope: check.scope });
+    res.set('Retry-After', String(result.retryAfterSeconds));
+    sendError(req, res, 'RATE_LIMITED', {
+      fields: { scope: check.scope, retryAfter: result.retryAfterSeconds }
     });
+    return false;
+  }
 
-    if (!response.ok) {
-      // If widget endpoint doesn't exist (404), return error so widget can fallback
-      if (response.status === 404) {
-        console.log('[widget-message] Widget endpoint not found, widget will use fallback');
-        return res.status(404).json({
-          error: 'Widget endpoint not available',
-          fallback: true
-        });
-      }
-      
-      const errorText = await response.text();
-      console.error('[widget-message] API error:', response.status, errorText);
-      return res.status(response.status).json({
-        error: 'Failed to send message',
-        details: errorText
-      });
-    }
+  if (results[0].limit !== null) {
+    res.set('RateLimit-Limit', String(results[0].limit));
+    res.set('RateLimit-Remaining', String(results[0].remaining));
+  }
+  return true;
+}
 
-    const data = await response.json();
-    res.json(data);
+/**
+ * User identity
+ *
+ * Resolves the host app's authenticated user for the token request (see
+ * lib/user-identity.js). Invalid or missing identities fall back to the
+ * anonymous user.
+ */
+async function resolveTokenUser(req, tenant, log) {
+  try {
+    const identity = await resolveUser(req, tenant);
+    const username = identity && sanitizeUsername(identity.username);
+    if (identity && !username) {
+      throw new Error('Invalid username');
+    }
+    if (username) {
+      return { username: username, profile: identity.profile || null, authenticated: true };
+    }
   } catch (error) {
-    console.error('[widget-message] Proxy error:', error);
-    res.status(500).json({
-      error: 'Internal server error',
-      message: error.message
+    log.warn('User identity rejected, using anonymous', { error: error.message });
+  }
+  return { username: ANONYMOUS_USERNAME, profile: null, authenticated: false };
+}
+
+/**
+ * Upstream failures
+ *
+ * Answers circuit-open (503 UPSTREAM_UNAVAILABLE + Retry-After) and timeout
+ * (504 UPSTREAM_TIMEOUT) errors from the upstream client (see
+ * lib/upstream-client.js). Returns false for other errors so the caller can
+ * handle them.
+ */
+function sendUpstreamError(req, res, error, log) {
+  if (error.code === 'UPSTREAM_CIRCUIT_OPEN') {
+    log.warn('Circuit open, failing fast', { error: error.message });
+    res.set('Retry-After', String(error.retryAfterSeconds));
+    sendError(req, res, 'UPSTREAM_UNAVAILABLE', {
+      fields: { retryAfter: error.retryAfterSeconds },
+      diagnostics: { message: error.message }
     });
+    return true;
+  }
+  if (error.code === 'UPSTREAM_TIMEOUT') {
+    log.error('Upstream request timed out', { error: error.message });
+    sendError(req, res, 'UPSTREAM_TIMEOUT', { diagnostics: { message: error.message } });
+    return true;
   }
+  return false;
+}
+
+/**
+ * Widget API Proxy Endpoints
+ * 
+ * These endpoints proxy requests to the domain chatbot API server
+ * to avoid CORS issues when the widget is embedded on different domains.
+ * Routes (session, message, history, feedback, attachments) are declared
+ * in lib/upstream-proxy.js and can be extended with WIDGET_PROXY_ROUTES_FILE.
+ * 
+ * IMPORTANT: These routes must be defined BEFORE static middleware
+ * to ensure they are matched correctly.
+ */
+
+app.use('/api/widget', createUpstreamProxy({
+  routes: proxyRoutes,
+  upstreamClient: upstreamClient,
+  resolveTenant: resolveTenant,
+  enforceRateLimit: enforceRateLimit,
+  sendUpstreamError: sendUpstreamError,
+  sendError: sendError,
+  metrics: metrics
+}));
+
+// JSON bodies for the remaining routes. Mounted after the widget proxy,
+// which parses bodies itself with per-route size limits.
+const JSON_BODY_LIMIT = '100kb';
+app.use(express.json({ limit: JSON_BODY_LIMIT }));
+
+// Malformed or oversized bodies get a JSON error instead of Express's HTML
+// error page (which includes a stack trace)
+app.use((error, req, res, next) => {
+  if (error.type === 'entity.too.large') {
+    return sendError(req, res, 'PAYLOAD_TOO_LARGE', { fields: { limit: JSON_BODY_LIMIT } });
+  }
+  if (error.type === 'entity.parse.failed' || error.status === 400) {
+    return sendError(req, res, 'INVALID_REQUEST_BODY', { diagnostics: { message: error.message } });
+  }
+  return next(error);
 });
 
 // Static file serving (must be after API routes)
 app.use(express.static(path.join(__dirname, 'public')));
+// The former widget/ embed URLs serve the same SDK scripts
+app.get(['/widget/widget.js', '/widget/aventora-chat.js', '/widget/aventora-protocol.js'], (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', path.basename(req.path)));
+});
 // Serve widget files
 app.use('/widget', express.static(path.join(__dirname, 'widget')));
 
 /**
  * Token Generation Endpoint
  * 
- * This endpoint generates a temporary access token for anonymous chatbot access.
- * It uses the domain API key to authenticate with the Aventora Domain Chatbot API.
+ * This endpoint generates a temporary access token for chatbot access, either
+ * for the host app's authenticated user (when a user identity resolves) or
+ * for the anonymous user.
+ * The tenant is resolved from the request domain, and its own API key is used
+ * to authenticate with the Aventora Domain Chatbot API.
  * 
- * IMPORTANT: This endpoint should be protected in production (rate limiting, authentication, etc.)
+ * Each browser gets a signed visitor cookie, and the upstream token is cached
+ * per visitor until shortly before it expires, so page navigations and repeat
+ * visits reuse the same token and conversation (see lib/token-cache.js).
+ * 
+ * Requests that reach the upstream API are rate limited per IP and per
+ * tenant (RATE_LIMIT_TOKEN_* settings).
  * 
  * Request Body:
  * {
- *   "domain": "optional-domain-name",
- *   "language": "en" (optional, defaults to "en")
+ *   "domain": "optional-domain-name" (defaults to the request host),
+ *   "language": "en" (optional, defaults to the tenant's default language),
+ *   "user_token": "host-app-signed-jwt" (optional user identity hint),
+ *   "expires_in_hours": 8 (optional, clamped to TOKEN_MIN/MAX_LIFETIME_HOURS),
+ *   "bot": "support-bot" (optional metadata),
+ *   "page_url": "https://example.com/pricing" (optional metadata),
+ *   "campaign": ["spring-sale"] (optional metadata)
  * }
  * 
  * Response:
  * {
  *   "token": "uuid-token-string",
- *   "expires_at": "2024-01-01T00:00:00Z"
+ *   "expires_at": "2024-01-01T00:00:00Z",
+ *   "chatbot_base_url": "https://example.aventora.app",
+ *   "language": "en",
+ *   "domain": "example.com",
+ *   "authenticated": false,
+ *   "cached": false
  * }
  */
 app.post('/api/chatbot-token', async (req, res) => {
+  const log = req.log.child({ component: 'chatbot-token' });
+  let tenant = null;
   try {
-    const { domain, language = 'en' } = req.body;
+    tenant = await resolveTenant(req, res, log);
+    if (!tenant) return;
 
-    // Get configuration from environment variables
-    let domainApiKey = process.env.DOMAIN_CHATBOT_API_KEY;
-    const domainChatbotApiUrl = process.env.DOMAIN_CHATBOT_API_URL || 'https://api.aventora.ai';
+    const language = req.body.language || tenant.defaultLanguage;
+    const tokenOptions = resolveTokenOptions(req.body, tenant, tokenBounds);
+    const user = await resolveTokenUser(req, tenant, log);
+
+    const cacheKeyFor = visitorId => tokenCacheKey({
+      tenant: tenant.domainName,
+      visitorId: visitorId,
+      username: user.username,
+      language: language,
+      scope: tokenOptions.scope
+    });
+
+    // Reuse a returning visitor's token while it is still valid. Cache hits
+    // are not rate limited.
+    const returningVisitorId = visitorSessions.getVisitorId(req);
+    const cachedToken = returningVisitorId && tokenCache && tokenCache.get(cacheKeyFor(returningVisitorId));
+    if (cachedToken) {
+      visitorSessions.ensureVisitor(req, res);
+      metrics.trackVisitor(tenant.domainName, returningVisitorId);
+      log.info('Reusing cached token for visitor', { tenant: tenant.domainName, authenticated: user.authenticated, expiresAt: cachedToken.expires_at });
+      metrics.tokensIssued.inc({ tenant: tenant.domainName, cached: 'true' });
+      return res.json(Object.assign({}, cachedToken, { cached: true }));
+    }
+
+    if (!(await enforceRateLimit(req, res, 'token', tenant, log))) return;
+
+    // Rate limited requests get no visitor cookie and are not counted as visitors
+    const visitorId = visitorSessions.ensureVisitor(req, res);
+    metrics.trackVisitor(tenant.domainName, visitorId);
+    const cacheKey = cacheKeyFor(visitorId);
+
+    const domainChatbotApiUrl = tenant.apiUrl;
+
+    // API key is already trimmed by the registry (common issue)
+    const domainApiKey = tenant.chatbotApiKey;
 
     if (!domainApiKey) {
-      console.error('[chatbot-token] DOMAIN_CHATBOT_API_KEY not configured');
-      return res.status(500).json({
-        error: 'Chatbot service not configured. Please set DOMAIN_CHATBOT_API_KEY environment variable.',
-        hint: 'Get your API key from the Aventora Admin Panel'
+      log.error('No API key configured for tenant', { tenant: tenant.domainName });
+      metrics.tokenFailures.inc({ tenant: tenant.domainName, status: 'not_configured' });
+      return sendError(req, res, 'TOKEN_NOT_CONFIGURED', {
+        diagnostics: {
+          hint: 'Set DOMAIN_CHATBOT_API_KEY or add the tenant to the registry. Get your API key from the Aventora Admin Panel'
+        }
       });
     }
 
-    // Trim whitespace from API key (common issue)
-    domainApiKey = domainApiKey.trim();
-
     // Log API key prefix for debugging (first 8 chars + last 4 chars, e.g., "avk_xxxx...yyyy")
     const apiKeyPrefix = domainApiKey.length > 12 
       ? `${domainApiKey.substring(0, 8)}...${domainApiKey.substring(domainApiKey.length - 4)}`
       : '***';
-    console.log(`[chatbot-token] Using API key: ${apiKeyPrefix}`);
-    console.log(`[chatbot-token] API URL: ${domainChatbotApiUrl}`);
+    log.debug('Token request', { tenant: tenant.domainName, apiKeyPrefix: apiKeyPrefix, apiUrl: domainChatbotApiUrl });
 
     // Build token generation request
-    // The username "anonymous" will be converted to "{domain}_anonymous" by the API
+    // The username is scoped to the domain by the API ("anonymous" becomes "{domain}_anonymous")
     const tokenRequest = {
-      username: 'anonymous', // Will be converted to {domain}_anonymous
+      username: user.username,
       language: language,
-      expires_in_hours: 24, // Token valid for 24 hours
+      expires_in_hours: tokenOptions.expiresInHours,
     };
+    if (user.profile) {
+      tokenRequest.profile = user.profile;
+    }
+    if (tokenOptions.metadata) {
+      tokenRequest.metadata = tokenOptions.metadata;
+    }
 
     const apiEndpoint = `${domainChatbotApiUrl}/auth/api/v1/tokens/generate`;
-    console.log(`[chatbot-token] Requesting token from: ${apiEndpoint}`);
 
     // Generate token via Domain Chatbot API
     // The API endpoint is: /auth/api/v1/tokens/generate
-    const tokenResponse = await fetch(apiEndpoint, {
+    // Retrying is safe: a duplicate request only mints an unused token
+    const tokenResponse = await upstreamClient.request(apiEndpoint, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
         'Authorization': `Bearer ${domainApiKey}`,
       },
       body: JSON.stringify(tokenRequest),
+      idempotent: true,
+      requestId: req.id
     });
 
     if (!tokenResponse.ok) {
       const errorText = await tokenResponse.text();
-      console.error('[chatbot-token] Token generation failed:', tokenResponse.status, errorText);
-      console.error('[chatbot-token] API Key prefix used:', apiKeyPrefix);
-      console.error('[chatbot-token] API URL used:', domainChatbotApiUrl);
+      log.error('Token generation failed', {
+        tenant: tenant.domainName,
+        status: tokenResponse.status,
+        details: errorText,
+        apiKeyPrefix: apiKeyPrefix,
+        apiUrl: domainChatbotApiUrl
+      });
+      metrics.tokenFailures.inc({ tenant: tenant.domainName, status: tokenResponse.status });
       
       // Provide more specific error hints
+      const unauthorized = tokenResponse.status === 401 || tokenResponse.status === 403;
       let hint = 'Verify your DOMAIN_CHATBOT_API_KEY is correct and has token generation permissions';
-      if (tokenResponse.status === 401) {
+      if (unauthorized) {
         hint = 'API key is invalid, expired, or revoked. Check: 1) Key is correct (no extra spaces), 2) Key exists in production database, 3) Key is active (not revoked), 4) Key has not expired, 5) Using correct API URL for production';
       }
       
-      return res.status(tokenResponse.status).json({
-        error: 'Failed to generate chatbot token',
-        details: errorText,
-        hint: hint,
-        debug: {
+      return sendError(req, res, unauthorized ? 'TOKEN_UPSTREAM_UNAUTHORIZED' : 'TOKEN_UPSTREAM_ERROR', {
+        diagnostics: {
+          details: errorText,
+          hint: hint,
           apiUrl: domainChatbotApiUrl,
           apiKeyPrefix: apiKeyPrefix,
           statusCode: tokenResponse.status
@@ -229,17 +461,122 @@ app.post('/api/chatbot-token', async (req, res) => {
     }
 
     const tokenData = await tokenResponse.json();
-    
-    return res.json({
+    const result = {
       token: tokenData.token,
       expires_at: tokenData.expires_at,
-    });
+      chatbot_base_url: tenant.chatbotBaseUrl || null,
+      language: language,
+      domain: tenant.domainName,
+      authenticated: user.authenticated
+    };
+
+    if (tokenCache) {
+      tokenCache.set(cacheKey, result);
+    }
+    log.info('Token issued', { tenant: tenant.domainName, authenticated: user.authenticated, expiresAt: result.expires_at });
+    metrics.tokensIssued.inc({ tenant: tenant.domainName, cached: 'false' });
+    
+    return res.json(Object.assign({}, result, { cached: false }));
   } catch (error) {
-    console.error('[chatbot-token] Error generating token:', error);
-    return res.status(500).json({
-      error: 'Internal server error',
-      message: error.message
+    if (tenant) {
+      const status = { UPSTREAM_TIMEOUT: 'timeout', UPSTREAM_CIRCUIT_OPEN: 'circuit_open' }[error.code] || 'error';
+      metrics.tokenFailures.inc({ tenant: tenant.domainName, status: status });
+    }
+    if (sendUpstreamError(req, res, error, log)) return;
+    log.error('Error generating token', { error: error });
+    return sendError(req, res, 'INTERNAL_ERROR', { diagnostics: { message: error.message } });
+  }
+});
+
+/**
+ * Token Revocation Endpoint
+ * 
+ * Ends a visitor's chatbot session, e.g. when the host app's user logs out.
+ * Every token cached for the visitor (plus the token in the body, if any) is
+ * dropped locally, and the visitor cookie is cleared so the next token request
+ * starts a new conversation.
+ * 
+ * Revoking the tokens upstream (POST {apiUrl}/auth/api/v1/tokens/revoke) is
+ * best-effort: the Aventora API does not document that endpoint, and tokens
+ * it did not revoke stay valid until they expire. `revoked` is only true when
+ * the upstream revoked every token (or there was none).
+ * 
+ * Request Body:
+ * {
+ *   "domain": "optional-domain-name" (defaults to the request host),
+ *   "token": "uuid-token-string" (optional, the token held by the widget)
+ * }
+ * 
+ * Response:
+ * {
+ *   "revoked": true | false,
+ *   "tokens": 1,
+ *   "upstream": "revoked" | "unsupported" | "failed" | "skipped"
+ * }
+ */
+app.post('/api/chatbot-token/revoke', async (req, res) => {
+  const log = req.log.child({ component: 'chatbot-token-revoke' });
+  try {
+    const tenant = await resolveTenant(req, res, log);
+    if (!tenant) return;
+    if (!(await enforceRateLimit(req, res, 'token', tenant, log))) return;
+
+    const tokens = new Set();
+    if (typeof req.body.token === 'string' && req.body.token) {
+      tokens.add(req.body.token);
+    }
+
+    const visitorId = visitorSessions.getVisitorId(req);
+    if (visitorId && tokenCache) {
+      tokenCache.removeVisitor({ tenant: tenant.domainName, visitorId: visitorId })
+        .forEach(entry => tokens.add(entry.token));
+    }
+    visitorSessions.clearVisitor(req, res);
+
+    let upstream = 'skipped';
+    if (tokens.size > 0 && tenant.chatbotApiKey) {
+      const apiEndpoint = `${tenant.apiUrl}/auth/api/v1/tokens/revoke`;
+      const results = await Promise.all(Array.from(tokens).map(async token => {
+        try {
+          const response = await upstreamClient.request(apiEndpoint, {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+              'Authorization': `Bearer ${tenant.chatbotApiKey}`,
+            },
+            body: JSON.stringify({ token: token }),
+            idempotent: true,
+            requestId: req.id
+          });
+          if (response.status === 404) {
+            return 'unsupported';
+          }
+          if (!response.ok) {
+            log.error('Upstream revocation failed', { tenant: tenant.domainName, status: response.status, details: await response.text() });
+            return 'failed';
+          }
+          return 'revoked';
+        } catch (error) {
+          log.error('Upstream revocation error', { tenant: tenant.domainName, error: error.message });
+          return 'failed';
+        }
+      }));
+
+      // Report the worst outcome
+      upstream = ['failed', 'unsupported', 'revoked'].find(status => results.includes(status));
+    }
+
+    // "skipped" with tokens means the tenant has no API key to revoke them with
+    const revoked = tokens.size === 0 || upstream === 'revoked';
+    log.info('Visitor session ended', { tenant: tenant.domainName, tokens: tokens.size, upstream: upstream, revoked: revoked });
+    return res.json({
+      revoked: revoked,
+      tokens: tokens.size,
+      upstream: upstream
     });
+  } catch (error) {
+    log.error('Error revoking token', { error: error });
+    return sendError(req, res, 'INTERNAL_ERROR', { diagnostics: { message: error.message } });
   }
 });
 
@@ -253,38 +590,97 @@ app.get('/widget-demo', (req, res) => {
   res.sendFile(path.join(__dirname, 'widget', 'demo.html'));
 });
 
-// Configuration endpoint - exposes safe config values to client
-app.get('/api/config', (req, res) => {
-  const chatbotBaseUrl = process.env.CHATBOT_BASE_URL;
-  const domainChatbotApiUrl = process.env.DOMAIN_CHATBOT_API_URL || 'https://api.aventora.ai';
-  res.json({ 
-    chatbotBaseUrl: chatbotBaseUrl || null,
-    apiBaseUrl: domainChatbotApiUrl
+// Configuration endpoint - exposes safe config values for the requested tenant
+// (?tenant=example.com or ?domain=example.com, defaults to the request host)
+app.get('/api/config', async (req, res) => {
+  try {
+    const tenant = await resolveTenant(req, res, req.log.child({ component: 'config' }));
+    if (!tenant) return;
+
+    res.json({ 
+      chatbotBaseUrl: tenant.chatbotBaseUrl || null,
+      apiBaseUrl: tenant.apiUrl,
+      defaultLanguage: tenant.defaultLanguage
+    });
+  } catch (error) {
+    req.log.error('Error resolving tenant', { component: 'config', error: error });
+    sendError(req, res, 'INTERNAL_ERROR', { diagnostics: { message: error.message } });
+  }
+});
+
+// Prometheus metrics (see lib/metrics.js). Set METRICS_TOKEN to require
+// "Authorization: Bearer <token>", or METRICS_ENABLED=false to disable.
+if (config.values.METRICS_ENABLED) {
+  app.get('/metrics', (req, res) => {
+    const metricsToken = config.values.METRICS_TOKEN;
+    if (metricsToken && !tokensMatch(req.get('authorization') || '', `Bearer ${metricsToken}`)) {
+      return sendError(req, res, 'UNAUTHORIZED');
+    }
+    res.set('Content-Type', metrics.registry.contentType);
+    res.send(metrics.registry.render());
   });
+}
+
+// Liveness: the process is up and serving requests
+app.get('/health/live', (req, res) => {
+  res.json({
+    status: 'ok',
+    uptimeSeconds: Math.round(process.uptime())
+  });
+});
+
+// Readiness: validates each tenant's API key and checks that the chatbot app
+// and widget API are reachable (see lib/readiness.js). 503 when no tenant can
+// issue tokens.
+app.get('/health/ready', async (req, res) => {
+  try {
+    const report = await readinessChecker.check();
+    res.set('Cache-Control', 'no-store');
+    res.status(report.status === 'not_ready' ? 503 : 200).json(report);
+  } catch (error) {
+    req.log.error('Readiness check failed', { component: 'health', error: error });
+    sendError(req, res, 'INTERNAL_ERROR', {
+      status: 503,
+      fields: { status: 'not_ready', checkedAt: new Date().toISOString() },
+      diagnostics: { message: error.message }
+    });
+  }
 });
 
 // Health check endpoint
-app.get('/health', (req, res) => {
-  const hasApiKey = !!process.env.DOMAIN_CHATBOT_API_KEY;
+app.get('/health', async (req, res) => {
+  let tenants = [];
+  try {
+    tenants = await tenantRegistry.list();
+  } catch (error) {
+    req.log.error('Failed to list tenants', { component: 'health', error: error });
+  }
+  const upstream = upstreamClient.getState();
   res.json({ 
-    status: 'ok', 
+    // Degraded while a circuit breaker is failing fast
+    status: upstream.upstreams.some(breaker => breaker.state !== 'closed') ? 'degraded' : 'ok', 
     message: 'Aventora Chatbot Embedding Example Server',
     tokenEndpoint: '/api/chatbot-token',
-    configured: hasApiKey
+    configured: tenants.some(tenant => !!tenant.chatbotApiKey),
+    tenantRegistry: tenantRegistry.source,
+    tenants: tenants.length,
+    upstream: upstream
   });
 });
 
-app.listen(PORT, () => {
-  console.log(`🚀 Aventora Chatbot Embedding Example Server running on http://localhost:${PORT}`);
-  console.log(`📖 Open http://localhost:${PORT} in your browser to see the examples`);
-  console.log(`\n⚠️  IMPORTANT: Configure the following environment variables:`);
-  console.log(`   - DOMAIN_CHATBOT_API_KEY: Your domain API key (get from Aventora Admin Panel)`);
-  console.log(`   - DOMAIN_CHATBOT_API_URL: Domain chatbot API URL (default: https://api.aventora.ai)`);
-  console.log(`   - CHATBOT_BASE_URL: Your chatbot base URL (e.g., https://yourdomain.aventora.app)`);
-  if (!process.env.DOMAIN_CHATBOT_API_KEY) {
-    console.log(`\n❌ DOMAIN_CHATBOT_API_KEY not set - token generation will fail`);
-  }
-  if (!process.env.CHATBOT_BASE_URL) {
-    console.log(`\n⚠️  CHATBOT_BASE_URL not set - client will use default URL`);
-  }
+// Tenant entries are checked before accepting requests
+validateTenants(tenantRegistry).then(issues => {
+  reportConfigIssues(issues);
+  app.listen(PORT, () => {
+    logger.child({ component: 'server' }).info(`Aventora Chatbot Embedding Example Server running on http://localhost:${PORT}`, {
+      port: PORT,
+      tenantRegistry: tenantRegistry.source,
+      configFile: config.file,
+      strict: config.strict,
+      logLevel: logger.level
+    });
+  });
+}).catch(error => {
+  logger.child({ component: 'server' }).error('Server failed to start', { error: error });
+  process.exit(1);
 });
@@ -0,0 +1,136 @@
+/**
+ * bin/aventora-admin.js against the mock Aventora API: exit codes and
+ * --json output
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startMockApi } = require('../mock/mock-api');
+const { MOCK_API_KEY } = require('./helpers/server');
+
+const CLI = path.join(__dirname, '..', 'bin', 'aventora-admin.js');
+
+describe('aventora-admin', () => {
+  let mockApi;
+  let cwd;
+
+  before(async () => {
+    mockApi = await startMockApi({ apiKeys: [MOCK_API_KEY] });
+    // An empty working directory, so no .env or aventora.config.json applies
+    cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'aventora-cli-'));
+  });
+
+  after(async () => {
+    await mockApi.close();
+    fs.rmSync(cwd, { recursive: true, force: true });
+  });
+
+  beforeEach(() => mockApi.mock.reset());
+
+  // Runs the CLI in a child process. Asynchronously: the mock API answers
+  // from this process, so a synchronous spawn would never get a response.
+  function runCli(args, env = {}) {
+    const child = spawn(process.execPath, [CLI].concat(args), {
+      cwd: cwd,
+      env: Object.assign({
+        PATH: process.env.PATH,
+        DOMAIN_CHATBOT_API_URL: mockApi.url,
+        CHATBOT_BASE_URL: mockApi.url,
+        DOMAIN_CHATBOT_API_KEY: MOCK_API_KEY
+      }, env)
+    });
+    const stdout = [];
+    const stderr = [];
+    child.stdout.on('data', chunk => stdout.push(chunk));
+    child.stderr.on('data', chunk => stderr.push(chunk));
+    return new Promise((resolve, reject) => {
+      child.on('error', reject);
+      child.on('close', code => resolve({
+        code: code,
+        stdout: Buffer.concat(stdout).toString(),
+        stderr: Buffer.concat(stderr).toString()
+      }));
+    });
+  }
+
+  describe('verify', () => {
+    it('exits 0 for a valid key without printing it', async () => {
+      const { code, stdout } = await runCli(['verify', '--json']);
+      assert.equal(code, 0);
+
+      const result = JSON.parse(stdout);
+      assert.equal(result.ok, true);
+      assert.equal(result.status, 200);
+      assert.equal(result.token.issued, true);
+      assert.equal(result.key.masked, 'mock-key...cdef');
+      assert.equal(stdout.includes(MOCK_API_KEY), false);
+      assert.equal(mockApi.mock.state.requests.token, 1);
+    });
+
+    it('exits 1 when the API rejects the key', async () => {
+      const { code, stdout } = await runCli(['verify', '--json', '--key', 'rejected-key-0123456789abcdef']);
+      assert.equal(code, 1);
+
+      const result = JSON.parse(stdout);
+      assert.equal(result.ok, false);
+      assert.equal(result.status, 401);
+    });
+
+    it('exits 1 when the API cannot be reached', async () => {
+      mockApi.mock.setFailures([{ route: 'token', fail: 'timeout' }]);
+      const { code, stdout } = await runCli(['verify', '--json', '--timeout', '200']);
+      assert.equal(code, 1);
+      assert.equal(JSON.parse(stdout).status, null);
+    });
+
+    it('prints a readable report without --json', async () => {
+      const { code, stdout } = await runCli(['verify']);
+      assert.equal(code, 0);
+      assert.match(stdout, /API key is valid \(200/);
+    });
+  });
+
+  describe('usage errors', () => {
+    it('exits 2 on an unknown command', async () => {
+      const { code, stdout, stderr } = await runCli(['frobnicate']);
+      assert.equal(code, 2);
+      assert.equal(stdout, '');
+      assert.match(stderr, /Unknown command: frobnicate/);
+      assert.match(stderr, /Usage: aventora-admin <command>/);
+    });
+
+    it('exits 2 without an API key, with a JSON error under --json', async () => {
+      const { code, stdout } = await runCli(['verify', '--json'], { DOMAIN_CHATBOT_API_KEY: '' });
+      assert.equal(code, 2);
+      assert.deepEqual(JSON.parse(stdout), {
+        ok: false,
+        error: 'No API key configured for default; set DOMAIN_CHATBOT_API_KEY or pass --key'
+      });
+    });
+
+    it('exits 2 on an invalid option value', async () => {
+      const { code, stderr } = await runCli(['verify', '--timeout', 'soon']);
+      assert.equal(code, 2);
+      assert.match(stderr, /--timeout must be a positive number/);
+    });
+  });
+
+  describe('tenants', () => {
+    it('lists the registry without API keys', async () => {
+      fs.writeFileSync(path.join(cwd, 'tenants.json'), JSON.stringify([
+        { domain_name: 'shop.example.com', chatbot_api_key: MOCK_API_KEY, chatbot_base_url: mockApi.url, api_url: mockApi.url }
+      ]));
+      const { code, stdout } = await runCli(['tenants', 'list', '--json', '--registry', 'tenants.json']);
+      assert.equal(code, 0);
+
+      const result = JSON.parse(stdout);
+      assert.equal(result.tenantRegistry, `file:${path.join(cwd, 'tenants.json')}`);
+      assert.deepEqual(result.tenants.map(tenant => [tenant.domain, tenant.apiKey]), [['shop.example.com', 'mock-key...cdef']]);
+      assert.equal(stdout.includes(MOCK_API_KEY), false);
+    });
+  });
+});
@@ -0,0 +1,579 @@
+/**
+ * public/widget.js loader and the <aventora-chat> Web Component in jsdom
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { CHATBOT_URL, PAGE_URL, CHATBOT_COMMANDS, createPage, chatbotHello, ack, waitFor } = require('./helpers/dom');
+
+const LOADER_ATTRIBUTES = {
+  'data-tenant': 'shop.example.com',
+  'data-bot': 'support',
+  'data-theme': 'dark',
+  'data-position': 'bottom-left',
+  'data-language': 'de',
+  'data-token-refresh': 'off',
+  'data-token-lifetime-hours': '2',
+  'data-campaign': 'spring-sale',
+  'data-user-token': 'user-jwt',
+  'data-widget-url': '/aventora-chat.js'
+};
+
+// Legacy messages for an auto-sent message
+function legacySendMessages(text, file) {
+  const extra = file ? { file: file } : {};
+  return [
+    Object.assign({ type: 'send_message', text: text, autoSend: true }, extra),
+    Object.assign({ type: 'chatbot_message', message: text, autoSend: true }, extra)
+  ];
+}
+
+// Round-trips values created in the page's realm so deepEqual can compare them
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+describe('public/widget.js', () => {
+  let page;
+
+  afterEach(() => page.close());
+
+  function loadComponent() {
+    page.loadInjectedScript('aventora-protocol.js', 'public/aventora-protocol.js');
+    page.loadInjectedScript('aventora-chat.js', 'public/aventora-chat.js');
+    return page.document.querySelector('aventora-chat');
+  }
+
+  it('injects the protocol and the component script named by data-widget-url', async () => {
+    page = await createPage();
+    page.runScript('public/widget.js', LOADER_ATTRIBUTES);
+
+    const scripts = Array.from(page.document.querySelectorAll('script[src]'));
+    assert.deepEqual(scripts.map(script => script.getAttribute('src')), [
+      'https://shop.example.com/aventora-protocol.js',
+      '/aventora-chat.js'
+    ]);
+    // Executed in insertion order
+    assert.ok(scripts.every(script => script.async === false));
+  });
+
+  it('loads the protocol from data-protocol-url', async () => {
+    page = await createPage();
+    page.runScript('public/widget.js', Object.assign({ 'data-protocol-url': '/vendor/aventora-protocol.js' }, LOADER_ATTRIBUTES));
+
+    assert.equal(page.document.querySelector('script[src*="aventora-protocol.js"]').getAttribute('src'), '/vendor/aventora-protocol.js');
+  });
+
+  it('maps data attributes to <aventora-chat> attributes', async () => {
+    page = await createPage();
+    page.runScript('public/widget.js', Object.assign({ 'data-chatbot-url': CHATBOT_URL }, LOADER_ATTRIBUTES));
+    const element = loadComponent();
+
+    assert.equal(element.getAttribute('tenant'), 'shop.example.com');
+    assert.equal(element.getAttribute('bot'), 'support');
+    assert.equal(element.getAttribute('theme'), 'dark');
+    assert.equal(element.getAttribute('position'), 'bottom-left');
+    assert.equal(element.getAttribute('language'), 'de');
+    assert.equal(element.getAttribute('token-api-url'), '/api/chatbot-token');
+    assert.equal(element.getAttribute('token-refresh'), 'off');
+    assert.equal(element.getAttribute('token-lifetime-hours'), '2');
+    assert.equal(element.getAttribute('campaign'), 'spring-sale');
+    assert.equal(element.getAttribute('chatbot-url'), CHATBOT_URL);
+    assert.equal(element.config.userToken, 'user-jwt');
+  });
+
+  it('does not start without data-tenant', async () => {
+    page = await createPage();
+    page.runScript('public/widget.js', { 'data-widget-url': '/aventora-chat.js' });
+
+    assert.equal(page.window.Aventora, undefined);
+    assert.equal(page.document.querySelector('script[src]'), null);
+  });
+
+  it('replays API calls queued before the component loaded', async () => {
+    page = await createPage();
+    page.runScript('public/widget.js', LOADER_ATTRIBUTES);
+    const api = page.window.Aventora;
+
+    api.open();
+    const sent = api.sendMessage('Where is my order?', { autoSend: true });
+    assert.equal(api._queue.length, 2);
+    assert.equal(api.getState(), null);
+
+    const element = loadComponent();
+    assert.equal(api.getInstance(), element);
+    assert.equal(api._queue.length, 0);
+    assert.equal(element.isOpen, true);
+
+    const iframe = await waitFor(() => element.shadowRoot.querySelector('iframe'), { message: 'chatbot iframe' });
+    const messages = page.loadIframe(iframe);
+    page.messageFromChatbot({ type: 'chatbot_ready' });
+    assert.equal(api.getState(), 'chatbot-ready');
+    assert.deepEqual(messages.map(entry => entry.message), legacySendMessages('Where is my order?'));
+    assert.ok(messages.every(entry => entry.targetOrigin === CHATBOT_URL));
+    assert.deepEqual(plain(await sent), { acknowledged: false });
+  });
+
+  it('passes typed conversation events to on/once handlers', async () => {
+    page = await createPage();
+    page.runScript('public/widget.js', LOADER_ATTRIBUTES);
+    const api = page.window.Aventora;
+
+    // Registered before the component has loaded
+    const received = [];
+    const typing = [];
+    const onReceived = payload => received.push(plain(payload));
+    api.on('message:received', onReceived).once('typing', payload => typing.push(payload.active));
+
+    const element = loadComponent();
+    const iframe = await waitFor(() => element.shadowRoot.querySelector('iframe'), { message: 'chatbot iframe' });
+    page.loadIframe(iframe);
+    page.messageFromChatbot({ type: 'chatbot_ready' });
+
+    page.messageFromChatbot({ type: 'typing', is_typing: true });
+    page.messageFromChatbot({ type: 'typing', is_typing: false });
+    page.messageFromChatbot({ type: 'message_received', text: 'Hello!', message_id: 'm-1', timestamp: '2026-10-19T10:00:00.000Z' });
+    api.off('message:received', onReceived);
+    page.messageFromChatbot({ type: 'message_received', text: 'Again' });
+
+    assert.deepEqual(typing, [true]);
+    assert.deepEqual(received, [
+      { conversationId: null, timestamp: '2026-10-19T10:00:00.000Z', messageId: 'm-1', text: 'Hello!' }
+    ]);
+  });
+
+  it('sends token requests to data-token-api-url', async () => {
+    page = await createPage({ routes: { '/custom/token': { token: 'custom-token', expires_at: null } } });
+    page.runScript('public/widget.js', Object.assign({}, LOADER_ATTRIBUTES, { 'data-token-api-url': '/custom/token' }));
+    loadComponent();
+
+    await waitFor(() => page.fetchCalls.length > 0);
+    assert.equal(page.fetchCalls[0].path, '/custom/token');
+  });
+
+  it('revokes before the component loaded, rejecting with the server error code', async () => {
+    page = await createPage({
+      routes: { '/api/chatbot-token/revoke': { status: 429, body: { error: 'Too many requests', code: 'RATE_LIMITED', retryAfter: 30 } } }
+    });
+    page.runScript('public/widget.js', LOADER_ATTRIBUTES);
+
+    await assert.rejects(page.window.Aventora.reset(), { message: 'Too many requests', code: 'RATE_LIMITED' });
+    assert.deepEqual(page.fetchCalls.map(call => call.path), ['/api/chatbot-token/revoke']);
+  });
+});
+
+describe('<aventora-chat>', () => {
+  let page;
+
+  afterEach(() => page.close());
+
+  // Mounts the element before its iframe exists
+  async function create(attributes = 'tenant="shop.example.com"', routes) {
+    page = await createPage({ routes: routes });
+    page.runScript('public/aventora-protocol.js');
+    page.runScript('public/aventora-chat.js');
+    page.document.body.innerHTML = `<aventora-chat ${attributes}></aventora-chat>`;
+    return page.document.querySelector('aventora-chat');
+  }
+
+  // Mounts the element, loads its iframe and has a legacy chatbot report ready
+  async function mount(attributes, routes) {
+    const element = await create(attributes, routes);
+    const iframe = await waitFor(() => element.shadowRoot.querySelector('iframe'), { message: 'chatbot iframe' });
+    const messages = page.loadIframe(iframe);
+    page.messageFromChatbot({ type: 'chatbot_ready' });
+    return { element, iframe, messages };
+  }
+
+  // Records the readiness states the element moves through
+  function recordStates() {
+    const states = [];
+    page.window.addEventListener('aventora:state-change', event => states.push(event.detail.state));
+    return states;
+  }
+
+  it('requests a token with its attributes', async () => {
+    await mount('tenant="shop.example.com" bot="support" language="fr" campaign="spring-sale" token-lifetime-hours="4"');
+
+    const tokenCall = page.fetchCalls.find(call => call.path === '/api/chatbot-token');
+    assert.equal(tokenCall.credentials, 'include');
+    assert.deepEqual(tokenCall.body, {
+      domain: 'shop.example.com',
+      language: 'fr',
+      bot: 'support',
+      campaign: 'spring-sale',
+      expires_in_hours: 4,
+      page_url: PAGE_URL
+    });
+  });
+
+  it('loads the autoconnect URL of the tenant chatbot', async () => {
+    const { element, iframe } = await mount('tenant="shop.example.com" language="fr"');
+
+    assert.equal(iframe.getAttribute('src'), `${CHATBOT_URL}/autoconnect?token=token-1&lang=fr`);
+    assert.equal(element.chatbotOrigin, CHATBOT_URL);
+    // chatbot_base_url from the token response is used; /api/config is not needed
+    assert.equal(page.fetchCalls.some(call => call.path === '/api/config'), false);
+  });
+
+  it('prefers the chatbot-url attribute', async () => {
+    const { iframe } = await mount('tenant="shop.example.com" chatbot-url="https://bot.example.org"');
+    assert.equal(iframe.getAttribute('src'), 'https://bot.example.org/autoconnect?token=token-1&lang=en');
+  });
+
+  it('shows the server error when no token can be issued', async () => {
+    page = await createPage({ routes: { '/api/chatbot-token': { status: 404, body: { error: 'No chatbot integration configured for this domain', code: 'TENANT_NOT_FOUND' } } } });
+    page.runScript('public/aventora-protocol.js');
+    page.runScript('public/aventora-chat.js');
+    page.document.body.innerHTML = '<aventora-chat tenant="unknown.example.com"></aventora-chat>';
+    const element = page.document.querySelector('aventora-chat');
+
+    const error = await waitFor(() => element.shadowRoot.querySelector('.error-state'), { message: 'error state' });
+    assert.equal(error.textContent, 'Error: No chatbot integration configured for this domain');
+  });
+
+  it('posts the legacy send_message shapes before a handshake', async () => {
+    const { element, messages } = await mount();
+
+    const sent = page.nextEvent('aventora:message-sent');
+    element.sendMessage('Track parcel', { autoSend: true, file: 'ABC123' });
+
+    assert.deepEqual(messages.map(entry => entry.message), legacySendMessages('Track parcel', 'ABC123'));
+    assert.ok(messages.every(entry => entry.targetOrigin === CHATBOT_URL));
+    assert.deepEqual(plain(await sent), { text: 'Track parcel', options: { autoSend: true, file: 'ABC123' } });
+  });
+
+  it('setQuestion opens the chat and pre-fills the input', async () => {
+    const { element, messages } = await mount();
+
+    element.setQuestion('Opening hours?');
+    assert.equal(element.isOpen, true);
+
+    await waitFor(() => messages.length > 0, { message: 'set_question' });
+    assert.deepEqual(messages.map(entry => entry.message), [
+      { type: 'set_question', question: 'Opening hours?', autoSend: false }
+    ]);
+  });
+
+  it('setFile and focusInput post their commands', async () => {
+    const { element, messages } = await mount();
+
+    await element.setFile('ABC123', { autoSend: true });
+    await element.focusInput();
+    assert.deepEqual(messages.map(entry => entry.message), [
+      { type: 'set_file', file: 'ABC123', autoSend: true },
+      { type: 'focus_input' },
+      { type: 'click_input' }
+    ]);
+  });
+
+  it('opens on load with open-on-load and closes on Escape', async () => {
+    const element = await create('tenant="shop.example.com" open-on-load="true" primary="#ff0000"');
+    assert.equal(element.isOpen, true);
+    assert.match(element.shadowRoot.querySelector('style').textContent, /--widget-primary: #ff0000/);
+
+    page.document.dispatchEvent(new page.window.KeyboardEvent('keydown', { key: 'Escape' }));
+    assert.equal(element.isOpen, false);
+  });
+
+  it('ignores a primary color that is not a CSS color', async () => {
+    page = await createPage();
+    const warnings = [];
+    page.window.console.warn = (...args) => warnings.push(args.join(' '));
+    page.runScript('public/aventora-protocol.js');
+    page.runScript('public/aventora-chat.js');
+    page.document.body.innerHTML = '<aventora-chat tenant="shop.example.com" primary="red;}</style><img src=x onerror=alert(1)>"></aventora-chat>';
+    const element = page.document.querySelector('aventora-chat');
+    const styles = () => element.shadowRoot.querySelector('style').textContent;
+
+    assert.equal(element.shadowRoot.querySelector('img'), null);
+    assert.equal(element.shadowRoot.querySelectorAll('style').length, 1);
+    assert.match(styles(), /--widget-primary: #667eea;/);
+    assert.match(warnings[0], /Ignoring invalid primary color/);
+
+    element.setAttribute('primary', 'red; } :host { background: url(https://evil.example/leak)');
+    assert.equal(styles().includes('evil.example'), false);
+
+    element.setAttribute('primary', 'rgb(37, 99, 235)');
+    assert.match(styles(), /--widget-primary: rgb\(37, 99, 235\);/);
+  });
+
+  describe('readiness', () => {
+    it('queues commands until the chatbot reports ready', async () => {
+      const element = await create();
+      const states = recordStates();
+      assert.equal(element.getState(), 'loading-token');
+
+      const sent = element.sendMessage('Hello');
+      const iframe = await waitFor(() => element.shadowRoot.querySelector('iframe'));
+      const messages = page.loadIframe(iframe);
+
+      // The page in the iframe has loaded, the chatbot has not said it is ready
+      assert.equal(element.getState(), 'iframe-loaded');
+      assert.equal(element.commandQueue.size, 1);
+      assert.deepEqual(messages, []);
+
+      page.messageFromChatbot({ type: 'chatbot_ready' });
+      assert.equal(element.getState(), 'chatbot-ready');
+      assert.deepEqual(messages.map(entry => entry.message), [
+        { type: 'set_question', question: 'Hello', autoSend: false }
+      ]);
+      assert.deepEqual(plain(await sent), { acknowledged: false });
+      assert.deepEqual(states, ['loading-iframe', 'iframe-loaded', 'chatbot-ready']);
+    });
+
+    it('accepts a handshake that arrives before the load event', async () => {
+      const element = await create();
+      const iframe = await waitFor(() => element.shadowRoot.querySelector('iframe'));
+
+      page.attachIframe(iframe);
+      page.messageFromChatbot(chatbotHello());
+      page.loadIframe(iframe);
+      assert.equal(element.getState(), 'chatbot-ready');
+    });
+
+    it('returns to loading-iframe while a refreshed token reloads the iframe', async () => {
+      const { element } = await mount('tenant="shop.example.com" token-refresh="reload"');
+
+      await element.refreshToken();
+      assert.equal(element.getState(), 'loading-iframe');
+    });
+
+    it('rejects queued commands when no token can be issued', async () => {
+      const element = await create(undefined, { '/api/chatbot-token': { status: 500, body: { error: 'Upstream down' } } });
+      const change = page.nextEvent('aventora:state-change');
+
+      await assert.rejects(element.sendMessage('Hello'), { code: 'IFRAME_NOT_READY' });
+      assert.equal(element.commandQueue.size, 0);
+      assert.equal(element.getState(), 'error');
+
+      const detail = await change;
+      assert.equal(detail.state, 'error');
+      assert.equal(detail.previousState, 'loading-token');
+      assert.equal(detail.error.message, 'Upstream down');
+    });
+
+    it('reports load failures as error events', async () => {
+      const element = await create(undefined, { '/api/chatbot-token': { status: 500, body: { error: 'Upstream down' } } });
+      const detail = plain(await page.nextEvent('aventora:error'));
+
+      assert.equal(element.getState(), 'error');
+      assert.equal(detail.code, 'CHATBOT_UNAVAILABLE');
+      assert.equal(detail.message, 'Upstream down');
+      assert.equal(detail.source, 'host');
+    });
+  });
+
+  it('posts refreshed tokens to the chatbot', async () => {
+    const { element, messages } = await mount();
+
+    await element.refreshToken();
+    assert.deepEqual(messages.map(entry => entry.message), [
+      { type: 'token_refreshed', token: 'token-1', expires_at: element.tokenExpiresAt }
+    ]);
+  });
+
+  it('dispatches aventora:ready and aventora:message for chatbot_ready', async () => {
+    const element = await create();
+    page.loadIframe(await waitFor(() => element.shadowRoot.querySelector('iframe')));
+
+    const ready = page.nextEvent('aventora:ready');
+    const message = page.nextEvent('aventora:message');
+    page.messageFromChatbot({ type: 'chatbot_ready' });
+
+    assert.equal((await ready).instance, element);
+    assert.deepEqual(await message, { type: 'chatbot_ready' });
+  });
+
+  it('ignores messages from other origins', async () => {
+    await mount();
+
+    let received = false;
+    page.window.addEventListener('aventora:message', () => { received = true; });
+    page.messageFromChatbot({ type: 'chatbot_ready' }, 'https://evil.example');
+    assert.equal(received, false);
+  });
+
+  it('refuses to load a chatbot URL without an origin', async () => {
+    const element = await create('tenant="shop.example.com" chatbot-url="not a url"');
+    const change = page.nextEvent('aventora:state-change');
+
+    assert.equal((await change).state, 'error');
+    assert.equal(element.shadowRoot.querySelector('iframe'), null);
+    assert.equal(element.chatbotOrigin, null);
+    assert.ok(page.consoleErrors.some(error => error.includes('Invalid chatbot URL')));
+  });
+
+  it('shows an error without aventora-protocol.js', async () => {
+    page = await createPage();
+    page.runScript('public/aventora-chat.js');
+    page.document.body.innerHTML = '<aventora-chat tenant="shop.example.com"></aventora-chat>';
+    const element = page.document.querySelector('aventora-chat');
+
+    const error = await waitFor(() => element.shadowRoot.querySelector('.error-state'), { message: 'error state' });
+    assert.equal(error.textContent, 'Error: Failed to load chatbot');
+    assert.equal(element.shadowRoot.querySelector('iframe'), null);
+  });
+
+  it('reset revokes the token and starts over', async () => {
+    const { element } = await mount();
+
+    const reset = page.nextEvent('aventora:reset');
+    const result = await element.reset();
+
+    assert.deepEqual(result, { revoked: true, tokens: 1, upstream: 'revoked' });
+    assert.equal((await reset).reason, 'reset');
+    const revokeCall = page.fetchCalls.find(call => call.path === '/api/chatbot-token/revoke');
+    assert.deepEqual(revokeCall.body, { domain: 'shop.example.com', token: 'token-1' });
+    assert.equal(page.fetchCalls.filter(call => call.path === '/api/chatbot-token').length, 2);
+  });
+
+  it('discards a token refresh that completes after a reset', async () => {
+    let calls = 0;
+    let releaseRefresh;
+    const { element, messages } = await mount(undefined, {
+      '/api/chatbot-token': () => {
+        calls++;
+        const answer = { token: `token-${calls}`, expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString(), chatbot_base_url: CHATBOT_URL };
+        // The refresh (second request) waits until released
+        return calls === 2 ? new Promise(resolve => { releaseRefresh = () => resolve(answer); }) : answer;
+      }
+    });
+
+    const refreshed = element.refreshToken();
+    await waitFor(() => releaseRefresh, { message: 'token refresh request' });
+    const reset = element.reset();
+    await waitFor(() => calls === 3, { message: 'token request after reset' });
+    releaseRefresh();
+
+    assert.equal(await refreshed, null);
+    await reset;
+    assert.equal(element.token, 'token-3');
+    assert.equal(messages.some(entry => entry.message.type === 'token_refreshed'), false);
+    assert.match(element.shadowRoot.querySelector('iframe').src, /token=token-3/);
+  });
+
+  describe('protocol v1', () => {
+    // Mounts the element and completes the chatbot's handshake
+    async function handshake(capabilities) {
+      const mounted = await mount();
+      const ready = page.nextEvent('aventora:ready');
+      page.messageFromChatbot(chatbotHello(capabilities));
+      mounted.ready = await ready;
+      return mounted;
+    }
+
+    it('answers the hello with the negotiated version and host capabilities', async () => {
+      const { element, messages, ready } = await handshake();
+
+      assert.deepEqual(messages.map(entry => entry.message), [{
+        v: 1,
+        id: messages[0].message.id,
+        type: 'ack',
+        payload: {
+          ref: 'c-1',
+          ok: true,
+          result: {
+            version: 1,
+            capabilities: [
+              'hello', 'ack', 'conversation_started', 'message_sent', 'message_received', 'message_failed',
+              'typing', 'handoff_requested', 'conversation_ended', 'error'
+            ],
+            client: 'aventora-chat'
+          }
+        }
+      }]);
+      assert.equal(element.protocolVersion, 1);
+      assert.equal(ready.instance, element);
+      assert.equal(ready.protocolVersion, 1);
+      assert.deepEqual(plain(ready.capabilities), CHATBOT_COMMANDS);
+    });
+
+    it('posts one envelope per command', async () => {
+      const { element, messages } = await handshake();
+      messages.length = 0;
+
+      const sent = element.sendMessage('Track parcel', { autoSend: true, file: 'ABC123' });
+      const question = element.sendMessage('Opening hours?');
+      element.deliverToken('token-2');
+
+      assert.deepEqual(messages.map(entry => entry.message.type), ['send_message', 'set_question', 'token_refreshed']);
+      assert.ok(messages.every(entry => entry.message.v === 1 && typeof entry.message.id === 'string'));
+      assert.equal(new Set(messages.map(entry => entry.message.id)).size, 3);
+      assert.deepEqual(messages.map(entry => entry.message.payload), [
+        { text: 'Track parcel', file: 'ABC123' },
+        { text: 'Opening hours?', autoSend: false, file: null },
+        { token: 'token-2', expiresAt: element.tokenExpiresAt }
+      ]);
+
+      messages.slice().forEach(entry => page.messageFromChatbot(ack(entry.message)));
+      assert.deepEqual(plain(await sent), { acknowledged: true, result: null });
+      assert.deepEqual(plain(await question), { acknowledged: true, result: null });
+    });
+
+    it('resolves commands when the chatbot acknowledges them', async () => {
+      const { element, messages } = await handshake();
+      messages.length = 0;
+
+      const focused = element.channel.send('focus_input', {});
+      const refused = element.channel.send('set_question', { text: 'Hi' });
+      page.messageFromChatbot(ack(messages[0].message));
+      page.messageFromChatbot(ack(messages[1].message, { code: 'INPUT_LOCKED', message: 'Conversation is closed' }));
+
+      assert.deepEqual(plain(await focused), { acknowledged: true, result: null });
+      await assert.rejects(refused, { code: 'INPUT_LOCKED', message: 'Conversation is closed' });
+    });
+
+    it('rejects commands the chatbot did not list', async () => {
+      const { element, messages } = await handshake(['send_message']);
+      messages.length = 0;
+
+      await assert.rejects(element.channel.send('set_file', { file: 'ABC123' }), { code: 'UNSUPPORTED_COMMAND' });
+      assert.deepEqual(messages, []);
+    });
+
+    it('keeps the legacy messages when no version matches', async () => {
+      const { element, messages } = await mount();
+      const hello = chatbotHello();
+      hello.payload.versions = [2];
+      page.messageFromChatbot(hello);
+
+      assert.equal(messages[0].message.type, 'ack');
+      assert.equal(messages[0].message.payload.ok, false);
+      assert.equal(messages[0].message.payload.error.code, 'UNSUPPORTED_VERSION');
+      assert.equal(element.protocolVersion, null);
+
+      element.setQuestion('Hi', { autoSend: true });
+      await waitFor(() => messages.length > 1, { message: 'legacy send_message' });
+      assert.deepEqual(messages.slice(1).map(entry => entry.message), legacySendMessages('Hi'));
+    });
+
+    it('does not forward protocol messages as aventora:message', async () => {
+      const { messages } = await handshake();
+
+      const forwarded = [];
+      page.window.addEventListener('aventora:message', event => forwarded.push(plain(event.detail)));
+      page.messageFromChatbot(ack(messages[0].message));
+      page.messageFromChatbot({ v: 1, id: 'c-2', type: 'message_received', payload: { text: 'Hello!' } });
+
+      assert.deepEqual(forwarded, [{ v: 1, id: 'c-2', type: 'message_received', payload: { text: 'Hello!' } }]);
+    });
+
+    it('dispatches conversation events and ends the conversation on reset', async () => {
+      const { element } = await handshake();
+
+      const started = page.nextEvent('aventora:conversation:started');
+      const handoff = page.nextEvent('aventora:handoff:requested');
+      page.messageFromChatbot({ v: 1, id: 'c-2', type: 'conversation_started', payload: { conversationId: 's-1' } });
+      page.messageFromChatbot({ v: 1, id: 'c-3', type: 'handoff_requested', payload: { reason: 'visitor_request' } });
+      assert.equal((await started).conversationId, 's-1');
+      assert.equal((await handoff).conversationId, 's-1');
+
+      const ended = page.nextEvent('aventora:conversation:ended');
+      await element.reset();
+      const detail = plain(await ended);
+      assert.equal(detail.conversationId, 's-1');
+      assert.equal(detail.reason, 'reset');
+    });
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * lib/config.js: sources and their precedence, validation, strict mode and
+ * tenant checks
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, validateTenants } = require('../lib/config');
+const { startServer } = require('./helpers/server');
+
+const API_KEY = 'mock-key-0123456789abcdef';
+
+describe('config', () => {
+  let cwd;
+
+  before(() => {
+    cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'aventora-config-'));
+  });
+
+  after(() => fs.rmSync(cwd, { recursive: true, force: true }));
+
+  function writeConfigFile(name, content) {
+    fs.writeFileSync(path.join(cwd, name), typeof content === 'string' ? content : JSON.stringify(content));
+  }
+
+  // loadConfig() copies config file values into the env it is given
+  function load(env = {}) {
+    return loadConfig(Object.assign({ DOMAIN_CHATBOT_API_KEY: API_KEY, CHATBOT_BASE_URL: 'https://chat.example.com' }, env), { cwd: cwd });
+  }
+
+  function settings(issues) {
+    return issues.map(issue => issue.setting);
+  }
+
+  describe('sources', () => {
+    it('prefers the environment over the config file over the defaults', () => {
+      writeConfigFile('precedence.json', { PORT: 4000, LOG_LEVEL: 'debug', ALLOWED_ORIGINS: ['https://a.example', 'https://b.example'] });
+      const config = load({ CONFIG_FILE: 'precedence.json', PORT: '5000' });
+
+      assert.equal(config.values.PORT, 5000);
+      assert.equal(config.sources.PORT, 'env');
+      assert.equal(config.values.LOG_LEVEL, 'debug');
+      assert.equal(config.sources.LOG_LEVEL, 'file');
+      assert.equal(config.env.ALLOWED_ORIGINS, 'https://a.example,https://b.example');
+      assert.equal(config.values.ERROR_DETAILS, false);
+      assert.equal(config.sources.ERROR_DETAILS, 'default');
+      assert.equal(config.file, path.join(cwd, 'precedence.json'));
+    });
+
+    it('reads aventora.config.json from the working directory', () => {
+      writeConfigFile('aventora.config.json', { LOG_FORMAT: 'pretty' });
+      try {
+        assert.equal(load().values.LOG_FORMAT, 'pretty');
+      } finally {
+        fs.rmSync(path.join(cwd, 'aventora.config.json'));
+      }
+    });
+
+    it('reports unreadable and missing config files and unknown settings', () => {
+      writeConfigFile('broken.json', '{ "PORT": ');
+      writeConfigFile('typo.json', { PROT: 3000 });
+
+      assert.match(load({ CONFIG_FILE: 'broken.json' }).errors[0].message, /could not be read/);
+      assert.match(load({ CONFIG_FILE: 'missing.json' }).errors[0].message, /file not found/);
+      assert.deepEqual(load({ CONFIG_FILE: 'typo.json' }).warnings.map(issue => [issue.setting, issue.message]), [
+        ['PROT', `unknown setting in ${path.join(cwd, 'typo.json')} (typo?)`]
+      ]);
+    });
+  });
+
+  describe('validation', () => {
+    it('reports invalid values with the file they came from', () => {
+      writeConfigFile('invalid.json', { UPSTREAM_TIMEOUT_MS: 'soon' });
+      const config = load({ CONFIG_FILE: 'invalid.json', LOG_LEVEL: 'loud' });
+
+      assert.deepEqual(settings(config.errors), ['UPSTREAM_TIMEOUT_MS', 'LOG_LEVEL']);
+      assert.match(config.errors[0].message, /must be an integer .*\(from .*invalid\.json\)/);
+      assert.equal(config.values.LOG_LEVEL, 'info');
+    });
+
+    it('requires an API key in single-tenant mode', () => {
+      const config = loadConfig({}, { cwd: cwd });
+      assert.ok(settings(config.errors).includes('DOMAIN_CHATBOT_API_KEY'));
+    });
+
+    it('turns on strict mode with CONFIG_STRICT', () => {
+      assert.equal(load().strict, false);
+      assert.equal(load({ CONFIG_STRICT: 'true' }).strict, true);
+    });
+
+    it('warns that cross-site visitor cookies need VISITOR_COOKIE_SECURE', () => {
+      const warned = env => settings(load(env).warnings).includes('VISITOR_COOKIE_SECURE');
+
+      assert.equal(warned({ ALLOWED_ORIGINS: 'https://shop.example' }), true);
+      assert.equal(warned({ ALLOWED_ORIGINS: 'https://shop.example', VISITOR_COOKIE_SECURE: 'true' }), false);
+      assert.equal(warned({ ALLOWED_ORIGINS: 'https://shop.example', TRUST_PROXY: '1' }), false);
+      assert.equal(warned({}), false);
+    });
+  });
+
+  describe('validateTenants', () => {
+    function registry(tenants, source = 'file') {
+      return { source: source, list: async () => tenants };
+    }
+
+    it('checks the API key and URLs of active tenants', async () => {
+      const { errors, warnings } = await validateTenants(registry([
+        { domainName: 'ok.example', isActive: true, chatbotApiKey: API_KEY, chatbotBaseUrl: 'https://chat.example.com' },
+        { domainName: 'nokey.example', isActive: true, chatbotBaseUrl: 'https://chat.example.com' },
+        { domainName: 'badurl.example', isActive: true, chatbotApiKey: API_KEY, chatbotBaseUrl: 'ftp://chat', apiUrl: 'nope' },
+        { domainName: 'inactive.example', isActive: false }
+      ]));
+
+      assert.deepEqual(errors.map(issue => [issue.setting, issue.message]), [
+        ['tenants.nokey.example', 'chatbot_api_key is missing'],
+        ['tenants.badurl.example', 'chatbot_base_url must be an http(s) URL (got "ftp://chat")'],
+        ['tenants.badurl.example', 'api_url must be an http(s) URL (got "nope")']
+      ]);
+      assert.deepEqual(warnings, []);
+    });
+
+    it('reports an empty or failing registry', async () => {
+      assert.match((await validateTenants(registry([]))).errors[0].message, /has no tenants/);
+
+      const failing = { source: 'module', list: async () => { throw new Error('connection refused'); } };
+      assert.match((await validateTenants(failing)).errors[0].message, /could not be listed: connection refused/);
+    });
+  });
+
+  describe('strict mode in server.js', () => {
+    it('refuses to start on configuration errors', async () => {
+      await assert.rejects(
+        startServer({ env: { CONFIG_STRICT: 'true', UPSTREAM_TIMEOUT_MS: 'soon' } }),
+        /exited with code 1[\s\S]*UPSTREAM_TIMEOUT_MS: must be an integer/
+      );
+    });
+
+    it('starts with the same errors outside strict mode', async () => {
+      const server = await startServer({ env: { UPSTREAM_TIMEOUT_MS: 'soon' } });
+      try {
+        assert.equal((await server.request('/health/live')).status, 200);
+      } finally {
+        await server.close();
+      }
+    });
+  });
+});
@@ -0,0 +1,273 @@
+/**
+ * DOM test harness for the browser scripts
+ *
+ * Runs widget scripts in a jsdom page. jsdom does not fetch resources, so
+ * the harness stands in for the network:
+ *
+ * - fetch() is answered from `routes` (path -> JSON body, { status, body } or
+ *   a function of the request) and every call is recorded
+ * - scripts the widgets inject (<script src="...">) are run from the repo
+ *   with loadInjectedScript()
+ * - iframes never load; attachIframe() gives them the chatbot's window,
+ *   loadIframe() also fires their load event, and both record what
+ *   the widget posts to them
+ * - messageFromChatbot() plays the chatbot side; chatbotHello() and ack()
+ *   build its protocol envelopes
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+const PAGE_URL = 'https://shop.example.com/products/42';
+const CHATBOT_URL = 'https://chat.example.com';
+const CHATBOT_COMMANDS = ['set_question', 'send_message', 'set_file', 'focus_input', 'token_refreshed'];
+
+function defaultRoutes() {
+  return {
+    '/api/config': {
+      chatbotBaseUrl: CHATBOT_URL,
+      apiBaseUrl: 'https://api.example.com',
+      defaultLanguage: 'en'
+    },
+    '/api/chatbot-token': {
+      token: 'token-1',
+      expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+      chatbot_base_url: CHATBOT_URL,
+      language: 'en',
+      domain: 'shop.example.com',
+      authenticated: false,
+      cached: false
+    },
+    '/api/chatbot-token/revoke': { revoked: true, tokens: 1, upstream: 'revoked' }
+  };
+}
+
+/**
+ * Create a page, resolving once the document has loaded
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.routes] - fetch() answers merged over the defaults
+ * @returns {Promise<Object>} page helpers
+ */
+async function createPage({ routes = {} } = {}) {
+  const virtualConsole = new VirtualConsole();
+  const consoleErrors = [];
+  virtualConsole.on('error', (...args) => consoleErrors.push(args.join(' ')));
+  virtualConsole.on('jsdomError', error => consoleErrors.push(error.message));
+
+  const dom = new JSDOM('<!DOCTYPE html><html><head></head><body></body></html>', {
+    url: PAGE_URL,
+    runScripts: 'dangerously',
+    pretendToBeVisual: true,
+    virtualConsole: virtualConsole
+  });
+  const { window } = dom;
+  const answers = Object.assign(defaultRoutes(), routes);
+  const fetchCalls = [];
+  const posted = new Map();
+  let chatbotWindow = null;
+  const pendingFetches = new Set();
+
+  window.matchMedia = window.matchMedia || (() => ({ matches: false, addEventListener() {}, removeEventListener() {} }));
+
+  window.fetch = (input, init = {}) => {
+    const pending = answerFetch(input, init);
+    pendingFetches.add(pending);
+    pending.finally(() => pendingFetches.delete(pending)).catch(() => {});
+    return pending;
+  };
+
+  async function answerFetch(input, init) {
+    const url = new URL(String(input), window.location.href);
+    const call = {
+      url: url.href,
+      path: url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      method: init.method || 'GET',
+      credentials: init.credentials,
+      body: init.body ? JSON.parse(init.body) : undefined
+    };
+    fetchCalls.push(call);
+
+    let answer = answers[url.pathname];
+    if (typeof answer === 'function') {
+      answer = await answer(call);
+    }
+    if (answer === undefined) {
+      answer = { status: 404, body: { error: 'Not found' } };
+    } else if (answer.status === undefined || answer.body === undefined) {
+      answer = { status: 200, body: answer };
+    }
+    // Body reads resolve as microtasks, so close() can tell when page code is done
+    const text = JSON.stringify(answer.body);
+    return {
+      ok: answer.status >= 200 && answer.status < 300,
+      status: answer.status,
+      headers: new Headers({ 'Content-Type': 'application/json' }),
+      json: () => Promise.resolve(JSON.parse(text)),
+      text: () => Promise.resolve(text)
+    };
+  }
+
+  /**
+   * Run a repo script as if loaded by <script> with the given data attributes
+   */
+  function runScript(file, attributes = {}) {
+    return runSource(fs.readFileSync(path.join(ROOT, file), 'utf8'), attributes);
+  }
+
+  /**
+   * Run JavaScript source (e.g. a generated bundle) as an inline <script>
+   */
+  function runSource(source, attributes = {}) {
+    const script = window.document.createElement('script');
+    Object.entries(attributes).forEach(([name, value]) => script.setAttribute(name, value));
+    script.textContent = source;
+    window.document.body.appendChild(script);
+    return script;
+  }
+
+  /**
+   * Run the repo file for the <script src> tags the page injected and fire
+   * their load events (a page may inject the same script more than once)
+   */
+  function loadInjectedScript(srcPattern, file) {
+    const scripts = Array.from(window.document.querySelectorAll('script[src]'))
+      .filter(element => element.getAttribute('src').includes(srcPattern));
+    if (scripts.length === 0) {
+      throw new Error(`No injected script matching ${srcPattern}`);
+    }
+    runScript(file);
+    scripts.forEach(script => script.dispatchEvent(new window.Event('load')));
+    return scripts[0];
+  }
+
+  /**
+   * Give an iframe the chatbot's window (before its load event, as a
+   * browser does), recording messages posted to it from then on
+   */
+  function attachIframe(iframe) {
+    const messages = [];
+    posted.set(iframe, messages);
+    // jsdom gives iframes in shadow trees no window; the chatbot's window
+    // only needs to receive messages
+    chatbotWindow = {
+      postMessage: (message, targetOrigin) => {
+        messages.push({ message: JSON.parse(JSON.stringify(message)), targetOrigin: targetOrigin });
+      }
+    };
+    Object.defineProperty(iframe, 'contentWindow', { configurable: true, value: chatbotWindow });
+    return messages;
+  }
+
+  /**
+   * Fire an iframe's load event, attaching the chatbot's window first
+   */
+  function loadIframe(iframe) {
+    const messages = attachIframe(iframe);
+    iframe.dispatchEvent(new window.Event('load'));
+    return messages;
+  }
+
+  /**
+   * Messages posted to an iframe since loadIframe()
+   */
+  function postedTo(iframe) {
+    return posted.get(iframe) || [];
+  }
+
+  /**
+   * Deliver a message from the chatbot app to the page, sent by the
+   * iframe loaded last unless another source is given
+   */
+  function messageFromChatbot(data, origin = CHATBOT_URL, source = chatbotWindow) {
+    const event = new window.MessageEvent('message', { data: data, origin: origin });
+    // jsdom only accepts real windows as a MessageEvent source
+    Object.defineProperty(event, 'source', { value: source });
+    window.dispatchEvent(event);
+  }
+
+  /**
+   * Resolve with the detail of the next window event of a type
+   */
+  function nextEvent(type) {
+    return new Promise(resolve => {
+      window.addEventListener(type, event => resolve(event.detail), { once: true });
+    });
+  }
+
+  if (window.document.readyState === 'loading') {
+    await new Promise(resolve => window.document.addEventListener('DOMContentLoaded', resolve, { once: true }));
+  }
+
+  return {
+    window: window,
+    document: window.document,
+    fetchCalls: fetchCalls,
+    consoleErrors: consoleErrors,
+    runScript: runScript,
+    runSource: runSource,
+    loadInjectedScript: loadInjectedScript,
+    attachIframe: attachIframe,
+    loadIframe: loadIframe,
+    postedTo: postedTo,
+    messageFromChatbot: messageFromChatbot,
+    nextEvent: nextEvent,
+    close: async () => {
+      // Let page code waiting on fetch() finish before the window goes away;
+      // a macrotask turn drains the promise chains that follow a fetch
+      do {
+        await Promise.allSettled(Array.from(pendingFetches));
+        await new Promise(resolve => setTimeout(resolve, 0));
+      } while (pendingFetches.size > 0);
+      window.close();
+    }
+  };
+}
+
+/**
+ * The hello a protocol v1 chatbot opens with
+ */
+function chatbotHello(capabilities = CHATBOT_COMMANDS) {
+  return {
+    v: 1,
+    id: 'c-1',
+    type: 'hello',
+    payload: { versions: [1], capabilities: capabilities, app: { name: 'test-chatbot', version: '1.0.0' } }
+  };
+}
+
+/**
+ * The chatbot's ack for a command envelope; pass an error to reject it
+ */
+function ack(envelope, error) {
+  const payload = error ? { ref: envelope.id, ok: false, error: error } : { ref: envelope.id, ok: true };
+  return { v: 1, id: `c-ack-${envelope.id}`, type: 'ack', payload: payload };
+}
+
+/**
+ * Poll until `check` returns a truthy value
+ */
+async function waitFor(check, { timeoutMs = 2000, message = 'condition' } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const value = check();
+    if (value) {
+      return value;
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error(`Timed out waiting for ${message}`);
+}
+
+module.exports = {
+  PAGE_URL,
+  CHATBOT_URL,
+  CHATBOT_COMMANDS,
+  createPage,
+  chatbotHello,
+  ack,
+  waitFor
+};
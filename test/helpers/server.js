@@ -0,0 +1,129 @@
+/**
+ * Integration test harness
+ *
+ * Boots server.js in a child process against the mock Aventora API
+ * (mock/mock-api.js). The server runs in an empty temporary directory so a
+ * developer's .env or aventora.config.json never leaks into the tests.
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { startMockApi } = require('../../mock/mock-api');
+
+const ROOT = path.join(__dirname, '..', '..');
+const MOCK_API_KEY = 'mock-key-0123456789abcdef';
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitForServer(url, child, output, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) {
+      throw new Error(`server.js exited with code ${child.exitCode}:\n${output.join('')}`);
+    }
+    try {
+      const response = await fetch(`${url}/health/live`);
+      if (response.ok) {
+        return;
+      }
+    } catch (error) {
+      // Not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`server.js did not start within ${timeoutMs} ms:\n${output.join('')}`);
+}
+
+/**
+ * Start the mock API and server.js pointed at it
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.env] - Extra server environment; a null value unsets a default
+ * @param {Object} [options.files] - Files written to the server's working directory
+ *   (name -> content, or a function of the mock API URL returning it)
+ * @param {Object} [options.mock] - Options for startMockApi
+ * @returns {Promise<Object>} { url, mock, mockUrl, request(path, options), close() }
+ */
+async function startServer({ env = {}, files = {}, mock: mockOptions = {} } = {}) {
+  const mockApi = await startMockApi(mockOptions);
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'aventora-test-'));
+  Object.entries(files).forEach(([name, content]) => {
+    if (typeof content === 'function') {
+      content = content(mockApi.url);
+    }
+    fs.writeFileSync(path.join(cwd, name), typeof content === 'string' ? content : JSON.stringify(content));
+  });
+
+  const port = await getFreePort();
+  const serverEnv = Object.assign({
+    PATH: process.env.PATH,
+    PORT: String(port),
+    LOG_LEVEL: 'warn',
+    DOMAIN_CHATBOT_API_URL: mockApi.url,
+    CHATBOT_BASE_URL: mockApi.url,
+    DOMAIN_CHATBOT_API_KEY: MOCK_API_KEY,
+    // Fail fast instead of retrying against the mock
+    UPSTREAM_RETRIES: '0'
+  }, env);
+  Object.keys(serverEnv).forEach(key => {
+    if (serverEnv[key] === null) {
+      delete serverEnv[key];
+    }
+  });
+
+  const output = [];
+  const child = spawn(process.execPath, [path.join(ROOT, 'server.js')], { cwd: cwd, env: serverEnv });
+  child.stdout.on('data', chunk => output.push(chunk.toString()));
+  child.stderr.on('data', chunk => output.push(chunk.toString()));
+
+  const url = `http://127.0.0.1:${port}`;
+
+  async function close() {
+    if (child.exitCode === null) {
+      const exited = new Promise(resolve => child.once('exit', resolve));
+      child.kill();
+      await exited;
+    }
+    await mockApi.close();
+    fs.rmSync(cwd, { recursive: true, force: true });
+  }
+
+  try {
+    await waitForServer(url, child, output);
+  } catch (error) {
+    await close();
+    throw error;
+  }
+
+  return {
+    url: url,
+    mock: mockApi.mock,
+    mockUrl: mockApi.url,
+    output: output,
+    // fetch() against the server; `json` is sent as a JSON body
+    request: (requestPath, { json, headers, ...options } = {}) => fetch(`${url}${requestPath}`, Object.assign({
+      method: json !== undefined ? 'POST' : 'GET',
+      headers: Object.assign(json !== undefined ? { 'Content-Type': 'application/json' } : {}, headers),
+      body: json !== undefined ? JSON.stringify(json) : undefined
+    }, options)),
+    close: close
+  };
+}
+
+module.exports = {
+  MOCK_API_KEY,
+  startServer
+};
@@ -0,0 +1,64 @@
+/**
+ * lib/origin-policy.js: allowlist patterns, in particular `*.` subdomain
+ * wildcards
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseOriginList, matchOrigin, isOriginAllowed, getTenantOrigins } = require('../lib/origin-policy');
+
+describe('origin-policy', () => {
+  describe('*.example.com', () => {
+    const patterns = ['*.example.com'];
+
+    it('matches subdomains on any scheme and port', () => {
+      assert.equal(isOriginAllowed('https://shop.example.com', patterns), true);
+      assert.equal(isOriginAllowed('https://eu.shop.example.com', patterns), true);
+      assert.equal(isOriginAllowed('http://shop.example.com:8080', patterns), true);
+    });
+
+    it('does not match the bare apex', () => {
+      assert.equal(isOriginAllowed('https://example.com', patterns), false);
+    });
+
+    it('rejects hosts that only end with the same characters', () => {
+      assert.equal(isOriginAllowed('https://evil-example.com', patterns), false);
+      assert.equal(isOriginAllowed('https://example.com.evil.net', patterns), false);
+      assert.equal(isOriginAllowed('https://shop.example.com.evil.net', patterns), false);
+    });
+
+    it('rejects a wrong scheme or a port when the pattern has a scheme', () => {
+      assert.equal(matchOrigin('https://shop.example.com', 'https://*.example.com'), true);
+      assert.equal(matchOrigin('http://shop.example.com', 'https://*.example.com'), false);
+      assert.equal(matchOrigin('https://shop.example.com:8443', 'https://*.example.com'), false);
+      assert.equal(matchOrigin('https://evil-example.com', 'https://*.example.com'), false);
+    });
+  });
+
+  it('matches exact origins including the port', () => {
+    assert.equal(matchOrigin('https://app.example.com', 'https://app.example.com'), true);
+    assert.equal(matchOrigin('https://app.example.com:8443', 'https://app.example.com'), false);
+    assert.equal(matchOrigin('https://app.example.com:8443', 'https://app.example.com:8443'), true);
+  });
+
+  it('rejects origins that are not URLs', () => {
+    assert.equal(isOriginAllowed('null', ['*.example.com', 'example.com']), false);
+  });
+
+  it('parses comma and whitespace separated lists', () => {
+    assert.deepEqual(parseOriginList('https://A.example.com/, *.example.com  example.org'), [
+      'https://a.example.com',
+      '*.example.com',
+      'example.org'
+    ]);
+    assert.equal(parseOriginList(''), null);
+  });
+
+  it('defaults a tenant to its domain and subdomains', () => {
+    const origins = getTenantOrigins({ domainName: 'example.com' });
+    assert.deepEqual(origins, ['example.com', '*.example.com']);
+    assert.equal(isOriginAllowed('https://example.com', origins), true);
+    assert.equal(isOriginAllowed('https://shop.example.com', origins), true);
+    assert.equal(isOriginAllowed('https://evil-example.com', origins), false);
+  });
+});
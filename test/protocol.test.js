@@ -0,0 +1,266 @@
+/**
+ * public/aventora-protocol.js: envelopes, legacy mapping, channels, the command
+ * queue, readiness and conversation events
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const AventoraProtocol = require('../public/aventora-protocol');
+
+const CHATBOT_ORIGIN = 'https://chat.example.com';
+
+// A window the channel listens on and an iframe window it posts to
+function createFakeWindows() {
+  const listeners = [];
+  const posted = [];
+  const iframeWindow = {
+    postMessage: (message, targetOrigin) => posted.push({ message: message, targetOrigin: targetOrigin })
+  };
+  const hostWindow = {
+    addEventListener: (type, listener) => listeners.push(listener),
+    removeEventListener: (type, listener) => listeners.splice(listeners.indexOf(listener), 1)
+  };
+  return {
+    hostWindow: hostWindow,
+    iframeWindow: iframeWindow,
+    posted: posted,
+    listeners: listeners,
+    receive: (data, { origin = CHATBOT_ORIGIN, source = iframeWindow } = {}) => {
+      listeners.slice().forEach(listener => listener({ data: data, origin: origin, source: source }));
+    }
+  };
+}
+
+function openChannel(windows, options = {}) {
+  return AventoraProtocol.createChannel(Object.assign({
+    client: 'test-host',
+    origin: CHATBOT_ORIGIN,
+    getTarget: () => windows.iframeWindow,
+    window: windows.hostWindow
+  }, options));
+}
+
+function hello(versions = [1], capabilities = AventoraProtocol.COMMANDS) {
+  return { v: 1, id: 'c-1', type: 'hello', payload: { versions: versions, capabilities: capabilities } };
+}
+
+describe('aventora-protocol', () => {
+  it('recognizes envelopes', () => {
+    assert.equal(AventoraProtocol.isEnvelope({ v: 1, id: 'h1-1', type: 'focus_input', payload: {} }), true);
+    assert.equal(AventoraProtocol.isEnvelope({ type: 'chatbot_ready' }), false);
+    assert.equal(AventoraProtocol.isEnvelope(null), false);
+  });
+
+  it('negotiates the highest common version', () => {
+    assert.equal(AventoraProtocol.negotiateVersion([1, 2]), 1);
+    assert.equal(AventoraProtocol.negotiateVersion([2]), null);
+    assert.equal(AventoraProtocol.negotiateVersion(undefined), null);
+  });
+
+  it('maps commands to the legacy message shapes', () => {
+    assert.deepEqual(AventoraProtocol.toLegacyMessages('set_question', { text: 'Hi', autoSend: false }), [
+      { type: 'set_question', question: 'Hi', autoSend: false }
+    ]);
+    assert.deepEqual(AventoraProtocol.toLegacyMessages('send_message', { text: 'Hi', file: 'ABC123' }), [
+      { type: 'send_message', text: 'Hi', autoSend: true, file: 'ABC123' },
+      { type: 'chatbot_message', message: 'Hi', autoSend: true, file: 'ABC123' }
+    ]);
+    assert.deepEqual(AventoraProtocol.toLegacyMessages('focus_input', {}), [{ type: 'focus_input' }, { type: 'click_input' }]);
+    assert.deepEqual(AventoraProtocol.toLegacyMessages('token_refreshed', { token: 't', expiresAt: 'x' }), [
+      { type: 'token_refreshed', token: 't', expires_at: 'x' }
+    ]);
+  });
+
+  describe('createChannel', () => {
+    it('reports legacy readiness and forwards legacy messages', () => {
+      const windows = createFakeWindows();
+      const ready = [];
+      const received = [];
+      openChannel(windows, { onReady: info => ready.push(info), onMessage: data => received.push(data) });
+
+      windows.receive({ type: 'chatbot_ready' });
+      assert.deepEqual(ready, [{ version: null, capabilities: [], chatbot: null, legacy: true }]);
+      assert.deepEqual(received, [{ type: 'chatbot_ready' }]);
+    });
+
+    it('ignores messages from other origins and other iframes', () => {
+      const windows = createFakeWindows();
+      const received = [];
+      openChannel(windows, { onMessage: data => received.push(data) });
+
+      windows.receive({ type: 'message_sent' }, { origin: 'https://evil.example' });
+      windows.receive({ type: 'message_sent' }, { source: {} });
+      assert.deepEqual(received, []);
+    });
+
+    it('needs the chatbot origin', () => {
+      const windows = createFakeWindows();
+      assert.throws(() => openChannel(windows, { origin: undefined }), /needs the chatbot origin/);
+      assert.throws(() => openChannel(windows, { origin: '*' }), /needs the chatbot origin/);
+    });
+
+    it('ignores messages without the iframe as their source', () => {
+      const windows = createFakeWindows();
+      const received = [];
+      openChannel(windows, { onMessage: data => received.push(data), getTarget: () => null });
+
+      windows.receive({ type: 'message_sent' });
+      windows.receive({ type: 'message_sent' }, { source: null });
+      assert.deepEqual(received, []);
+    });
+
+    it('rejects commands without an acknowledgement in time', async () => {
+      const windows = createFakeWindows();
+      const channel = openChannel(windows, { ackTimeoutMs: 20 });
+      windows.receive(hello());
+
+      await assert.rejects(channel.send('focus_input', {}), { code: 'ACK_TIMEOUT' });
+    });
+
+    it('rejects commands while there is no iframe', async () => {
+      const windows = createFakeWindows();
+      const channel = openChannel(windows, { getTarget: () => null });
+
+      await assert.rejects(channel.send('focus_input', {}), { code: 'IFRAME_NOT_READY' });
+    });
+
+    it('fails pending commands and forgets the handshake on reset', async () => {
+      const windows = createFakeWindows();
+      const channel = openChannel(windows);
+      windows.receive(hello());
+
+      const pending = channel.send('focus_input', {});
+      channel.reset();
+      await assert.rejects(pending, { code: 'CHANNEL_RESET' });
+      assert.equal(channel.version, null);
+    });
+
+    it('stops listening when destroyed', () => {
+      const windows = createFakeWindows();
+      const channel = openChannel(windows);
+
+      channel.destroy();
+      assert.equal(windows.listeners.length, 0);
+    });
+  });
+
+  describe('createCommandQueue', () => {
+    it('settles queued commands with the channel result when flushed', async () => {
+      const windows = createFakeWindows();
+      const channel = openChannel(windows);
+      const queue = AventoraProtocol.createCommandQueue();
+
+      const queued = queue.enqueue('focus_input', {});
+      assert.equal(queue.size, 1);
+
+      queue.flush(channel);
+      assert.equal(queue.size, 0);
+      assert.deepEqual(await queued, { acknowledged: false });
+      assert.deepEqual(windows.posted.map(entry => entry.message.type), ['focus_input', 'click_input']);
+    });
+
+    it('rejects commands that wait longer than the timeout', async () => {
+      const queue = AventoraProtocol.createCommandQueue({ timeoutMs: 20 });
+
+      await assert.rejects(queue.enqueue('focus_input', {}), { code: 'IFRAME_NOT_READY' });
+      assert.equal(queue.size, 0);
+    });
+
+    it('rejects every queued command at once', async () => {
+      const queue = AventoraProtocol.createCommandQueue();
+      const first = queue.enqueue('focus_input', {});
+      const second = queue.enqueue('set_question', { text: 'Hi' });
+
+      queue.rejectAll('CHANNEL_RESET', 'Chatbot iframe was removed');
+      await assert.rejects(first, { code: 'CHANNEL_RESET' });
+      await assert.rejects(second, { code: 'CHANNEL_RESET' });
+    });
+  });
+
+  describe('conversation events', () => {
+    it('normalizes envelopes and legacy messages alike', () => {
+      const timestamp = '2026-10-19T10:00:00.000Z';
+      const fromEnvelope = AventoraProtocol.toConversationEvent({
+        v: 1, id: 'c-4', type: 'message_received',
+        payload: { text: 'Hi!', messageId: 'm-1', conversationId: 's-1', timestamp: timestamp }
+      });
+      const fromLegacy = AventoraProtocol.toConversationEvent({
+        type: 'message_received', text: 'Hi!', message_id: 'm-1', conversation_id: 's-1', timestamp: timestamp
+      });
+
+      assert.deepEqual(fromEnvelope, {
+        name: 'message:received',
+        payload: { conversationId: 's-1', timestamp: timestamp, messageId: 'm-1', text: 'Hi!' }
+      });
+      assert.deepEqual(fromLegacy, fromEnvelope);
+    });
+
+    it('maps failures and chatbot errors to error events', () => {
+      const failed = AventoraProtocol.toConversationEvent({ type: 'message_failed', text: 'Hi', error: 'Session expired' });
+      assert.equal(failed.name, 'error');
+      assert.equal(failed.payload.code, 'MESSAGE_FAILED');
+      assert.equal(failed.payload.message, 'Session expired');
+      assert.equal(failed.payload.source, 'chatbot');
+      assert.equal(failed.payload.text, 'Hi');
+
+      const typing = AventoraProtocol.toConversationEvent({ type: 'typing', is_typing: false });
+      assert.equal(typing.payload.active, false);
+      assert.equal(AventoraProtocol.toConversationEvent({ type: 'chatbot_ready' }), null);
+    });
+
+    it('fills in the conversation id and ends the conversation on reset', () => {
+      const events = [];
+      const conversation = AventoraProtocol.createConversationEvents({ onEvent: (name, payload) => events.push([name, payload]) });
+
+      conversation.handle({ type: 'conversation_started', conversation_id: 's-1' });
+      conversation.handle({ type: 'handoff_requested', reason: 'visitor_request' });
+      conversation.end('reset');
+      conversation.end('reset');
+
+      assert.deepEqual(events.map(([name, payload]) => [name, payload.conversationId]), [
+        ['conversation:started', 's-1'],
+        ['handoff:requested', 's-1'],
+        ['conversation:ended', 's-1']
+      ]);
+      assert.equal(events[2][1].reason, 'reset');
+      assert.equal(conversation.conversationId, null);
+    });
+  });
+
+  describe('createReadiness', () => {
+    it('reports each state change once', () => {
+      const changes = [];
+      const readiness = AventoraProtocol.createReadiness({ onChange: change => changes.push(change) });
+      assert.equal(readiness.state, 'loading-token');
+
+      readiness.transition('loading-iframe');
+      readiness.transition('iframe-loaded');
+      readiness.transition('chatbot-ready');
+      assert.equal(readiness.ready, true);
+      assert.deepEqual(changes.map(change => [change.previousState, change.state]), [
+        ['loading-token', 'loading-iframe'],
+        ['loading-iframe', 'iframe-loaded'],
+        ['iframe-loaded', 'chatbot-ready']
+      ]);
+    });
+
+    it('stays ready when the load event follows the handshake', () => {
+      const readiness = AventoraProtocol.createReadiness();
+      readiness.transition('loading-iframe');
+      readiness.transition('chatbot-ready');
+
+      assert.equal(readiness.transition('iframe-loaded'), false);
+      assert.equal(readiness.state, 'chatbot-ready');
+    });
+
+    it('passes the cause of an error along', () => {
+      const changes = [];
+      const readiness = AventoraProtocol.createReadiness({ onChange: change => changes.push(change) });
+      const error = new Error('Upstream down');
+
+      readiness.transition('error', error);
+      assert.equal(changes[0].error, error);
+      assert.throws(() => readiness.transition('loaded'), /Unknown readiness state/);
+    });
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * lib/rate-limiter.js: sliding window limits and the memory store
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore, createRateLimiter } = require('../lib/rate-limiter');
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('rate-limiter', () => {
+  it('allows `limit` requests per window', async () => {
+    const limiter = createRateLimiter();
+    const checks = [{ key: 'token:ip:1', limit: 2 }];
+
+    const [first] = await limiter.consume(checks, 60000);
+    const [second] = await limiter.consume(checks, 60000);
+    const [third] = await limiter.consume(checks, 60000);
+
+    assert.deepEqual([first.allowed, first.remaining], [true, 1]);
+    assert.deepEqual([second.allowed, second.remaining], [true, 0]);
+    assert.equal(third.allowed, false);
+    assert.equal(third.retryAfterSeconds, 60);
+  });
+
+  it('does not record rejected requests, so retrying does not extend the block', async () => {
+    const limiter = createRateLimiter();
+    const checks = [{ key: 'token:ip:1', limit: 1 }];
+
+    assert.equal((await limiter.consume(checks, 150))[0].allowed, true);
+    for (let i = 0; i < 5; i++) {
+      assert.equal((await limiter.consume(checks, 150))[0].allowed, false);
+      await delay(20);
+    }
+    await delay(100);
+    assert.equal((await limiter.consume(checks, 150))[0].allowed, true);
+  });
+
+  it('records nothing when one of several limits rejects the request', async () => {
+    const store = createMemoryStore();
+    const limiter = createRateLimiter({ store: store });
+    const tenantFull = [{ key: 'ip', limit: 5 }, { key: 'tenant', limit: 1 }];
+
+    await limiter.consume(tenantFull, 60000);
+    const results = await limiter.consume(tenantFull, 60000);
+
+    assert.deepEqual(results.map(result => result.allowed), [true, false]);
+    assert.equal((await store.count('ip', 60000)).count, 1);
+    assert.equal((await store.count('tenant', 60000)).count, 1);
+  });
+
+  it('treats a limit of 0 and a disabled limiter as unlimited', async () => {
+    const [unlimited] = await createRateLimiter().consume([{ key: 'a', limit: 0 }], 60000);
+    assert.deepEqual(unlimited, { allowed: true, limit: null, remaining: null, retryAfterSeconds: 0 });
+
+    const disabled = createRateLimiter({ enabled: false });
+    for (let i = 0; i < 3; i++) {
+      assert.equal((await disabled.consume([{ key: 'a', limit: 1 }], 60000))[0].allowed, true);
+    }
+  });
+
+  it('applies per-tenant overrides', () => {
+    const limiter = createRateLimiter();
+    const limits = limiter.getLimits('token', { rateLimits: { token: { ip: 20 } } });
+    assert.deepEqual(limits, { windowMs: 60000, ip: 20, tenant: 600 });
+  });
+});
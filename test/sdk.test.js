@@ -0,0 +1,155 @@
+/**
+ * sdk/: the ESM and UMD builds and createChatWidget(), in Node and jsdom
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { esm, umd } = require('../sdk/build');
+const { CHATBOT_URL, PAGE_URL, createPage, chatbotHello, ack, waitFor } = require('./helpers/dom');
+
+// Round-trips values created in the page's realm so deepEqual can compare them
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+describe('sdk', () => {
+  describe('builds', () => {
+    it('imports the ES module without a DOM or global side effects', async () => {
+      const globals = Object.getOwnPropertyNames(globalThis);
+      const sdk = await import('data:text/javascript,' + encodeURIComponent(esm()));
+
+      assert.equal(typeof sdk.createChatWidget, 'function');
+      assert.equal(sdk.default.createChatWidget, sdk.createChatWidget);
+      assert.ok(sdk.EVENTS.includes('message:received'));
+      assert.deepEqual(Object.getOwnPropertyNames(globalThis), globals);
+      assert.throws(() => sdk.createChatWidget({ tenant: 'shop.example.com' }), /needs a browser/);
+    });
+
+    it('exposes only window.AventoraChatWidget from a UMD script tag', async () => {
+      const page = await createPage();
+      const globals = Object.getOwnPropertyNames(page.window);
+      page.runSource(umd());
+
+      assert.deepEqual(Object.getOwnPropertyNames(page.window).filter(name => !globals.includes(name)), ['AventoraChatWidget']);
+      assert.equal(typeof page.window.AventoraChatWidget.createChatWidget, 'function');
+      assert.equal(page.window.customElements.get('aventora-chat'), undefined);
+      await page.close();
+    });
+  });
+
+  describe('createChatWidget', () => {
+    let page;
+    let createChatWidget;
+
+    afterEach(() => page.close());
+
+    async function load(routes) {
+      page = await createPage({ routes: routes });
+      page.runSource(umd());
+      createChatWidget = page.window.AventoraChatWidget.createChatWidget;
+    }
+
+    // Load the widget's iframe and have a v1 chatbot say hello
+    async function connect(widget) {
+      const iframe = await waitFor(() => widget.element.shadowRoot.querySelector('iframe'), { message: 'chatbot iframe' });
+      const messages = page.loadIframe(iframe);
+      page.messageFromChatbot(chatbotHello());
+      return messages;
+    }
+
+    it('mounts an <aventora-chat> element with the config', async () => {
+      await load();
+      const container = page.document.createElement('div');
+      page.document.body.appendChild(container);
+
+      const widget = createChatWidget({
+        tenant: 'shop.example.com',
+        bot: 'support',
+        primary: '#ff0000',
+        openOnLoad: true,
+        tokenLifetimeHours: 2,
+        userToken: 'user-jwt',
+        container: container
+      });
+
+      assert.equal(widget.element.parentNode, container);
+      assert.equal(widget.element.getAttribute('primary'), '#ff0000');
+      assert.equal(widget.element.isOpen, true);
+      await waitFor(() => page.fetchCalls.length > 0, { message: 'token request' });
+      assert.deepEqual(page.fetchCalls[0].body, {
+        domain: 'shop.example.com',
+        language: 'en',
+        user_token: 'user-jwt',
+        bot: 'support',
+        expires_in_hours: 2,
+        page_url: PAGE_URL
+      });
+    });
+
+    it('rejects a missing tenant and unknown options', async () => {
+      await load();
+
+      assert.throws(() => createChatWidget({}), /needs a tenant/);
+      assert.throws(() => createChatWidget({ tenant: 'shop.example.com', domain: 'x' }), /Unknown chat widget option: domain/);
+      assert.equal(page.document.querySelector('aventora-chat'), null);
+    });
+
+    it('delivers events to the widget only', async () => {
+      await load();
+      const windowEvents = [];
+      ['aventora:state-change', 'aventora:ready', 'aventora:opened'].forEach(type => {
+        page.window.addEventListener(type, () => windowEvents.push(type));
+      });
+
+      const widget = createChatWidget({ tenant: 'shop.example.com' });
+      const states = [];
+      const ready = [];
+      assert.equal(widget.on('state-change', detail => states.push(detail.state)), widget);
+      widget.once('ready', detail => ready.push(detail.protocolVersion));
+      await connect(widget);
+      page.messageFromChatbot(chatbotHello());
+      widget.open();
+
+      assert.deepEqual(states, ['loading-iframe', 'iframe-loaded', 'chatbot-ready']);
+      assert.deepEqual(ready, [1]);
+      assert.deepEqual(windowEvents, []);
+      assert.throws(() => widget.on('widget:opened', () => {}), /Cannot subscribe to event/);
+    });
+
+    it('sends commands once the chatbot is ready', async () => {
+      await load();
+      const widget = createChatWidget({ tenant: 'shop.example.com' });
+
+      const focused = widget.focusInput();
+      const messages = await connect(widget);
+      const attached = widget.setFile('ABC123');
+      const commands = messages.filter(entry => entry.message.type !== 'ack');
+
+      assert.equal(widget.getState(), 'chatbot-ready');
+      assert.deepEqual(commands.map(entry => [entry.message.type, entry.targetOrigin]), [
+        ['focus_input', CHATBOT_URL],
+        ['set_file', CHATBOT_URL]
+      ]);
+      assert.deepEqual(plain(commands[1].message.payload), { file: 'ABC123', autoSend: false });
+      commands.forEach(entry => page.messageFromChatbot(ack(entry.message)));
+      assert.equal((await focused).acknowledged, true);
+      assert.equal((await attached).acknowledged, true);
+    });
+
+    it('removes the element and its subscriptions on destroy', async () => {
+      await load();
+      const widget = createChatWidget({ tenant: 'shop.example.com' });
+      const closed = [];
+      widget.on('closed', () => closed.push(true));
+
+      widget.destroy();
+      widget.element.close();
+      assert.equal(page.document.querySelector('aventora-chat'), null);
+      assert.deepEqual(closed, []);
+
+      // A second widget reuses the registered element
+      const again = createChatWidget({ tenant: 'shop.example.com' });
+      assert.equal(again.element.constructor, page.window.customElements.get('aventora-chat'));
+    });
+  });
+});
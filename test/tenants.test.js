@@ -0,0 +1,108 @@
+/**
+ * server.js with a tenant registry file
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { MOCK_API_KEY, startServer } = require('./helpers/server');
+
+describe('multi-tenant server.js', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({
+      env: { TENANT_REGISTRY_FILE: 'tenants.json', DOMAIN_CHATBOT_API_KEY: null },
+      files: {
+        'tenants.json': mockUrl => [
+          {
+            domain_name: 'shop.example.com',
+            chatbot_api_key: MOCK_API_KEY,
+            chatbot_base_url: `${mockUrl}/shop`,
+            api_url: mockUrl,
+            default_language: 'fr',
+            allowed_origins: ['https://shop.example.com'],
+            is_active: true
+          },
+          {
+            domain_name: 'rejected.example.com',
+            chatbot_api_key: 'rejected-key-0123456789abcdef',
+            chatbot_base_url: `${mockUrl}/rejected`,
+            api_url: mockUrl,
+            is_active: true
+          },
+          {
+            domain_name: 'paused.example.com',
+            chatbot_api_key: MOCK_API_KEY,
+            is_active: false
+          }
+        ]
+      },
+      mock: { apiKeys: [MOCK_API_KEY] }
+    });
+  });
+
+  after(() => server.close());
+
+  it('issues tokens with the tenant settings', async () => {
+    const response = await server.request('/api/chatbot-token', {
+      json: { domain: 'shop.example.com' },
+      headers: { Origin: 'https://shop.example.com' }
+    });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('access-control-allow-origin'), 'https://shop.example.com');
+
+    const body = await response.json();
+    assert.equal(body.domain, 'shop.example.com');
+    assert.equal(body.language, 'fr');
+    assert.equal(body.chatbot_base_url, `${server.mockUrl}/shop`);
+  });
+
+  it('enforces the tenant origin allowlist', async () => {
+    const response = await server.request('/api/chatbot-token', {
+      json: { domain: 'shop.example.com' },
+      headers: { Origin: 'https://other.example.com' }
+    });
+    assert.equal(response.status, 403);
+    assert.equal((await response.json()).code, 'ORIGIN_NOT_ALLOWED');
+  });
+
+  it('answers preflight requests for allowed origins', async () => {
+    const response = await server.request('/api/chatbot-token?tenant=shop.example.com', {
+      method: 'OPTIONS',
+      headers: { Origin: 'https://shop.example.com', 'Access-Control-Request-Method': 'POST' }
+    });
+    assert.equal(response.status, 204);
+    assert.equal(response.headers.get('access-control-allow-origin'), 'https://shop.example.com');
+  });
+
+  it('rejects unknown domains with TENANT_NOT_FOUND', async () => {
+    const response = await server.request('/api/config?tenant=unknown.example.com');
+    assert.equal(response.status, 404);
+
+    const body = await response.json();
+    assert.equal(body.code, 'TENANT_NOT_FOUND');
+    assert.equal(body.domain, 'unknown.example.com');
+  });
+
+  it('rejects inactive tenants with TENANT_DISABLED', async () => {
+    const response = await server.request('/api/chatbot-token', { json: { domain: 'paused.example.com' } });
+    assert.equal(response.status, 403);
+    assert.equal((await response.json()).code, 'TENANT_DISABLED');
+  });
+
+  it('reports a tenant key rejected by the upstream API', async () => {
+    const response = await server.request('/api/chatbot-token', { json: { domain: 'rejected.example.com' } });
+    assert.equal(response.status, 502);
+    assert.equal((await response.json()).code, 'TOKEN_UPSTREAM_UNAUTHORIZED');
+  });
+
+  it('reports readiness per tenant', async () => {
+    const body = await (await server.request('/health/ready')).json();
+    const statuses = Object.fromEntries(body.tenants.map(tenant => [tenant.domain, tenant.status]));
+
+    assert.equal(body.status, 'degraded');
+    assert.equal(statuses['shop.example.com'], 'ok');
+    assert.equal(statuses['rejected.example.com'], 'fail');
+    assert.equal(statuses['paused.example.com'], 'inactive');
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * lib/token-options.js: token lifetime clamping and request metadata
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_BOUNDS, resolveLifetimeHours, resolveTokenOptions, loadTokenBounds } = require('../lib/token-options');
+
+describe('token-options', () => {
+  describe('lifetime', () => {
+    const bounds = { minHours: 1, maxHours: 12, defaultHours: 8 };
+
+    it('uses the requested lifetime within the bounds', () => {
+      assert.equal(resolveLifetimeHours(1.5, null, bounds), 1.5);
+      assert.equal(resolveLifetimeHours('4', null, bounds), 4);
+    });
+
+    it('raises a lifetime below the minimum', () => {
+      assert.equal(resolveLifetimeHours(0.25, null, bounds), 1);
+      assert.equal(resolveLifetimeHours(0, null, bounds), 1);
+      assert.equal(resolveLifetimeHours(-5, null, bounds), 1);
+    });
+
+    it('lowers a lifetime above the maximum', () => {
+      assert.equal(resolveLifetimeHours(48, null, bounds), 12);
+      assert.equal(resolveLifetimeHours(48, null, DEFAULT_BOUNDS), 24);
+    });
+
+    it('falls back to the tenant and default lifetimes for non-numeric values', () => {
+      // data-token-lifetime-hours="soon" reaches the server as null (NaN in JSON) or as the raw string
+      for (const requested of [null, undefined, '', 'soon', NaN, Infinity]) {
+        assert.equal(resolveLifetimeHours(requested, null, bounds), 8);
+        assert.equal(resolveLifetimeHours(requested, { tokenLifetimeHours: 2 }, bounds), 2);
+      }
+    });
+
+    it('applies a lower per-tenant maximum, never a higher one', () => {
+      assert.equal(resolveLifetimeHours(10, { tokenMaxLifetimeHours: 6 }, bounds), 6);
+      assert.equal(resolveLifetimeHours(20, { tokenMaxLifetimeHours: 48 }, bounds), 12);
+      // The tenant maximum also wins over a higher minimum
+      assert.equal(resolveLifetimeHours(0.1, { tokenMaxLifetimeHours: 0.5 }, bounds), 0.5);
+    });
+
+    it('clamps the tenant lifetime as well', () => {
+      assert.equal(resolveLifetimeHours(undefined, { tokenLifetimeHours: 100 }, bounds), 12);
+    });
+  });
+
+  describe('loadTokenBounds', () => {
+    it('reads the bounds from the environment', () => {
+      assert.deepEqual(loadTokenBounds({ TOKEN_MIN_LIFETIME_HOURS: '2', TOKEN_MAX_LIFETIME_HOURS: '6', TOKEN_DEFAULT_LIFETIME_HOURS: '4' }), {
+        minHours: 2,
+        maxHours: 6,
+        defaultHours: 4
+      });
+    });
+
+    it('ignores non-numeric values and keeps the default within the maximum', () => {
+      assert.deepEqual(loadTokenBounds({ TOKEN_MIN_LIFETIME_HOURS: 'one', TOKEN_MAX_LIFETIME_HOURS: '6' }), {
+        minHours: 1,
+        maxHours: 6,
+        defaultHours: 6
+      });
+      assert.deepEqual(loadTokenBounds({}), DEFAULT_BOUNDS);
+    });
+  });
+
+  it('scopes the cache by bot and clamped lifetime and drops invalid metadata', () => {
+    const options = resolveTokenOptions({
+      expires_in_hours: 100,
+      bot: 'support',
+      page_url: 'https://shop.example.com/cart?email=a@b.example#top',
+      campaign: 'spring-sale, <script>'
+    }, null);
+
+    assert.deepEqual(options, {
+      expiresInHours: 24,
+      metadata: { bot_id: 'support', page_url: 'https://shop.example.com/cart', campaign: ['spring-sale'] },
+      scope: 'support:24'
+    });
+    assert.equal(resolveTokenOptions({ page_url: 'javascript:alert(1)' }, null).metadata, null);
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * lib/upstream-client.js: retries and the circuit breaker
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createUpstreamClient } = require('../lib/upstream-client');
+
+describe('upstream-client', () => {
+  let server;
+  let url;
+  // Statuses answered in order, then 200
+  let statuses;
+  let requests;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      requests += 1;
+      res.statusCode = statuses.length > 0 ? statuses.shift() : 200;
+      res.end('{}');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    statuses = [];
+    requests = 0;
+  });
+
+  function createClient(options) {
+    return createUpstreamClient(Object.assign({ retries: 0, failureThreshold: 2, resetTimeoutMs: 60000 }, options));
+  }
+
+  describe('circuit breaker', () => {
+    it('opens after consecutive 502/503/504 responses and fails fast', async () => {
+      const client = createClient();
+      statuses = [503, 502];
+
+      assert.equal((await client.request(`${url}/session`)).status, 503);
+      assert.equal((await client.request(`${url}/session`)).status, 502);
+      await assert.rejects(client.request(`${url}/tokens/generate`), error => {
+        assert.equal(error.code, 'UPSTREAM_CIRCUIT_OPEN');
+        assert.equal(error.retryAfterSeconds, 60);
+        return true;
+      });
+      assert.equal(requests, 2);
+      assert.equal(client.getState().upstreams[0].state, 'open');
+    });
+
+    it('does not count 500 and other error statuses', async () => {
+      const client = createClient();
+      statuses = [500, 500, 404, 500];
+
+      for (let i = 0; i < 4; i++) {
+        await client.request(`${url}/feedback`, { method: 'POST' });
+      }
+      assert.equal((await client.request(`${url}/tokens/generate`, { method: 'POST' })).status, 200);
+      assert.equal(client.getState().upstreams[0].state, 'closed');
+    });
+
+    it('counts network errors', async () => {
+      const client = createClient();
+      const closed = http.createServer();
+      await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+      const closedUrl = `http://127.0.0.1:${closed.address().port}`;
+      await new Promise(resolve => closed.close(resolve));
+
+      await assert.rejects(client.request(closedUrl));
+      await assert.rejects(client.request(closedUrl));
+      await assert.rejects(client.request(closedUrl), { code: 'UPSTREAM_CIRCUIT_OPEN' });
+    });
+
+    it('lets one probe through after the reset timeout and closes on success', async () => {
+      const client = createClient({ resetTimeoutMs: 50 });
+      statuses = [503, 503];
+      await client.request(url);
+      await client.request(url);
+      await assert.rejects(client.request(url), { code: 'UPSTREAM_CIRCUIT_OPEN' });
+
+      await new Promise(resolve => setTimeout(resolve, 60));
+      assert.equal((await client.request(url)).status, 200);
+      assert.equal(client.getState().upstreams[0].state, 'closed');
+    });
+
+    it('never opens when disabled', async () => {
+      const client = createClient({ breakerEnabled: false });
+      statuses = [503, 503, 503];
+      for (let i = 0; i < 3; i++) {
+        assert.equal((await client.request(url)).status, 503);
+      }
+      assert.equal((await client.request(url)).status, 200);
+    });
+  });
+
+  describe('retries', () => {
+    it('retries idempotent requests on 502/503/504 only', async () => {
+      const client = createClient({ retries: 2, retryBaseDelayMs: 1, failureThreshold: 10 });
+      statuses = [503, 504];
+      assert.equal((await client.request(url)).status, 200);
+      assert.equal(requests, 3);
+
+      requests = 0;
+      statuses = [500];
+      assert.equal((await client.request(url)).status, 500);
+      assert.equal(requests, 1);
+    });
+
+    it('does not retry other requests after they reached the upstream', async () => {
+      const client = createClient({ retries: 2, retryBaseDelayMs: 1, failureThreshold: 10 });
+      statuses = [503];
+      assert.equal((await client.request(url, { method: 'POST' })).status, 503);
+      assert.equal(requests, 1);
+    });
+  });
+});
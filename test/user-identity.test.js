@@ -0,0 +1,57 @@
+/**
+ * lib/user-identity.js: host-app JWT verification and usernames
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { verifyJwt, sanitizeUsername, identityFromClaims } = require('../lib/user-identity');
+
+const SECRET = 'user-jwt-secret-for-tests';
+
+function base64Url(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function signJwt(claims, secret = SECRET) {
+  const unsigned = `${base64Url({ alg: 'HS256', typ: 'JWT' })}.${base64Url(claims)}`;
+  return `${unsigned}.${crypto.createHmac('sha256', secret).update(unsigned).digest('base64url')}`;
+}
+
+function inMinutes(minutes) {
+  return Math.floor(Date.now() / 1000) + minutes * 60;
+}
+
+describe('user-identity', () => {
+  describe('verifyJwt', () => {
+    it('returns the claims of a valid token', () => {
+      const claims = verifyJwt(signJwt({ sub: 'user-1', exp: inMinutes(5) }), SECRET);
+      assert.equal(claims.sub, 'user-1');
+    });
+
+    it('rejects tokens without a numeric exp', () => {
+      assert.throws(() => verifyJwt(signJwt({ sub: 'user-1' }), SECRET), /no expiry/);
+      assert.throws(() => verifyJwt(signJwt({ sub: 'user-1', exp: String(inMinutes(5)) }), SECRET), /no expiry/);
+    });
+
+    it('rejects expired tokens and other secrets', () => {
+      assert.throws(() => verifyJwt(signJwt({ sub: 'user-1', exp: inMinutes(-5) }), SECRET), /expired/);
+      assert.throws(() => verifyJwt(signJwt({ sub: 'user-1', exp: inMinutes(5) }, 'other-secret'), SECRET), /Invalid signature/);
+    });
+  });
+
+  describe('usernames', () => {
+    it('keeps safe identifiers as they are', () => {
+      assert.equal(sanitizeUsername(' jane.doe@example.com '), 'jane.doe@example.com');
+      assert.equal(sanitizeUsername('a_b'), 'a_b');
+    });
+
+    it('rejects identifiers with other characters rather than rewriting them', () => {
+      assert.equal(sanitizeUsername('a b'), null);
+      assert.equal(sanitizeUsername('user/1'), null);
+      assert.equal(sanitizeUsername(''), null);
+      assert.equal(sanitizeUsername('x'.repeat(129)), null);
+      assert.throws(() => identityFromClaims({ sub: 'a b' }), /Invalid subject/);
+    });
+  });
+});
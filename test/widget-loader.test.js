@@ -0,0 +1,247 @@
+/**
+ * The former widget/ embed on public/widget.js: its data attributes, the
+ * deprecated AventoraWidgetLoader / AventoraChatbot globals and the
+ * aventora:widget:* events, in jsdom
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { CHATBOT_URL, PAGE_URL, createPage, waitFor } = require('./helpers/dom');
+
+const WIDGET_ATTRIBUTES = {
+  'data-domain': 'shop.example.com',
+  'data-bot': 'support',
+  'data-theme': 'dark',
+  'data-position': 'top-left',
+  'data-primary': '#ff0000',
+  'data-api-base': 'https://api.example.com',
+  'data-chatbot-base-url': CHATBOT_URL,
+  'data-token-refresh': 'reload',
+  'data-token-lifetime-hours': '1.5',
+  'data-campaign': 'spring-sale,newsletter',
+  'data-user-token': 'user-jwt'
+};
+
+// Round-trips values created in the page's realm so deepEqual can compare them
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+describe('widget/ embed compatibility', () => {
+  let page;
+  let warnings;
+  let addEventListener;
+
+  afterEach(() => page.close());
+
+  // Runs the loader with the given attributes, recording console warnings
+  // and the page's own window.addEventListener
+  async function load(attributes = { 'data-tenant': 'shop.example.com' }, routes) {
+    page = await createPage({ routes: routes });
+    addEventListener = page.window.addEventListener;
+    warnings = [];
+    page.window.console.warn = (...args) => warnings.push(args.join(' '));
+    page.runScript('public/widget.js', attributes);
+  }
+
+  function loadComponent() {
+    page.loadInjectedScript('aventora-protocol.js', 'public/aventora-protocol.js');
+    page.loadInjectedScript('aventora-chat.js', 'public/aventora-chat.js');
+    return page.document.querySelector('aventora-chat');
+  }
+
+  // Opens the widget through AventoraWidgetLoader, loads the iframe and has
+  // a legacy chatbot report ready
+  async function openWidget(attributes) {
+    await load(attributes);
+    const loader = page.window.AventoraWidgetLoader;
+    const opened = loader.open();
+    loadComponent();
+    const instance = await opened;
+
+    const iframe = await waitFor(() => loader.shadowRoot.querySelector('iframe'), { message: 'chatbot iframe' });
+    const messages = page.loadIframe(iframe);
+    page.messageFromChatbot({ type: 'chatbot_ready' });
+    return { loader, instance, iframe, messages };
+  }
+
+  function deprecationWarnings(name) {
+    return warnings.filter(warning => warning.includes(`${name} is deprecated`));
+  }
+
+  describe('configuration', () => {
+    it('maps the widget/ data attributes to the unified configuration', async () => {
+      await load(Object.assign({ 'data-open-on-load': 'true' }, WIDGET_ATTRIBUTES));
+      const { config } = page.window.Aventora;
+
+      assert.equal(config.tenant, 'shop.example.com');
+      assert.equal(config.primary, '#ff0000');
+      assert.equal(config.openOnLoad, true);
+      assert.equal(config.chatbotUrl, CHATBOT_URL);
+      assert.equal(config.tokenLifetimeHours, '1.5');
+      assert.equal(config.apiBase, 'https://api.example.com');
+      assert.deepEqual(warnings, [
+        '[AventoraWidget] data-domain is deprecated, use data-tenant instead',
+        '[AventoraWidget] data-chatbot-base-url is deprecated, use data-chatbot-url instead',
+        '[AventoraWidget] data-api-base is deprecated, use data-chatbot-url instead'
+      ]);
+
+      const element = loadComponent();
+      assert.equal(element.hasAttribute('api-base'), false);
+      assert.equal(element.getAttribute('primary'), '#ff0000');
+      assert.equal(element.getAttribute('position'), 'top-left');
+      assert.equal(element.getAttribute('chatbot-url'), CHATBOT_URL);
+      assert.equal(element.isOpen, true);
+      assert.match(element.shadowRoot.querySelector('style').textContent, /--widget-primary: #ff0000/);
+    });
+
+    it('requests a token with the configured options', async () => {
+      await openWidget(WIDGET_ATTRIBUTES);
+
+      const tokenCall = page.fetchCalls.find(call => call.path === '/api/chatbot-token');
+      assert.equal(tokenCall.credentials, 'include');
+      assert.deepEqual(tokenCall.body, {
+        domain: 'shop.example.com',
+        language: 'en',
+        user_token: 'user-jwt',
+        bot: 'support',
+        campaign: 'spring-sale,newsletter',
+        expires_in_hours: 1.5,
+        page_url: PAGE_URL
+      });
+    });
+  });
+
+  describe('deprecated globals', () => {
+    it('alias window.Aventora and warn once each', async () => {
+      await load();
+      const loader = page.window.AventoraWidgetLoader;
+      const { Aventora } = page.window;
+
+      assert.equal(page.window.AventoraChatbot, Aventora);
+      assert.equal(page.window.AventoraChatbot, Aventora);
+      assert.equal(loader.sendMessage, Aventora.sendMessage);
+      assert.equal(page.window.AventoraWidgetLoader.config, Aventora.config);
+
+      assert.deepEqual(deprecationWarnings('window.AventoraChatbot'), [
+        '[AventoraWidget] window.AventoraChatbot is deprecated, use window.Aventora instead'
+      ]);
+      assert.equal(deprecationWarnings('window.AventoraWidgetLoader').length, 1);
+    });
+
+    it('AventoraWidgetLoader.open() resolves with the component', async () => {
+      const { loader, instance } = await openWidget();
+
+      assert.equal(instance, page.document.querySelector('aventora-chat'));
+      assert.equal(loader.root, instance);
+      assert.equal(loader.shadowRoot, instance.shadowRoot);
+      assert.equal(instance.isOpen, true);
+      assert.equal(await loader.waitForInstance(), instance);
+    });
+
+    it('AventoraWidgetLoader.waitForInstance() rejects when the component fails to load', async () => {
+      await load();
+      const loader = page.window.AventoraWidgetLoader;
+      const waiting = loader.waitForInstance();
+
+      page.document.querySelector('script[src*="aventora-chat.js"]').dispatchEvent(new page.window.Event('error'));
+      await assert.rejects(waiting, { code: 'IFRAME_NOT_READY' });
+    });
+
+    it('keeps the widget/ commands', async () => {
+      const { loader, messages } = await openWidget();
+
+      assert.deepEqual(plain(await loader.sendMessage('Where is my order?')), { acknowledged: false });
+      await loader.setFile('ABC123');
+      await loader.focusInput();
+      assert.deepEqual(messages.map(entry => entry.message), [
+        { type: 'set_question', question: 'Where is my order?', autoSend: false },
+        { type: 'set_file', file: 'ABC123', autoSend: false },
+        { type: 'focus_input' },
+        { type: 'click_input' }
+      ]);
+      assert.ok(messages.every(entry => entry.targetOrigin === CHATBOT_URL));
+    });
+
+    it('rejects queued calls when no token can be issued', async () => {
+      await load(undefined, { '/api/chatbot-token': { status: 500, body: { error: 'Upstream down' } } });
+      const loader = page.window.AventoraWidgetLoader;
+
+      const sent = loader.sendMessage('Hello');
+      loadComponent();
+
+      await assert.rejects(sent, { code: 'IFRAME_NOT_READY' });
+      assert.equal(loader.getState(), 'error');
+    });
+  });
+
+  describe('deprecated events', () => {
+    it('mirrors aventora:* events as aventora:widget:* and warns once a page listens', async () => {
+      await load();
+      // The page's window.addEventListener is left alone
+      assert.equal(page.window.addEventListener, addEventListener);
+
+      const element = loadComponent();
+      page.window.Aventora.open();
+      page.window.Aventora.close();
+      assert.deepEqual(warnings, []);
+
+      const opened = page.nextEvent('aventora:widget:opened');
+      const state = page.nextEvent('aventora:widget:state-change');
+      page.window.Aventora.open();
+      assert.equal((await opened).instance, element);
+      assert.equal((await state).state, 'loading-iframe');
+      assert.deepEqual(warnings, [
+        '[AventoraWidget] aventora:widget:* is deprecated, use aventora:* instead'
+      ]);
+    });
+
+    it('keeps the former detail of aventora:widget:ready', async () => {
+      await load();
+      const widgetReady = page.nextEvent('aventora:widget:ready');
+      let readyEvents = 0;
+      page.window.addEventListener('aventora:ready', () => readyEvents++);
+
+      const element = loadComponent();
+      const iframe = await waitFor(() => element.shadowRoot.querySelector('iframe'), { message: 'chatbot iframe' });
+      page.loadIframe(iframe);
+      page.messageFromChatbot({ type: 'chatbot_ready' });
+
+      const detail = await widgetReady;
+      assert.equal(detail.instance, element);
+      assert.equal(detail.config, page.window.Aventora.config);
+      assert.equal(typeof detail.loader.waitForInstance, 'function');
+      assert.equal(readyEvents, 1);
+    });
+
+    it('warns about a replaced aventora:* event only once a page listens', async () => {
+      await load();
+      const element = loadComponent();
+      const iframe = await waitFor(() => element.shadowRoot.querySelector('iframe'), { message: 'chatbot iframe' });
+      page.loadIframe(iframe);
+      assert.deepEqual(warnings, []);
+
+      page.window.addEventListener('aventora:iframe-ready', event => event.detail);
+      page.loadIframe(iframe);
+      page.loadIframe(iframe);
+
+      assert.deepEqual(deprecationWarnings('aventora:iframe-ready'), [
+        '[AventoraChat] aventora:iframe-ready is deprecated, use aventora:state-change (state iframe-loaded) instead'
+      ]);
+    });
+
+    it('subscribes to widget events through on()', async () => {
+      await load();
+      const loader = page.window.AventoraWidgetLoader;
+      const states = [];
+      loader.on('state-change', detail => states.push(detail.state));
+
+      const element = loadComponent();
+      const iframe = await waitFor(() => element.shadowRoot.querySelector('iframe'), { message: 'chatbot iframe' });
+      page.loadIframe(iframe);
+      page.messageFromChatbot({ type: 'chatbot_ready' });
+
+      assert.deepEqual(states, ['loading-iframe', 'iframe-loaded', 'chatbot-ready']);
+    });
+  });
+});